@@ -1,6 +1,8 @@
 const winston = require('winston');
+require('winston-daily-rotate-file');
 const path = require('path');
 const fs = require('fs');
+const { requestContext } = require('../lib/request-log');
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, '..', 'logs');
@@ -8,45 +10,56 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Log files start over each day and when they reach LOG_MAX_SIZE (e.g. 20m, 1g);
+// LOG_MAX_FILES keeps that many files, or days of files with a "d" suffix
+const LOG_MAX_SIZE = process.env.LOG_MAX_SIZE || '20m';
+const LOG_MAX_FILES = process.env.LOG_MAX_FILES || '14d';
+
+// Tag lines logged while handling a request with its ID
+const requestId = winston.format((info) => {
+    const context = requestContext.getStore();
+    if (context && info.requestId === undefined) {
+        info.requestId = context.requestId;
+    }
+    return info;
+});
+
 // Define log format
 const logFormat = winston.format.combine(
+    requestId(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
     winston.format.json()
 );
 
+const rotatingFile = (name, options = {}) => new winston.transports.DailyRotateFile({
+    dirname: logsDir,
+    filename: `${name}-%DATE%.log`,
+    datePattern: 'YYYY-MM-DD',
+    maxSize: LOG_MAX_SIZE,
+    maxFiles: LOG_MAX_FILES,
+    auditFile: path.join(logsDir, `.${name}-audit.json`),
+    ...options
+});
+
 // Create logger instance
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: logFormat,
     defaultMeta: { service: 'lookupprotocol' },
     transports: [
-        // Write all logs to console
+        // JSON lines in production for log collectors, colored and readable otherwise
         new winston.transports.Console({
-            format: winston.format.combine(
-                winston.format.colorize(),
-                winston.format.simple()
-            )
+            format: process.env.NODE_ENV === 'production'
+                ? winston.format.json()
+                : winston.format.combine(winston.format.colorize(), winston.format.simple())
         }),
-        // Write all logs with level 'error' and below to error.log
-        new winston.transports.File({
-            filename: path.join(logsDir, 'error.log'),
-            level: 'error'
-        }),
-        // Write all logs to combined.log
-        new winston.transports.File({
-            filename: path.join(logsDir, 'combined.log')
-        })
+        // Write all logs with level 'error' and below to error-<date>.log
+        rotatingFile('error', { level: 'error' }),
+        // Write all logs to combined-<date>.log
+        rotatingFile('combined')
     ]
 });
 
-// If we're not in production, log to the console with simpler format
-if (process.env.NODE_ENV !== 'production') {
-    logger.add(new winston.transports.Console({
-        format: winston.format.simple()
-    }));
-}
-
 module.exports = logger;
-
@@ -23,6 +23,18 @@ const options = {
             }
         ],
         components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'Session token from POST /api/auth/login, or an API key'
+                },
+                apiKey: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key'
+                }
+            },
             schemas: {
                 Product: {
                     type: 'object',
@@ -59,12 +71,36 @@ const options = {
                             type: 'number',
                             minimum: 0,
                             example: 50.00,
-                            description: 'Product unit price'
+                            description: 'Product unit price, in the product\'s currency'
+                        },
+                        currency: {
+                            type: 'string',
+                            example: 'EUR',
+                            default: 'EUR',
+                            description: 'ISO 4217 code of the price currency; an exchange rate must be stored for it'
                         },
                         code: {
                             type: 'string',
                             example: '000-01',
                             description: 'Product code'
+                        },
+                        gtin: {
+                            type: 'string',
+                            nullable: true,
+                            example: '4006381333931',
+                            description: 'EAN-8, UPC-A, EAN-13 or GTIN-14 with a valid check digit; unique across products'
+                        },
+                        reorder_point: {
+                            type: 'integer',
+                            minimum: 0,
+                            nullable: true,
+                            description: 'Stock level at or below which the product is low on stock; null uses the category default'
+                        },
+                        reorder_quantity: {
+                            type: 'integer',
+                            minimum: 1,
+                            nullable: true,
+                            description: 'How much to reorder; null uses the category default'
                         }
                     }
                 },
@@ -0,0 +1,57 @@
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Product columns captured in before/after snapshots (timestamps are implied by the entry)
+const AUDITED_FIELDS = ['id', 'category', 'name', 'description', 'quantity', 'unit_price', 'currency', 'code', 'gtin', 'reorder_point', 'reorder_quantity', 'deleted_at'];
+
+/**
+ * Reduce a product row to the audited fields.
+ */
+function snapshot(product) {
+    if (!product) {
+        return null;
+    }
+    const result = {};
+    AUDITED_FIELDS.forEach(field => {
+        if (product[field] !== undefined) {
+            result[field] = product[field];
+        }
+    });
+    return result;
+}
+
+/**
+ * Field-level differences between two snapshots as { field: { from, to } }.
+ * A missing snapshot (create or purge) counts as every value being null.
+ */
+function diffSnapshots(before, after) {
+    const changes = {};
+    AUDITED_FIELDS.forEach(field => {
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        if (from !== to) {
+            changes[field] = { from, to };
+        }
+    });
+    return changes;
+}
+
+/**
+ * Shape an audit_log row for API responses.
+ */
+function formatAuditEntry(row) {
+    const before = row.before_data ? JSON.parse(row.before_data) : null;
+    const after = row.after_data ? JSON.parse(row.after_data) : null;
+    return {
+        id: row.id,
+        productId: row.product_id,
+        action: row.action,
+        actor: row.actor,
+        ip: row.ip,
+        timestamp: row.created_at,
+        before,
+        after,
+        changes: diffSnapshots(before, after)
+    };
+}
+
+module.exports = { AUDIT_ACTIONS, snapshot, diffSnapshots, formatAuditEntry };
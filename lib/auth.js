@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Ordered from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+// Prefix that tells API keys apart from session tokens in an Authorization header
+const API_KEY_PREFIX = 'lpk_';
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+/**
+ * Whether `role` grants at least the permissions of `required`.
+ */
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Hash a password for storage as "scrypt$<salt>$<hash>".
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash created by hashPassword, in constant time.
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const key = await scrypt(password, salt);
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Hash that no password matches, checked when a username does not exist so failed logins
+ * take as long either way and response times do not reveal which usernames exist.
+ */
+const UNKNOWN_USER_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+
+/**
+ * Random secret for a session token or, with API_KEY_PREFIX, an API key.
+ */
+function generateToken(prefix = '') {
+    return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Tokens and keys are stored as SHA-256 digests so a leaked database does not leak credentials.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = { ROLES, API_KEY_PREFIX, UNKNOWN_USER_PASSWORD_HASH, hasRole, hashPassword, verifyPassword, generateToken, hashToken };
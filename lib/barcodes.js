@@ -0,0 +1,53 @@
+const bwipjs = require('bwip-js');
+
+// GTIN lengths and the barcode format each one is printed as
+const GTIN_FORMATS = {
+    8: { name: 'EAN-8', symbology: 'ean8' },
+    12: { name: 'UPC-A', symbology: 'upca' },
+    13: { name: 'EAN-13', symbology: 'ean13' },
+    14: { name: 'GTIN-14', symbology: 'itf14' }
+};
+
+/**
+ * GS1 check digit for the digits before it: weights 3 and 1 alternate from the right.
+ */
+function gtinCheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        sum += Number(digits[digits.length - 1 - i]) * (i % 2 === 0 ? 3 : 1);
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Whether value is an 8, 12, 13 or 14 digit GTIN with a correct check digit.
+ */
+function isValidGtin(value) {
+    return typeof value === 'string'
+        && /^\d+$/.test(value)
+        && GTIN_FORMATS[value.length] !== undefined
+        && gtinCheckDigit(value.slice(0, -1)) === Number(value.slice(-1));
+}
+
+// Drop the spaces and hyphens barcodes are often written with
+const normalizeGtin = (value) => String(value).replace(/[\s-]/g, '');
+
+// A GTIN padded to 14 digits, so a UPC-A and the EAN-13 with a leading zero compare equal.
+// The unique indexes on products.gtin (migrations/012_gtin.js, migrations/postgres/002_server.js)
+// compute the same key in SQL.
+const gtinKey = (gtin) => gtin.padStart(14, '0');
+
+const gtinFormat = (gtin) => GTIN_FORMATS[gtin.length].name;
+
+/**
+ * SVG shelf label barcode for a product: its GTIN when it has one, otherwise a Code 128
+ * of its code. Throws if the code has characters Code 128 cannot encode.
+ */
+function renderBarcodeSvg(product, { height = 15, includeText = true } = {}) {
+    const options = product.gtin
+        ? { bcid: GTIN_FORMATS[product.gtin.length].symbology, text: product.gtin }
+        : { bcid: 'code128', text: product.code };
+    return bwipjs.toSVG({ ...options, height, includetext: includeText, textxalign: 'center' });
+}
+
+module.exports = { gtinCheckDigit, isValidGtin, normalizeGtin, gtinKey, gtinFormat, renderBarcodeSvg };
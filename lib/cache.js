@@ -0,0 +1,64 @@
+const path = require('path');
+
+/**
+ * In-memory LRU cache holding up to maxEntries values; the least recently read or written
+ * entry is dropped first. This is the cache interface the server uses for responses:
+ * get(key) resolves with the value or undefined, set(key, value), clear() and stats().
+ * Every method returns a promise so a shared backend such as Redis can implement it too.
+ */
+function createMemoryCache({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+    let evictions = 0;
+
+    return {
+        async get(key) {
+            if (!entries.has(key)) {
+                misses++;
+                return undefined;
+            }
+            // Map keeps insertion order, so re-inserting marks the entry as most recently used
+            const value = entries.get(key);
+            entries.delete(key);
+            entries.set(key, value);
+            hits++;
+            return value;
+        },
+
+        async set(key, value) {
+            entries.delete(key);
+            entries.set(key, value);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+                evictions++;
+            }
+        },
+
+        async clear() {
+            entries.clear();
+        },
+
+        async stats() {
+            return { store: 'memory', entries: entries.size, maxEntries, hits, misses, evictions };
+        }
+    };
+}
+
+/**
+ * Create the response cache from RESPONSE_CACHE: "off" (no cache; returns null),
+ * "memory" or the path of a module exporting a function ({ maxEntries }) => cache with
+ * the createMemoryCache interface.
+ */
+function createCache(type, { maxEntries }) {
+    if (!type || type === 'off') {
+        return null;
+    }
+    if (type === 'memory') {
+        return createMemoryCache({ maxEntries });
+    }
+    const factory = require(path.resolve(type));
+    return factory({ maxEntries });
+}
+
+module.exports = { createMemoryCache, createCache };
@@ -0,0 +1,52 @@
+// Categories are rows in the categories table; products reference them by their canonical
+// name in products.category, so renames and merges rewrite that column. Their queries are
+// in lib/repositories/categories.js.
+
+/**
+ * URL-friendly identifier for a category name: "Casual wear" becomes "casual-wear".
+ */
+function slugify(name) {
+    const slug = String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'category';
+}
+
+/**
+ * Shape category rows (with a product_count column) for API responses, adding the parent
+ * slug, depth and path of names from the top. Sorted so subcategories follow their parent.
+ */
+function formatCategories(rows) {
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const pathOf = (row) => {
+        const path = [];
+        for (let current = row; current && path.length <= rows.length; current = byId.get(current.parent_id)) {
+            path.unshift(current.name);
+        }
+        return path;
+    };
+
+    return rows
+        .map(row => {
+            const path = pathOf(row);
+            const parent = byId.get(row.parent_id);
+            return {
+                id: row.id,
+                slug: row.slug,
+                name: row.name,
+                description: row.description,
+                parent: parent ? parent.slug : null,
+                depth: path.length - 1,
+                path,
+                productCount: row.product_count,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at
+            };
+        })
+        .sort((a, b) => a.path.join('\u0000').localeCompare(b.path.join('\u0000'), undefined, { sensitivity: 'base' }));
+}
+
+module.exports = { slugify, formatCategories };
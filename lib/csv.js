@@ -0,0 +1,107 @@
+// Column headers written by GET /api/products/export/csv, mapped to product fields
+const HEADER_FIELDS = {
+    id: 'id',
+    category: 'category',
+    name: 'name',
+    description: 'description',
+    quantity: 'quantity',
+    unit_price: 'unit_price',
+    currency: 'currency',
+    code: 'code',
+    gtin: 'gtin'
+};
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Supports quoted fields, escaped quotes ("") and line breaks inside quotes.
+ * Blank lines are ignored.
+ */
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    // Strip a UTF-8 byte order mark (Excel adds one)
+    if (text.charCodeAt(0) === 0xFEFF) {
+        i = 1;
+    }
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 2;
+            } else if (char === '"') {
+                inQuotes = false;
+                i++;
+            } else {
+                field += char;
+                i++;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+/**
+ * Parse CSV in the export layout into product objects keyed by field name.
+ * Headers are matched case-insensitively ("Unit Price" and "unit_price" both work);
+ * unknown columns are ignored.
+ */
+function parseProductsCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+
+    if (!header) {
+        return [];
+    }
+
+    const fields = header.map(h => HEADER_FIELDS[h.trim().toLowerCase().replace(/[\s_]+/g, '_')]);
+    if (!fields.some(Boolean)) {
+        throw new Error('CSV header row does not contain any product columns');
+    }
+
+    return rows.map(values => {
+        const product = {};
+        fields.forEach((field, index) => {
+            if (field && values[index] !== undefined) {
+                product[field] = values[index];
+            }
+        });
+        return product;
+    });
+}
+
+module.exports = { parseCsv, parseProductsCsv };
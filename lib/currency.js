@@ -0,0 +1,57 @@
+// Prices are stored in each product's own currency. Exchange rates are stored against
+// BASE_CURRENCY as units of the currency per one unit of the base currency.
+const BASE_CURRENCY = 'EUR';
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Whether code is an upper-case ISO 4217 currency code.
+ */
+function isCurrencyCode(code) {
+    return CURRENCY_CODES.has(code);
+}
+
+/**
+ * Number of decimals a currency is quoted in (2 for EUR, 0 for JPY).
+ */
+function minorUnits(currency) {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (err) {
+        return 2;
+    }
+}
+
+/**
+ * Round an amount to the currency's minor unit.
+ */
+function roundPrice(amount, currency) {
+    const factor = 10 ** minorUnits(currency);
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert an amount between currencies through the base currency. rates maps currency
+ * codes to their rate and must contain both currencies.
+ */
+function convertPrice(amount, from, to, rates) {
+    if (from === to) {
+        return amount;
+    }
+    return roundPrice((amount / rates.get(from)) * rates.get(to), to);
+}
+
+/**
+ * Product with its price converted to currency; the stored price is kept as original_unit_price.
+ */
+function convertProduct(product, currency, rates) {
+    return {
+        ...product,
+        unit_price: convertPrice(product.unit_price, product.currency, currency, rates),
+        currency,
+        original_unit_price: product.unit_price,
+        original_currency: product.currency
+    };
+}
+
+module.exports = { BASE_CURRENCY, isCurrencyCode, minorUnits, roundPrice, convertPrice, convertProduct };
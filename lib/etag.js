@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+/**
+ * Strong entity tag for a stored record, derived from its full contents so that
+ * any change to any column produces a new tag.
+ */
+function entityTag(record) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(record)).digest('base64url');
+    return `"${hash}"`;
+}
+
+/**
+ * Entity tag for a response showing a record together with other data, such as converted
+ * prices or category defaults: the record's tag with a suffix for that data's version.
+ * Hashes are base64url and never contain the dot.
+ */
+function representationTag(etag, version) {
+    return `${etag.slice(0, -1)}.${version}"`;
+}
+
+// The record part of a tag from entityTag or representationTag
+const recordTag = (tag) => tag.replace(/\.[^"]*"$/, '"');
+
+/**
+ * Check an If-Match request header against the current entity tag of the record.
+ * A missing header always passes; "*" matches any existing record. Representation tags
+ * match on their record part, so a tag from GET can be sent back unchanged.
+ */
+function ifMatchSatisfied(header, etag) {
+    if (header === undefined) {
+        return true;
+    }
+    return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || recordTag(tag) === etag);
+}
+
+module.exports = { entityTag, representationTag, ifMatchSatisfied };
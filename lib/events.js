@@ -0,0 +1,35 @@
+// Server-Sent Events for GET /api/events. Product events use the audit log entry ID as
+// their event ID, so a reconnecting client's Last-Event-ID says exactly where to resume.
+
+const STATISTICS_EVENT = 'statistics-changed';
+// Sent instead of a replay when a client resumes from too far back; it should reload what it shows
+const RESET_EVENT = 'reset';
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Serialize one event in the text/event-stream format.
+ */
+function formatEvent({ id, event, data }) {
+    let frame = '';
+    if (id !== undefined && id !== null) {
+        frame += `id: ${id}\n`;
+    }
+    frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    return frame;
+}
+
+/**
+ * Parse a Last-Event-ID value into an audit log ID, or null when it is missing or malformed.
+ */
+function parseLastEventId(value) {
+    if (value === undefined || value === null || !/^\d+$/.test(String(value).trim())) {
+        return null;
+    }
+    return Number(String(value).trim());
+}
+
+module.exports = { STATISTICS_EVENT, RESET_EVENT, RETRY_MS, HEARTBEAT_MS, formatEvent, parseLastEventId };
@@ -0,0 +1,137 @@
+const ExcelJS = require('exceljs');
+
+// Product columns an export can contain, with the header written for each. The CSV headers
+// are the ones POST /api/products/import reads back.
+const EXPORT_COLUMNS = {
+    id: 'ID',
+    category: 'Category',
+    name: 'Name',
+    description: 'Description',
+    quantity: 'Quantity',
+    unit_price: 'Unit Price',
+    currency: 'Currency',
+    code: 'Code',
+    gtin: 'GTIN',
+    reorder_point: 'Reorder Point',
+    reorder_quantity: 'Reorder Quantity',
+    created_at: 'Created At',
+    updated_at: 'Updated At'
+};
+
+// Columns written when the caller picks none: the import layout
+const DEFAULT_EXPORT_COLUMNS = ['id', 'category', 'name', 'description', 'quantity', 'unit_price', 'currency', 'code', 'gtin'];
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Turn a comma-separated ?columns= value into a list of export columns, in the order given.
+ * Throws when a name is not in EXPORT_COLUMNS; an empty value means the default columns.
+ */
+function parseExportColumns(value) {
+    const names = [...new Set(String(value ?? '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean))];
+    if (names.length === 0) {
+        return DEFAULT_EXPORT_COLUMNS;
+    }
+
+    const unknown = names.filter(name => !Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}; expected any of: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+    }
+    return names;
+}
+
+/**
+ * Format one CSV field (RFC 4180). Text is always quoted with embedded quotes doubled, so IDs
+ * and codes such as 000-01 survive spreadsheets; numbers are written as they are and null as empty.
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+
+// Write a chunk, waiting for the stream to drain (or close) when its buffer is full
+const writeChunk = (stream, chunk) => new Promise(resolve => {
+    if (stream.write(chunk)) {
+        return resolve();
+    }
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+/**
+ * Create a writer that streams products in the given format to stream. Call write(rows) for
+ * each batch of product rows, then end(). Only the chosen columns are written.
+ */
+function createExportWriter(format, columns, stream) {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet('Products');
+        sheet.columns = columns.map(column => ({ header: EXPORT_COLUMNS[column], key: column }));
+
+        return {
+            write: async (rows) => rows.forEach(row => sheet.addRow(pick(row, columns)).commit()),
+            end: async () => {
+                sheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+
+    const formats = {
+        csv: {
+            start: columns.map(column => EXPORT_COLUMNS[column]).join(',') + '\n',
+            row: (row) => columns.map(column => csvField(row[column])).join(',') + '\n',
+            end: ''
+        },
+        json: {
+            start: '[',
+            row: (row, first) => `${first ? '\n' : ',\n'}${JSON.stringify(pick(row, columns))}`,
+            end: null
+        },
+        ndjson: {
+            start: '',
+            row: (row) => JSON.stringify(pick(row, columns)) + '\n',
+            end: ''
+        }
+    };
+    const { start, row, end } = formats[format];
+    let started = false;
+    let first = true;
+
+    return {
+        write: async (rows) => {
+            const chunk = rows.map(product => {
+                const line = row(product, first);
+                first = false;
+                return line;
+            }).join('');
+            await writeChunk(stream, (started ? '' : start) + chunk);
+            started = true;
+        },
+        end: async () => {
+            // An empty JSON export is [] rather than [\n]
+            const tail = end ?? (first ? ']\n' : '\n]\n');
+            await writeChunk(stream, (started ? '' : start) + tail);
+            stream.end();
+        }
+    };
+}
+
+module.exports = { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, EXPORT_FORMATS, parseExportColumns, csvField, createExportWriter };
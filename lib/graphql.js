@@ -0,0 +1,315 @@
+const { buildSchema, parse, getOperationAST, getNamedType, getNullableType, isListType, GraphQLError, Kind } = require('graphql');
+
+// Product fields keep the REST names (unit_price, reorder_point, …) so clients can treat
+// GraphQL and REST products alike.
+const typeDefs = `
+    enum ProductSort { RELEVANCE ID NAME CATEGORY QUANTITY UNIT_PRICE CODE }
+    enum SortOrder { ASC DESC }
+
+    type ProductImage {
+        id: Int!
+        url: String!
+        thumbnailUrl: String!
+        originalName: String
+        contentType: String!
+        size: Int!
+        width: Int!
+        height: Int!
+        position: Int!
+        primary: Boolean!
+        createdAt: String
+    }
+
+    type Product {
+        id: ID!
+        category: String!
+        name: String!
+        description: String
+        quantity: Int!
+        unit_price: Float!
+        currency: String!
+        "Stored price and currency when prices were converted with currency"
+        original_unit_price: Float
+        original_currency: String
+        code: String!
+        gtin: String
+        reorder_point: Int
+        reorder_quantity: Int
+        effective_reorder_point: Int
+        effective_reorder_quantity: Int
+        created_at: String
+        updated_at: String
+        "Description excerpt with matches wrapped in <mark> (searches only)"
+        snippet: String
+        "Pass as ifMatch to updateProduct or deleteProduct"
+        etag: String!
+        "Primary image"
+        image: ProductImage
+        images: [ProductImage!]!
+    }
+
+    type PageInfo {
+        "Page number; null when paging with after"
+        page: Int
+        hasNextPage: Boolean!
+        "Cursor for the next page; null for relevance order, which pages by number only"
+        endCursor: String
+    }
+
+    type ProductConnection {
+        nodes: [Product!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type Category {
+        id: Int!
+        slug: String!
+        name: String!
+        description: String
+        "Parent slug"
+        parent: String
+        depth: Int!
+        path: [String!]!
+        productCount: Int!
+        subcategories: [Category!]!
+        products(first: Int = 20, page: Int = 1, after: String, includeSubcategories: Boolean, sortBy: ProductSort, order: SortOrder, currency: String): ProductConnection!
+        createdAt: String
+        updatedAt: String
+    }
+
+    type CategoryStatistics {
+        category: String!
+        count: Int!
+        totalQuantity: Int!
+        totalValue: String!
+    }
+
+    type Statistics {
+        totalProducts: Int!
+        totalQuantity: Int!
+        currency: String!
+        totalValue: String!
+        averagePrice: String!
+        minPrice: String!
+        maxPrice: String!
+        categoryCount: Int!
+        categoryBreakdown: [CategoryStatistics!]!
+        timestamp: String!
+    }
+
+    type Query {
+        "Same filters as GET /api/products; page with page or with after (the previous endCursor)"
+        products(
+            category: String
+            includeSubcategories: Boolean
+            search: String
+            minPrice: Float
+            maxPrice: Float
+            currency: String
+            sortBy: ProductSort
+            order: SortOrder
+            first: Int = 20
+            page: Int = 1
+            after: String
+        ): ProductConnection!
+        product(id: ID!, currency: String): Product
+        categories: [Category!]!
+        "By slug or name"
+        category(slug: String!): Category
+        statistics(currency: String): Statistics!
+    }
+
+    input ProductInput {
+        id: ID!
+        category: String!
+        name: String!
+        description: String
+        quantity: Int!
+        unit_price: Float!
+        currency: String
+        code: String!
+        gtin: String
+        reorder_point: Int
+        reorder_quantity: Int
+    }
+
+    "Fields to change; null clears gtin, reorder_point and reorder_quantity"
+    input ProductPatch {
+        category: String
+        name: String
+        description: String
+        quantity: Int
+        unit_price: Float
+        currency: String
+        code: String
+        gtin: String
+        reorder_point: Int
+        reorder_quantity: Int
+    }
+
+    "Editor role required; validation matches POST, PATCH and DELETE /api/products"
+    type Mutation {
+        createProduct(input: ProductInput!): Product!
+        updateProduct(id: ID!, input: ProductPatch!, ifMatch: String): Product!
+        "Moves the product to the trash and returns its ID"
+        deleteProduct(id: ID!, ifMatch: String): ID!
+    }
+`;
+
+/**
+ * Build the executable schema from typeDefs with resolvers given per type and field,
+ * e.g. { Query: { products: (source, args, context) => … } }.
+ */
+function createSchema(resolvers) {
+    const schema = buildSchema(typeDefs);
+    Object.entries(resolvers).forEach(([typeName, fields]) => {
+        const typeFields = schema.getType(typeName).getFields();
+        Object.entries(fields).forEach(([fieldName, resolve]) => {
+            typeFields[fieldName].resolve = resolve;
+        });
+    });
+    return schema;
+}
+
+/**
+ * Fold a selection set into one value without re-walking fragments: fieldValue(field) gives
+ * the value of a field and combine merges two values. Each fragment is folded once and the
+ * result reused at every spread, so fragments spreading each other many times cost no more
+ * than writing them out once. Introspection fields
+ * (__schema, …) and fragments spreading themselves count as nothing; the standard
+ * NoFragmentCycles rule reports the latter.
+ */
+function foldSelections(context, { fieldValue, combine, empty }) {
+    const memo = new Map();
+    const inProgress = new Set();
+
+    const fold = (selectionSet) => selectionSet.selections.reduce((value, selection) => {
+        if (selection.kind === Kind.FIELD) {
+            return selection.name.value.startsWith('__') ? value : combine(value, fieldValue(selection));
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+            return combine(value, fold(selection.selectionSet));
+        }
+        const name = selection.name.value;
+        const fragment = context.getFragment(name);
+        if (!fragment || inProgress.has(name)) {
+            return value;
+        }
+        if (!memo.has(name)) {
+            inProgress.add(name);
+            memo.set(name, fold(fragment.selectionSet));
+            inProgress.delete(name);
+        }
+        return combine(value, memo.get(name));
+    }, empty);
+
+    return fold;
+}
+
+// Check every operation of a document once its fragments are known
+const operationRule = (check) => (context) => ({
+    Document: {
+        leave(document) {
+            document.definitions
+                .filter(definition => definition.kind === Kind.OPERATION_DEFINITION)
+                .forEach(operation => check(context, operation));
+        }
+    }
+});
+
+/**
+ * Validation rule rejecting operations that nest fields deeper than maxDepth.
+ */
+function depthLimit(maxDepth) {
+    return operationRule((context, operation) => {
+        const depthOf = foldSelections(context, {
+            fieldValue: field => 1 + (field.selectionSet ? depthOf(field.selectionSet) : 0),
+            combine: Math.max,
+            empty: 0
+        });
+        const depth = depthOf(operation.selectionSet);
+        if (depth > maxDepth) {
+            context.reportError(new GraphQLError(`Query depth ${depth} exceeds the limit of ${maxDepth}`, { nodes: [operation] }));
+        }
+    });
+}
+
+/**
+ * Validation rule rejecting operations whose estimated cost exceeds maxComplexity. Every
+ * field costs 1. A list multiplies the cost of its fields by the page size requested above
+ * it (the first argument, kept within 1 to maxPageSize, or maxPageSize when that is a
+ * variable) or else by listSize.
+ */
+function complexityLimit(maxComplexity, { listSize = 10, maxPageSize = 100 } = {}) {
+    return operationRule((context, operation) => {
+        // One fold per parent type and page size, since a fragment's cost depends on both
+        const folds = new Map();
+        const costOf = (selectionSet, parentType, pageSize) => {
+            const key = `${parentType.name}:${pageSize}`;
+            if (!folds.has(key)) {
+                folds.set(key, foldSelections(context, {
+                    fieldValue: field => fieldCost(field, parentType, pageSize),
+                    combine: (a, b) => a + b,
+                    empty: 0
+                }));
+            }
+            return folds.get(key)(selectionSet);
+        };
+
+        const fieldCost = (field, parentType, pageSize) => {
+            const definition = parentType.getFields()[field.name.value];
+            if (!definition) {
+                return 0;
+            }
+
+            // A page size applies to this field when it is a list, else to the list below it (a connection's nodes)
+            let requestedSize;
+            const firstArg = definition.args.find(arg => arg.name === 'first');
+            if (firstArg) {
+                const first = field.arguments.find(arg => arg.name.value === 'first');
+                if (!first) {
+                    requestedSize = firstArg.defaultValue ?? listSize;
+                } else if (first.value.kind === Kind.INT) {
+                    // Out-of-range sizes are rejected when the field runs; a negative one must not offset its siblings' cost
+                    requestedSize = Math.min(Math.max(parseInt(first.value.value), 1), maxPageSize);
+                } else {
+                    requestedSize = maxPageSize;
+                }
+            }
+
+            const isList = isListType(getNullableType(definition.type));
+            const multiplier = isList ? (requestedSize ?? pageSize ?? listSize) : 1;
+            const childPageSize = isList ? undefined : requestedSize;
+
+            const childCost = field.selectionSet
+                ? costOf(field.selectionSet, getNamedType(definition.type), childPageSize)
+                : 0;
+            return 1 + multiplier * childCost;
+        };
+
+        const rootType = operation.operation === 'mutation' ? context.getSchema().getMutationType() : context.getSchema().getQueryType();
+        const cost = rootType ? costOf(operation.selectionSet, rootType) : 0;
+        if (cost > maxComplexity) {
+            context.reportError(new GraphQLError(`Query complexity ${cost} exceeds the limit of ${maxComplexity}`, { nodes: [operation] }));
+        }
+    });
+}
+
+/**
+ * Whether a GraphQL request body ({ query, operationName }) runs a mutation. Unparsable
+ * queries count as no mutation; the GraphQL handler reports them.
+ */
+function isMutationRequest(params) {
+    if (!params || typeof params.query !== 'string') {
+        return false;
+    }
+    try {
+        const operation = getOperationAST(parse(params.query), params.operationName);
+        return Boolean(operation) && operation.operation === 'mutation';
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = { typeDefs, createSchema, depthLimit, complexityLimit, isMutationRequest };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Accepted image formats, keyed by the format sharp detects in the file itself
+const IMAGE_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' }
+};
+const IMAGE_CONTENT_TYPES = Object.values(IMAGE_FORMATS).map(format => format.contentType);
+
+// Thumbnails fit in a square of this many pixels and are always WebP
+const THUMBNAIL_SIZE = 320;
+
+// Public URL prefix of the stored files
+const IMAGE_URL_PATH = '/uploads/products';
+
+/**
+ * Check that buffer really is a JPEG, PNG or WebP image, whatever type the upload claimed,
+ * and render its thumbnail. Throws with a message fit for the client otherwise.
+ */
+async function processImage(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (err) {
+        throw new Error('File is not a readable image');
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+        throw new Error(`Unsupported image format ${metadata.format}; use JPEG, PNG or WebP`);
+    }
+
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+    // EXIF orientations 5-8 are rotated a quarter turn, so the image displays transposed
+    const transposed = metadata.orientation >= 5;
+    return {
+        ...format,
+        width: transposed ? metadata.height : metadata.width,
+        height: transposed ? metadata.width : metadata.height,
+        thumbnail
+    };
+}
+
+/**
+ * Random, unguessable file names for an image and its thumbnail.
+ */
+function imageFileNames(extension) {
+    const base = crypto.randomBytes(16).toString('hex');
+    return { filename: `${base}.${extension}`, thumbnailFilename: `${base}-thumb.webp` };
+}
+
+/**
+ * Shape a product_images row for API responses. Images are part of public product
+ * responses, so the uploader (created_by) stays in the database.
+ */
+function formatImage(row) {
+    return {
+        id: row.id,
+        productId: row.product_id,
+        url: `${IMAGE_URL_PATH}/${row.filename}`,
+        thumbnailUrl: `${IMAGE_URL_PATH}/${row.thumbnail_filename}`,
+        originalName: row.original_name,
+        contentType: row.content_type,
+        size: row.size,
+        width: row.width,
+        height: row.height,
+        position: row.position,
+        primary: Boolean(row.is_primary),
+        createdAt: row.created_at
+    };
+}
+
+module.exports = { IMAGE_CONTENT_TYPES, THUMBNAIL_SIZE, IMAGE_URL_PATH, processImage, imageFileNames, formatImage };
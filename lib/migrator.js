@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { createDbHelpers } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// PostgreSQL has its own schema history, covering the tables lib/repositories uses
+const POSTGRES_MIGRATIONS_DIR = path.join(MIGRATIONS_DIR, 'postgres');
+
+const migrationsTable = (dialect) => `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at ${dialect === 'postgres' ? 'TIMESTAMPTZ' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+)`;
+
+/**
+ * Load migration modules named NNN_description.js, ordered by version.
+ * Each module exports async up(helpers) and down(helpers) functions.
+ */
+function loadMigrations(directory) {
+    return fs.readdirSync(directory)
+        .map(file => file.match(/^(\d+)_(.+)\.js$/))
+        .filter(Boolean)
+        .sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([file, version, name]) => ({ version, name, ...require(path.join(directory, file)) }));
+}
+
+/**
+ * Versioned schema migrations for a sqlite3 connection, or for PostgreSQL helpers from
+ * createPgHelpers, tracked in schema_migrations. Every migration runs in its own
+ * transaction together with its bookkeeping row.
+ */
+function createMigrator(db, { directory } = {}) {
+    const helpers = db.dialect ? db : createDbHelpers(db);
+    const migrations = loadMigrations(directory || (helpers.dialect === 'postgres' ? POSTGRES_MIGRATIONS_DIR : MIGRATIONS_DIR));
+
+    const appliedVersions = async () => {
+        await helpers.run(migrationsTable(helpers.dialect));
+        const rows = await helpers.all('SELECT version, applied_at FROM schema_migrations');
+        return new Map(rows.map(row => [row.version, row.applied_at]));
+    };
+
+    const runInTransaction = async (work) => {
+        await helpers.begin();
+        try {
+            await work();
+            await helpers.run('COMMIT');
+        } catch (err) {
+            await helpers.run('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    };
+
+    return {
+        // Every known migration with its applied timestamp (null when pending)
+        async status() {
+            const applied = await appliedVersions();
+            return migrations.map(({ version, name }) => ({ version, name, appliedAt: applied.get(version) || null }));
+        },
+
+        async pending() {
+            return (await this.status()).filter(migration => !migration.appliedAt);
+        },
+
+        // Apply pending migrations in order, optionally stopping after version `to`
+        async up({ to } = {}) {
+            const applied = await appliedVersions();
+            const done = [];
+            for (const migration of migrations) {
+                if (applied.has(migration.version) || (to && Number(migration.version) > Number(to))) {
+                    continue;
+                }
+                await runInTransaction(async () => {
+                    await migration.up(helpers);
+                    await helpers.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                });
+                done.push({ version: migration.version, name: migration.name });
+            }
+            return done;
+        },
+
+        // Revert the most recently applied migrations, one step by default
+        async down({ steps = 1 } = {}) {
+            const applied = await appliedVersions();
+            const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+            for (const migration of targets) {
+                await runInTransaction(async () => {
+                    await migration.down(helpers);
+                    await helpers.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                });
+            }
+            return targets.map(({ version, name }) => ({ version, name }));
+        }
+    };
+}
+
+module.exports = { createMigrator, MIGRATIONS_DIR, POSTGRES_MIGRATIONS_DIR };
@@ -0,0 +1,31 @@
+const SORT_ORDERS = ['ASC', 'DESC'];
+
+/**
+ * Encode a keyset position as an opaque URL-safe token.
+ * The position holds the sort column and direction, the sort value of the last row
+ * returned and that row's id, which breaks ties between equal sort values.
+ */
+function encodeCursor({ sortBy, order, value, id }) {
+    return Buffer.from(JSON.stringify({ s: sortBy, o: order, v: value, id })).toString('base64url');
+}
+
+/**
+ * Decode a token created by encodeCursor. Throws when the token is malformed or
+ * names a sort column outside sortColumns.
+ */
+function decodeCursor(token, sortColumns) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!position || !sortColumns.includes(position.s) || !SORT_ORDERS.includes(position.o) || typeof position.id !== 'string') {
+        throw new Error('Invalid cursor');
+    }
+
+    return { sortBy: position.s, order: position.o, value: position.v, id: position.id };
+}
+
+module.exports = { encodeCursor, decodeCursor };
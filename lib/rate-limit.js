@@ -0,0 +1,107 @@
+const net = require('net');
+const path = require('path');
+
+/**
+ * The bucket a request counts against: the API key or signed-in user when there is one
+ * (see resolvePrincipal), so clients sharing an address get their own quota, else the IP.
+ */
+function rateLimitKey(req) {
+    if (req.principal) {
+        return `${req.principal.type}:${req.principal.id}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+// IPv4 clients of a dual-stack server show up as ::ffff:1.2.3.4
+const normalizeAddress = (address) => (address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address);
+
+/**
+ * Build a test for addresses exempt from rate limiting from a comma-separated list of
+ * addresses and CIDR ranges, e.g. "127.0.0.1, 10.0.0.0/8, fd00::/8". Throws on invalid entries.
+ */
+function createAllowList(value) {
+    const blockList = new net.BlockList();
+    const entries = String(value ?? '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+    entries.forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+        const bits = prefix === undefined ? null : Number(prefix);
+        if (!type || (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (type === 'ipv4' ? 32 : 128)))) {
+            throw new Error(`Invalid rate limit allow-list entry: ${entry}`);
+        }
+        if (bits === null) {
+            blockList.addAddress(address, type);
+        } else {
+            blockList.addSubnet(address, bits, type);
+        }
+    });
+
+    return (address) => {
+        const normalized = normalizeAddress(address);
+        if (entries.length === 0 || !normalized) {
+            return false;
+        }
+        return blockList.check(normalized, net.isIPv4(normalized) ? 'ipv4' : 'ipv6');
+    };
+}
+
+/**
+ * Rate limit store keeping counters in the rate_limits table, so server instances sharing
+ * the database share quotas. Implements the express-rate-limit store interface on the
+ * rateLimits repository (lib/repositories). Expired counters are cleared once per window.
+ */
+function createDatabaseStore(rateLimits, { prefix = '' } = {}) {
+    let windowMs = 60 * 1000;
+
+    return {
+        prefix,
+        // Counters live outside this process
+        localKeys: false,
+
+        init(options) {
+            windowMs = options.windowMs;
+            setInterval(() => {
+                rateLimits.removeExpired(prefix, Date.now()).catch(() => {});
+            }, windowMs).unref();
+        },
+
+        async get(key) {
+            const row = await rateLimits.find(prefix + key, Date.now());
+            return row ? { totalHits: row.hits, resetTime: new Date(row.reset_at) } : undefined;
+        },
+
+        async increment(key) {
+            const now = Date.now();
+            const row = await rateLimits.increment(prefix + key, now, now + windowMs);
+            return { totalHits: row.hits, resetTime: new Date(row.reset_at) };
+        },
+
+        async decrement(key) {
+            await rateLimits.decrement(prefix + key);
+        },
+
+        async resetKey(key) {
+            await rateLimits.remove(prefix + key);
+        }
+    };
+}
+
+/**
+ * Create the store for one limiter from RATE_LIMIT_STORE: "memory" (the default, per process),
+ * "database" (the rate_limits table) or the path of a module exporting a function
+ * ({ prefix, windowMs }) => store, e.g. a Redis store. Every limiter needs its own store;
+ * prefix keeps their keys apart in shared backends.
+ */
+function createRateLimitStore(type, { prefix, windowMs, rateLimits }) {
+    if (!type || type === 'memory') {
+        return undefined; // express-rate-limit's MemoryStore
+    }
+    if (type === 'database') {
+        return createDatabaseStore(rateLimits, { prefix });
+    }
+    const factory = require(path.resolve(type));
+    return factory({ prefix, windowMs });
+}
+
+module.exports = { rateLimitKey, createAllowList, createDatabaseStore, createRateLimitStore };
@@ -0,0 +1,18 @@
+/**
+ * Reorder settings that apply to a product: its own reorder point and quantity, else
+ * those of its category, else fallbackPoint with no reorder quantity. A product is low
+ * on stock once its quantity is at or below the reorder point.
+ */
+function reorderLevels(product, categoryDefault, fallbackPoint) {
+    const fallback = categoryDefault || {};
+    const reorderPoint = product.reorder_point ?? fallback.reorder_point ?? fallbackPoint;
+    const reorderQuantity = product.reorder_quantity ?? fallback.reorder_quantity ?? null;
+
+    return {
+        effective_reorder_point: reorderPoint,
+        effective_reorder_quantity: reorderQuantity,
+        low_stock: product.quantity <= reorderPoint
+    };
+}
+
+module.exports = { reorderLevels };
@@ -0,0 +1,65 @@
+/**
+ * The audit log: one row per product change, with JSON snapshots of the product before
+ * and after it. Entry IDs only grow, so live event streams use them as their position.
+ */
+function createAuditRepository(db) {
+    return {
+        async insert({ productId, action, beforeData = null, afterData = null, actor = null, ip = null }) {
+            await db.run(
+                'INSERT INTO audit_log (product_id, action, before_data, after_data, actor, ip) VALUES (?, ?, ?, ?, ?, ?)',
+                [productId, action, beforeData, afterData, actor, ip]
+            );
+        },
+
+        // ID of the newest entry, 0 when the log is empty
+        async latestId() {
+            return (await db.get('SELECT COALESCE(MAX(id), 0) AS latest_id FROM audit_log')).latest_id;
+        },
+
+        // Up to limit entries after the entry afterId, oldest first
+        async listAfter(afterId, limit) {
+            return db.all('SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ?', [afterId, limit]);
+        },
+
+        // A product's newest entries first
+        async listForProduct(productId, limit) {
+            return db.all('SELECT * FROM audit_log WHERE product_id = ? ORDER BY id DESC LIMIT ?', [productId, limit]);
+        },
+
+        /**
+         * One page of entries, newest first, with the number of entries matching the filters
+         * productId, action, actor and the timestamps from and to (inclusive).
+         */
+        async list({ productId, action, actor, from, to } = {}, { limit, offset }) {
+            let where = ' WHERE 1=1';
+            const params = [];
+
+            if (productId) {
+                where += ' AND product_id = ?';
+                params.push(productId);
+            }
+            if (action) {
+                where += ' AND action = ?';
+                params.push(action);
+            }
+            if (actor) {
+                where += ' AND actor = ?';
+                params.push(actor);
+            }
+            if (from) {
+                where += ' AND created_at >= ?';
+                params.push(from);
+            }
+            if (to) {
+                where += ' AND created_at <= ?';
+                params.push(to);
+            }
+
+            const { total } = await db.get(`SELECT COUNT(*) AS total FROM audit_log${where}`, params);
+            const entries = await db.all(`SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+            return { total, entries };
+        }
+    };
+}
+
+module.exports = { createAuditRepository };
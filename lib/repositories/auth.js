@@ -0,0 +1,107 @@
+const { dialectOf } = require('./sql');
+
+/**
+ * API keys, stored by the hash of the key. Revoked keys stay for the record.
+ */
+function createApiKeyRepository(db) {
+    const { returningId } = dialectOf(db);
+
+    return {
+        async list() {
+            return db.all('SELECT * FROM api_keys ORDER BY id');
+        },
+
+        async findById(id) {
+            return db.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+        },
+
+        // The key with this hash unless it has been revoked
+        async findActiveByHash(keyHash) {
+            return db.get('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [keyHash]);
+        },
+
+        // Resolves with the new key's ID
+        async create({ name, keyHash, keyPrefix, role, rateLimit = null, createdBy = null }) {
+            const { lastID } = await db.run(
+                `INSERT INTO api_keys (name, key_hash, key_prefix, role, rate_limit, created_by) VALUES (?, ?, ?, ?, ?, ?)${returningId}`,
+                [name, keyHash, keyPrefix, role, rateLimit, createdBy]
+            );
+            return lastID;
+        },
+
+        async touch(id) {
+            await db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        },
+
+        // Resolves with whether an active key was changed
+        async setRateLimit(id, rateLimit) {
+            return (await db.run('UPDATE api_keys SET rate_limit = ? WHERE id = ? AND revoked_at IS NULL', [rateLimit, id])).changes > 0;
+        },
+
+        // Resolves with whether an active key was revoked
+        async revoke(id) {
+            return (await db.run('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id])).changes > 0;
+        }
+    };
+}
+
+/**
+ * Admin UI accounts.
+ */
+function createUserRepository(db) {
+    return {
+        async findByUsername(username) {
+            return db.get('SELECT * FROM users WHERE username = ?', [username]);
+        },
+
+        async create({ username, passwordHash, role }) {
+            await db.run('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [username, passwordHash, role]);
+        },
+
+        async update(id, { passwordHash, role }) {
+            await db.run('UPDATE users SET password_hash = ?, role = ? WHERE id = ?', [passwordHash, role, id]);
+        }
+    };
+}
+
+/**
+ * Admin UI login sessions, stored by the hash of their token.
+ */
+function createSessionRepository(db) {
+    const { now, later } = dialectOf(db);
+
+    return {
+        // Start a session lasting ttlHours; resolves with its expiry timestamp
+        async create(tokenHash, userId, ttlHours) {
+            await db.run(
+                `INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ${later})`,
+                [tokenHash, userId, `${ttlHours} hours`]
+            );
+            return (await db.get('SELECT expires_at FROM sessions WHERE token_hash = ?', [tokenHash])).expires_at;
+        },
+
+        // The signed-in user ({ id, username, role }) of an unexpired session
+        async findUser(tokenHash) {
+            return db.get(`
+                SELECT users.id, users.username, users.role FROM sessions
+                JOIN users ON users.id = sessions.user_id
+                WHERE sessions.token_hash = ? AND sessions.expires_at > ${now}
+            `, [tokenHash]);
+        },
+
+        async remove(tokenHash) {
+            await db.run('DELETE FROM sessions WHERE token_hash = ?', [tokenHash]);
+        },
+
+        // Sign a user out everywhere
+        async removeForUser(userId) {
+            await db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+        },
+
+        async removeExpired() {
+            await db.run(`DELETE FROM sessions WHERE expires_at <= ${now}`);
+        }
+    };
+}
+
+module.exports = { createApiKeyRepository, createUserRepository, createSessionRepository };
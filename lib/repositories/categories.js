@@ -0,0 +1,147 @@
+const { slugify } = require('../categories');
+const { dialectOf } = require('./sql');
+
+// Walk parent_id links from the selected IDs down to every category below them
+function withDescendants(categories, ids) {
+    const selected = new Set(ids);
+    let added = true;
+    while (added) {
+        added = false;
+        categories.forEach(category => {
+            if (category.parent_id !== null && selected.has(category.parent_id) && !selected.has(category.id)) {
+                selected.add(category.id);
+                added = true;
+            }
+        });
+    }
+    return selected;
+}
+
+/**
+ * Names of the category given by slug or name (in any case) and, with includeSubcategories,
+ * of all categories below it. A slug wins over another category's name. Empty when no
+ * category matches.
+ */
+async function categoryNames(db, slugOrName, includeSubcategories) {
+    const categories = await db.all('SELECT id, slug, name, parent_id FROM categories');
+    const key = String(slugOrName).toLowerCase();
+    const match = categories.find(category => category.slug === slugOrName)
+        || categories.find(category => category.name.toLowerCase() === key);
+    if (!match) {
+        return [];
+    }
+    const selected = includeSubcategories ? withDescendants(categories, [match.id]) : new Set([match.id]);
+    return categories.filter(category => selected.has(category.id)).map(category => category.name);
+}
+
+/**
+ * Categories, a tree through parent_id. Products reference them by their canonical name in
+ * products.category, so renames and merges rewrite that column. Names are unique in any case.
+ */
+function createCategoryRepository(db) {
+    const { returningId } = dialectOf(db);
+
+    const repository = {
+        // Category row by slug, or else by name for clients that still pass names; a slug wins over another category's name
+        async find(slugOrName) {
+            return await db.get('SELECT * FROM categories WHERE slug = ?', [slugOrName])
+                || db.get('SELECT * FROM categories WHERE lower(name) = lower(?)', [slugOrName]);
+        },
+
+        // Every category row with its number of live products as product_count
+        async listWithCounts() {
+            const rows = await db.all('SELECT * FROM categories');
+            const counts = await db.all('SELECT category, COUNT(*) AS count FROM products WHERE deleted_at IS NULL GROUP BY category');
+            const byName = new Map(counts.map(row => [row.category, row.count]));
+            return rows.map(row => ({ ...row, product_count: byName.get(row.name) || 0 }));
+        },
+
+        // IDs of a category and every category below it
+        async subtreeIds(id) {
+            const categories = await db.all('SELECT id, parent_id FROM categories');
+            return [...withDescendants(categories, [id])];
+        },
+
+        // Whether a category other than exceptId already has the name (in any case) or the slug
+        async isTaken({ name = null, slug = null }, exceptId = 0) {
+            return Boolean(await db.get(
+                'SELECT id FROM categories WHERE (lower(name) = lower(?) OR slug = ?) AND id <> ?',
+                [name, slug, exceptId]
+            ));
+        },
+
+        // Insert a category, with a slug made from its name unless one is given; resolves with its ID
+        async create({ name, slug = null, description = null, parentId = null }) {
+            const { lastID } = await db.run(
+                `INSERT INTO categories (slug, name, description, parent_id) VALUES (?, ?, ?, ?)${returningId}`,
+                [slug || await repository.uniqueSlug(name), name, description, parentId]
+            );
+            return lastID;
+        },
+
+        async update(id, { name, slug, description, parentId }) {
+            await db.run(
+                'UPDATE categories SET name = ?, slug = ?, description = ?, parent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [name, slug, description, parentId, id]
+            );
+        },
+
+        // Move the direct children of one category below another
+        async reparentChildren(fromId, toId) {
+            await db.run('UPDATE categories SET parent_id = ?, updated_at = CURRENT_TIMESTAMP WHERE parent_id = ?', [toId, fromId]);
+        },
+
+        async hasChildren(id) {
+            return Boolean(await db.get('SELECT id FROM categories WHERE parent_id = ?', [id]));
+        },
+
+        async remove(id) {
+            await db.run('DELETE FROM categories WHERE id = ?', [id]);
+        },
+
+        /**
+         * First free slug for name ("shoes", then "shoes-2", ...), ignoring the category excludeId.
+         */
+        async uniqueSlug(name, excludeId = 0) {
+            const base = slugify(name);
+            for (let n = 1; ; n++) {
+                const slug = n === 1 ? base : `${base}-${n}`;
+                if (!(await db.get('SELECT id FROM categories WHERE slug = ? AND id <> ?', [slug, excludeId]))) {
+                    return slug;
+                }
+            }
+        },
+
+        /**
+         * Canonical name of the category called name, matched case-insensitively. Unknown names
+         * become new top-level categories.
+         */
+        async ensure(name) {
+            const trimmed = String(name).trim();
+            const existing = await db.get('SELECT name FROM categories WHERE lower(name) = lower(?)', [trimmed]);
+            if (existing) {
+                return existing.name;
+            }
+            await repository.create({ name: trimmed });
+            return trimmed;
+        },
+
+        /**
+         * Give every product category a categories row and rewrite spellings that differ only in
+         * case or padding to the canonical name. The most common spelling wins for new categories.
+         * Used by the seed script and test databases.
+         */
+        async sync() {
+            const rows = await db.all('SELECT category, COUNT(*) AS count FROM products GROUP BY category ORDER BY count DESC, category');
+            for (const { category } of rows) {
+                const canonical = await repository.ensure(category);
+                if (canonical !== category) {
+                    await db.run('UPDATE products SET category = ? WHERE category = ?', [canonical, category]);
+                }
+            }
+        }
+    };
+    return repository;
+}
+
+module.exports = { createCategoryRepository, categoryNames };
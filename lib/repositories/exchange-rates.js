@@ -0,0 +1,30 @@
+/**
+ * Exchange rates against the base currency, as units of the currency per base unit.
+ */
+function createExchangeRateRepository(db) {
+    return {
+        async list() {
+            return db.all('SELECT * FROM exchange_rates ORDER BY currency');
+        },
+
+        // The rate of a currency, or undefined when none is stored
+        async rateOf(currency) {
+            const row = await db.get('SELECT rate FROM exchange_rates WHERE currency = ?', [currency]);
+            return row ? row.rate : undefined;
+        },
+
+        async save(currency, rate, updatedBy) {
+            await db.run(`
+                INSERT INTO exchange_rates (currency, rate, updated_by) VALUES (?, ?, ?)
+                ON CONFLICT(currency) DO UPDATE SET rate = excluded.rate, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+            `, [currency, rate, updatedBy]);
+        },
+
+        // Resolves with whether a rate was stored
+        async remove(currency) {
+            return (await db.run('DELETE FROM exchange_rates WHERE currency = ?', [currency])).changes > 0;
+        }
+    };
+}
+
+module.exports = { createExchangeRateRepository };
@@ -0,0 +1,66 @@
+const { dialectOf, placeholders } = require('./sql');
+
+/**
+ * Product images: files in the uploads folder, one row each with its display position
+ * and whether it is the product's primary image.
+ */
+function createImageRepository(db) {
+    const { returningId } = dialectOf(db);
+
+    return {
+        // A product's images in display order
+        async listForProduct(productId) {
+            return db.all('SELECT * FROM product_images WHERE product_id = ? ORDER BY position, id', [productId]);
+        },
+
+        // The primary images of the given products
+        async listPrimary(productIds) {
+            if (productIds.length === 0) {
+                return [];
+            }
+            return db.all(
+                `SELECT * FROM product_images WHERE is_primary = 1 AND product_id IN (${placeholders(productIds)})`,
+                productIds
+            );
+        },
+
+        // Highest position of a product's images and how many are primary, both 0 without images
+        async positions(productId) {
+            return db.get(
+                'SELECT COALESCE(MAX(position), 0) AS position, COALESCE(SUM(is_primary), 0) AS primaries FROM product_images WHERE product_id = ?',
+                [productId]
+            );
+        },
+
+        // Insert an image row; resolves with its ID
+        async insert({ productId, filename, thumbnailFilename, originalName, contentType, size, width, height, position, createdBy }) {
+            const { lastID } = await db.run(`
+                INSERT INTO product_images (product_id, filename, thumbnail_filename, original_name, content_type, size, width, height, position, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)${returningId}
+            `, [productId, filename, thumbnailFilename, originalName, contentType, size, width, height, position, createdBy]);
+            return lastID;
+        },
+
+        // Make imageId the product's only primary image
+        async setPrimary(productId, imageId) {
+            await db.run(
+                'UPDATE product_images SET is_primary = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE product_id = ?',
+                [imageId, productId]
+            );
+        },
+
+        async setPosition(imageId, position) {
+            await db.run('UPDATE product_images SET position = ? WHERE id = ?', [position, imageId]);
+        },
+
+        async remove(imageId) {
+            await db.run('DELETE FROM product_images WHERE id = ?', [imageId]);
+        },
+
+        async removeForProduct(productId) {
+            await db.run('DELETE FROM product_images WHERE product_id = ?', [productId]);
+        }
+    };
+}
+
+module.exports = { createImageRepository };
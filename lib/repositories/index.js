@@ -0,0 +1,39 @@
+// Every query the server runs, behind one interface for SQLite and PostgreSQL. Each
+// repository takes the helpers from lib/db.js (createDbHelpers or createPgHelpers); the SQL
+// is written to run on both, with the remaining differences in ./sql.js. Callers own
+// transactions: pass the helpers of the connection the transaction runs on. Rows come back
+// as SQLite returns them on either database, timestamps included.
+const { createProductRepository, SORT_COLUMNS } = require('./products');
+const { createStatisticsRepository } = require('./statistics');
+const { createCategoryRepository } = require('./categories');
+const { createStockRepository } = require('./stock');
+const { createAuditRepository } = require('./audit');
+const { createImageRepository } = require('./images');
+const { createApiKeyRepository, createUserRepository, createSessionRepository } = require('./auth');
+const { createWebhookRepository } = require('./webhooks');
+const { createReorderDefaultRepository } = require('./reorder-defaults');
+const { createExchangeRateRepository } = require('./exchange-rates');
+const { createRateLimitRepository } = require('./rate-limits');
+
+/**
+ * All repositories for one connection's helpers.
+ */
+function createRepositories(db) {
+    return {
+        products: createProductRepository(db),
+        statistics: createStatisticsRepository(db),
+        categories: createCategoryRepository(db),
+        stock: createStockRepository(db),
+        audit: createAuditRepository(db),
+        images: createImageRepository(db),
+        apiKeys: createApiKeyRepository(db),
+        users: createUserRepository(db),
+        sessions: createSessionRepository(db),
+        webhooks: createWebhookRepository(db),
+        reorderDefaults: createReorderDefaultRepository(db),
+        exchangeRates: createExchangeRateRepository(db),
+        rateLimits: createRateLimitRepository(db)
+    };
+}
+
+module.exports = { createRepositories, PRODUCT_SORT_COLUMNS: SORT_COLUMNS };
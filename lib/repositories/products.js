@@ -0,0 +1,349 @@
+const { BASE_CURRENCY, minorUnits } = require('../currency');
+const { gtinKey } = require('../barcodes');
+const { parseSearch, toFtsQuery, searchWords, searchSnippet } = require('../search');
+const { sqliteTimestamp } = require('../db');
+const { categoryNames } = require('./categories');
+const { dialectOf, placeholders } = require('./sql');
+
+const PRODUCT_COLUMNS = ['id', 'category', 'name', 'description', 'quantity', 'unit_price', 'currency', 'code', 'gtin', 'reorder_point', 'reorder_quantity'];
+const SEARCH_COLUMNS = ['name', 'description', 'code'];
+
+// Columns a listing can be sorted by; searches can also be sorted by relevance
+const SORT_COLUMNS = ['id', 'name', 'category', 'quantity', 'unit_price', 'code'];
+
+// A product's price in the base currency, for filtering and sorting across currencies; NULL
+// when its currency has no rate. Listings join exchange_rates for it.
+const BASE_PRICE = '(products.unit_price / exchange_rates.rate)';
+const RATES_JOIN = ' LEFT JOIN exchange_rates ON exchange_rates.currency = products.currency';
+
+// FTS5 column weights for bm25(): a hit in the name counts most, then the code, then the description
+const FTS_RANK = 'bm25(products_fts, 10.0, 1.0, 5.0)';
+// Highlighted excerpt of the description column (index 1) around the matched terms
+const FTS_SNIPPET = "snippet(products_fts, 1, '<mark>', '</mark>', '…', 16)";
+
+// A field as stored in product_search: its words between single spaces, so LIKE '% word %'
+// finds a whole word or phrase and LIKE '% word%' a prefix
+const searchText = (text) => ` ${searchWords(text).join(' ')} `;
+
+/**
+ * A parsed search as a condition on product_search, the PostgreSQL stand-in for products_fts,
+ * with the operators of FTS5 (NOT binds tightest, then AND, then OR). rank mirrors the bm25()
+ * weights: 10 per term found in the name, 5 in the code, 1 in the description, negated so
+ * that lower is better as with bm25().
+ */
+function searchCondition(parts) {
+    const sql = [];
+    const params = [];
+    const rank = [];
+    const rankParams = [];
+
+    parts.forEach((part, index) => {
+        const previous = parts[index - 1];
+        const opensOperand = typeof part !== 'string' || part === '(';
+        const closedOperand = previous !== undefined && (typeof previous !== 'string' || previous === ')');
+        if (opensOperand && closedOperand) {
+            sql.push('AND');
+        }
+        if (typeof part === 'string') {
+            sql.push(part === 'NOT' ? 'AND NOT' : part);
+            return;
+        }
+
+        const words = searchWords(part.text);
+        if (words.length === 0) {
+            sql.push('1 = 0');
+            return;
+        }
+        const pattern = `% ${words.join(' ')}${part.prefix ? '' : ' '}%`;
+        sql.push(`(${SEARCH_COLUMNS.map(column => `product_search.${column} LIKE ?`).join(' OR ')})`);
+        params.push(pattern, pattern, pattern);
+        rank.push(
+            'CASE WHEN product_search.name LIKE ? THEN 10 ELSE 0 END',
+            'CASE WHEN product_search.code LIKE ? THEN 5 ELSE 0 END',
+            'CASE WHEN product_search.description LIKE ? THEN 1 ELSE 0 END'
+        );
+        rankParams.push(pattern, pattern, pattern);
+    });
+
+    return { sql: `(${sql.join(' ')})`, params, rank: `-(${rank.join(' + ') || '0'})`, rankParams };
+}
+
+/**
+ * Products, live and trashed. Rows have the columns of the products table.
+ */
+function createProductRepository(db) {
+    const dialect = dialectOf(db);
+    const postgres = db.dialect === 'postgres';
+
+    // Compare a timestamp column with a Date in the column's own format
+    const timestampParam = (date) => (postgres ? date.toISOString() : sqliteTimestamp(date));
+
+    // SQLite's FTS5 index follows the products table through triggers; product_search is kept here
+    const indexSearch = async (id) => {
+        if (!postgres) {
+            return;
+        }
+        const row = await db.get('SELECT name, description, code FROM products WHERE id = ?', [id]);
+        await db.run('DELETE FROM product_search WHERE product_id = ?', [id]);
+        if (row) {
+            await db.run(
+                'INSERT INTO product_search (product_id, name, description, code) VALUES (?, ?, ?, ?)',
+                [id, ...SEARCH_COLUMNS.map(column => searchText(row[column]))]
+            );
+        }
+    };
+
+    // Condition on products.category for a category filter, or one matching nothing for an unknown category
+    const categoryCondition = async (slugOrName, includeSubcategories) => {
+        const names = await categoryNames(db, slugOrName, includeSubcategories);
+        return names.length > 0
+            ? { sql: ` AND products.category IN (${placeholders(names)})`, params: names }
+            : { sql: ' AND 1 = 0', params: [] };
+    };
+
+    return {
+        /**
+         * The product with this ID, or undefined. deleted: false finds it only when live,
+         * true only when in the trash; by default either.
+         */
+        async findById(id, { deleted } = {}) {
+            const state = deleted === undefined ? '' : ` AND deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'}`;
+            return db.get(`SELECT * FROM products WHERE id = ?${state}`, [id]);
+        },
+
+        // Live products with this GTIN once both are padded to 14 digits
+        async findByGtin(gtin) {
+            return db.all(`SELECT * FROM products WHERE ${dialect.gtinKey} = ? AND gtin IS NOT NULL AND deleted_at IS NULL`, [gtinKey(gtin)]);
+        },
+
+        // Live products with this code in any case, by ID
+        async findByCode(code) {
+            return db.all('SELECT * FROM products WHERE lower(code) = lower(?) AND deleted_at IS NULL ORDER BY id', [code]);
+        },
+
+        // Whether a product other than exceptId, trashed ones included, has the GTIN
+        async isGtinTaken(gtin, exceptId) {
+            // No product has an empty ID
+            return Boolean(await db.get(
+                `SELECT id FROM products WHERE ${dialect.gtinKey} = ? AND gtin IS NOT NULL AND id <> ?`,
+                [gtinKey(gtin), exceptId || '']
+            ));
+        },
+
+        // Live products in a category (by slug or name) and optionally its subcategories, by name
+        async findByCategory(slugOrName, { includeSubcategories = false } = {}) {
+            const names = await categoryNames(db, slugOrName, includeSubcategories);
+            if (names.length === 0) {
+                return [];
+            }
+            return db.all(
+                `SELECT * FROM products WHERE category IN (${placeholders(names)}) AND deleted_at IS NULL ORDER BY name, id`,
+                names
+            );
+        },
+
+        // Every product, trashed ones included, filed under exactly this category name
+        async listInCategory(name) {
+            return db.all('SELECT * FROM products WHERE category = ?', [name]);
+        },
+
+        // Products, trashed ones included, filed under exactly this category name
+        async countInCategory(name) {
+            return (await db.get('SELECT COUNT(*) AS count FROM products WHERE category = ?', [name])).count;
+        },
+
+        // Products, trashed ones included, priced in the currency
+        async countInCurrency(currency) {
+            return (await db.get('SELECT COUNT(*) AS count FROM products WHERE currency = ?', [currency])).count;
+        },
+
+        /**
+         * Live products at or below their reorder point: their own, else their category's
+         * default, else threshold. Rows carry the category defaults as category_reorder_point
+         * and category_reorder_quantity. category (slug or name) and includeSubcategories
+         * narrow them down as in listings.
+         */
+        async listLowStock(threshold, { category, includeSubcategories = false } = {}) {
+            const filter = category ? await categoryCondition(category, includeSubcategories) : { sql: '', params: [] };
+            return db.all(`
+                SELECT products.*, category_reorder_defaults.reorder_point AS category_reorder_point,
+                    category_reorder_defaults.reorder_quantity AS category_reorder_quantity
+                FROM products
+                LEFT JOIN category_reorder_defaults ON lower(category_reorder_defaults.category) = lower(products.category)
+                WHERE products.deleted_at IS NULL
+                    AND products.quantity <= COALESCE(products.reorder_point, category_reorder_defaults.reorder_point, ?)
+                    ${filter.sql}
+            `, [threshold, ...filter.params]);
+        },
+
+        /**
+         * Live products matching the GET /api/products filters: search (the user's search
+         * string, see lib/search.js), category (slug or name) with includeSubcategories, and
+         * minPrice and maxPrice in currency (the base currency by default). Sorted by one of
+         * SORT_COLUMNS, or by relevance when searching; unknown columns sort by id, and the id
+         * breaks ties. Prices in different currencies sort in the base currency.
+         *
+         * Returns { sortColumn, sortOrder, rows({ after, limit, offset }), count() }. after is
+         * { value, id } of the row to continue strictly after, value being its sortColumn
+         * value (base-currency price for unit_price). Search rows carry a snippet of their description.
+         */
+        listing(filters = {}, sortBy = 'id', order = 'ASC') {
+            const { search, category, includeSubcategories = false, minPrice, maxPrice } = filters;
+            const parts = parseSearch(search);
+            const sortOrder = String(order).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+            const sortColumn = SORT_COLUMNS.includes(sortBy) ? sortBy : 'id';
+            const sortExpression = sortColumn === 'unit_price' ? BASE_PRICE : `products.${sortColumn}`;
+
+            let columns = 'products.*';
+            let from = ` FROM products${RATES_JOIN}`;
+            const fromParams = [];
+            let where = ' WHERE products.deleted_at IS NULL';
+            const params = [];
+            let rank = null;
+            let rankParams = [];
+
+            if (parts.length > 0 && postgres) {
+                const condition = searchCondition(parts);
+                from += ' JOIN product_search ON product_search.product_id = products.id';
+                where += ` AND ${condition.sql}`;
+                params.push(...condition.params);
+                ({ rank, rankParams } = condition);
+            } else if (parts.length > 0) {
+                columns += `, ${FTS_SNIPPET} AS snippet`;
+                from += ' JOIN products_fts ON products_fts.rowid = products.rowid';
+                where += ' AND products_fts MATCH ?';
+                params.push(toFtsQuery(search));
+                rank = FTS_RANK;
+            }
+
+            // Price bounds are in the requested currency, compared at its precision
+            if (minPrice || maxPrice) {
+                const currency = filters.currency || BASE_CURRENCY;
+                from += ' JOIN exchange_rates requested ON requested.currency = ?';
+                fromParams.push(currency);
+                const price = dialect.round(`${BASE_PRICE} * requested.rate`, minorUnits(currency));
+                if (minPrice) {
+                    where += ` AND ${price} >= ?`;
+                    params.push(parseFloat(minPrice));
+                }
+                if (maxPrice) {
+                    where += ` AND ${price} <= ?`;
+                    params.push(parseFloat(maxPrice));
+                }
+            }
+
+            let orderBy;
+            let orderParams = [];
+            if (sortBy === 'relevance' && rank) {
+                orderBy = `${rank} ${sortOrder}, products.id ASC`;
+                orderParams = rankParams;
+            } else if (sortColumn === 'id') {
+                orderBy = `products.id ${sortOrder}`;
+            } else {
+                orderBy = `${sortExpression} ${sortOrder}, products.id ${sortOrder}`;
+            }
+
+            // The category filter needs the category tree, so it is read once, on first use
+            let filtered;
+            const filteredWhere = () => {
+                if (!filtered) {
+                    filtered = category
+                        ? categoryCondition(category, includeSubcategories).then(filter => ({ sql: where + filter.sql, params: [...fromParams, ...params, ...filter.params] }))
+                        : Promise.resolve({ sql: where, params: [...fromParams, ...params] });
+                }
+                return filtered;
+            };
+
+            return {
+                sortColumn,
+                sortOrder,
+
+                async rows({ after, limit, offset } = {}) {
+                    const base = await filteredWhere();
+                    let sql = `SELECT ${columns}${from}${base.sql}`;
+                    const values = [...base.params];
+
+                    if (after) {
+                        const comparison = sortOrder === 'DESC' ? '<' : '>';
+                        if (sortColumn === 'id') {
+                            sql += ` AND products.id ${comparison} ?`;
+                            values.push(after.id);
+                        } else {
+                            sql += ` AND (${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND products.id ${comparison} ?))`;
+                            values.push(after.value, after.value, after.id);
+                        }
+                    }
+                    sql += ` ORDER BY ${orderBy}`;
+                    values.push(...orderParams);
+                    if (limit !== undefined) {
+                        sql += ' LIMIT ? OFFSET ?';
+                        values.push(limit, offset || 0);
+                    }
+
+                    const rows = await db.all(sql, values);
+                    return parts.length > 0 && postgres
+                        ? rows.map(row => ({ ...row, snippet: searchSnippet(row.description, parts) }))
+                        : rows;
+                },
+
+                async count() {
+                    const base = await filteredWhere();
+                    return (await db.get(`SELECT COUNT(*) AS total${from}${base.sql}`, base.params)).total;
+                }
+            };
+        },
+
+        // One page of the trash, most recently deleted first, with the number of trashed products
+        async listTrash({ limit, offset }) {
+            const { total } = await db.get('SELECT COUNT(*) AS total FROM products WHERE deleted_at IS NOT NULL');
+            const rows = await db.all(
+                'SELECT * FROM products WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id LIMIT ? OFFSET ?',
+                [limit, offset]
+            );
+            return { total, products: rows };
+        },
+
+        // Trashed products deleted at or before the given Date (live products have no deleted_at)
+        async listTrashedBefore(date) {
+            return db.all('SELECT * FROM products WHERE deleted_at <= ? ORDER BY deleted_at, id', [timestampParam(date)]);
+        },
+
+        // Insert a validated product; columns left undefined get their defaults
+        async insert(product) {
+            const columns = PRODUCT_COLUMNS.filter(column => product[column] !== undefined);
+            await db.run(
+                `INSERT INTO products (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+                columns.map(column => product[column])
+            );
+            await indexSearch(product.id);
+        },
+
+        // Set the given columns and updated_at; resolves with the number of changed rows
+        async update(id, changes) {
+            const columns = PRODUCT_COLUMNS.filter(column => column !== 'id' && changes[column] !== undefined);
+            const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ');
+            const result = await db.run(`UPDATE products SET ${assignments} WHERE id = ?`, [...columns.map(column => changes[column]), id]);
+            if (result.changes > 0 && columns.some(column => SEARCH_COLUMNS.includes(column))) {
+                await indexSearch(id);
+            }
+            return result.changes;
+        },
+
+        async moveToTrash(id) {
+            return (await db.run('UPDATE products SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL', [id])).changes;
+        },
+
+        async restore(id) {
+            return (await db.run('UPDATE products SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', [id])).changes;
+        },
+
+        // Delete the row for good; rows referencing it (images, history) are the caller's concern
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM products WHERE id = ?', [id]);
+            await indexSearch(id);
+            return changes;
+        }
+    };
+}
+
+module.exports = { createProductRepository, SORT_COLUMNS };
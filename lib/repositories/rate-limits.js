@@ -0,0 +1,42 @@
+const { dialectOf } = require('./sql');
+
+/**
+ * Rate limit counters shared by server instances: hits per key until reset_at, a time in
+ * milliseconds since the epoch. Used by the database store in lib/rate-limit.js.
+ */
+function createRateLimitRepository(db) {
+    const { greatest } = dialectOf(db);
+
+    return {
+        // { hits, reset_at } of a counter whose window is still open at now
+        async find(key, now) {
+            return db.get('SELECT hits, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?', [key, now]);
+        },
+
+        // Count a hit; a counter whose window has passed starts again at 1 until resetAt. Resolves with { hits, reset_at }.
+        async increment(key, now, resetAt) {
+            return db.get(`
+                INSERT INTO rate_limits (key, hits, reset_at) VALUES (?, 1, ?)
+                ON CONFLICT(key) DO UPDATE SET
+                    hits = CASE WHEN rate_limits.reset_at <= ? THEN 1 ELSE rate_limits.hits + 1 END,
+                    reset_at = CASE WHEN rate_limits.reset_at <= ? THEN excluded.reset_at ELSE rate_limits.reset_at END
+                RETURNING hits, reset_at
+            `, [key, resetAt, now, now]);
+        },
+
+        async decrement(key) {
+            await db.run(`UPDATE rate_limits SET hits = ${greatest}(hits - 1, 0) WHERE key = ?`, [key]);
+        },
+
+        async remove(key) {
+            await db.run('DELETE FROM rate_limits WHERE key = ?', [key]);
+        },
+
+        // Drop the counters starting with prefix whose window ended by now
+        async removeExpired(prefix, now) {
+            await db.run('DELETE FROM rate_limits WHERE key LIKE ? AND reset_at <= ?', [`${prefix}%`, now]);
+        }
+    };
+}
+
+module.exports = { createRateLimitRepository };
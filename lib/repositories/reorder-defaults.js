@@ -0,0 +1,47 @@
+/**
+ * Reorder point and quantity defaults per category name. Names match in any case, as
+ * category names do.
+ */
+function createReorderDefaultRepository(db) {
+    const repository = {
+        async list() {
+            return db.all('SELECT * FROM category_reorder_defaults ORDER BY category');
+        },
+
+        async find(category) {
+            return db.get('SELECT * FROM category_reorder_defaults WHERE lower(category) = lower(?)', [category]);
+        },
+
+        // Set a category's defaults, keeping the spelling it was first stored with; resolves with the stored row
+        async save(category, { reorderPoint, reorderQuantity = null }) {
+            const { changes } = await db.run(
+                'UPDATE category_reorder_defaults SET reorder_point = ?, reorder_quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE lower(category) = lower(?)',
+                [reorderPoint, reorderQuantity, category]
+            );
+            if (changes === 0) {
+                await db.run(
+                    'INSERT INTO category_reorder_defaults (category, reorder_point, reorder_quantity) VALUES (?, ?, ?)',
+                    [category, reorderPoint, reorderQuantity]
+                );
+            }
+            return repository.find(category);
+        },
+
+        // Resolves with whether the category had defaults
+        async remove(category) {
+            return (await db.run('DELETE FROM category_reorder_defaults WHERE lower(category) = lower(?)', [category])).changes > 0;
+        },
+
+        // Follow a category rename or merge: the defaults move to the new name unless it has its own
+        async moveCategory(from, to) {
+            if (from.toLowerCase() !== to.toLowerCase() && await repository.find(to)) {
+                await repository.remove(from);
+            } else {
+                await db.run('UPDATE category_reorder_defaults SET category = ? WHERE lower(category) = lower(?)', [to, from]);
+            }
+        }
+    };
+    return repository;
+}
+
+module.exports = { createReorderDefaultRepository };
@@ -0,0 +1,37 @@
+// The SQL that differs between SQLite and PostgreSQL, chosen by the dialect of the helpers
+// a repository runs on. Everything else in lib/repositories is written to run on both.
+const DIALECTS = {
+    sqlite: {
+        // The current time, to compare timestamp columns with
+        now: 'CURRENT_TIMESTAMP',
+        // A timestamp the given interval ('30 seconds', '12 hours') from now
+        later: "datetime('now', '+' || ?)",
+        // Appended to an INSERT so run() reports the new row's id
+        returningId: '',
+        // A GTIN padded to 14 digits, as in the unique index of migrations/012_gtin.js
+        gtinKey: "substr('00000000000000' || gtin, -14)",
+        // Whether the JSON array in column holds the string parameter
+        jsonArrayContains: (column) => `EXISTS (SELECT 1 FROM json_each(${column}) WHERE json_each.value = ?)`,
+        jsonArrayParam: (value) => value,
+        round: (expression, digits) => `ROUND(${expression}, ${digits})`,
+        greatest: 'MAX'
+    },
+    postgres: {
+        now: 'now()',
+        later: 'now() + CAST(? AS INTERVAL)',
+        returningId: ' RETURNING id',
+        // As in the unique index of migrations/postgres/002_server.js
+        gtinKey: "lpad(gtin, 14, '0')",
+        jsonArrayContains: (column) => `CAST(${column} AS JSONB) @> CAST(? AS JSONB)`,
+        jsonArrayParam: (value) => JSON.stringify([value]),
+        // ROUND with a precision only takes numeric
+        round: (expression, digits) => `ROUND(CAST(${expression} AS NUMERIC), ${digits})`,
+        greatest: 'GREATEST'
+    }
+};
+
+const dialectOf = (db) => DIALECTS[db.dialect];
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+module.exports = { dialectOf, placeholders };
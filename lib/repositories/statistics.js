@@ -0,0 +1,82 @@
+// Price in the base currency; NULL when the currency has no rate
+const BASE_PRICE = '(p.unit_price / r.rate)';
+
+/**
+ * Catalog statistics in the base currency and their daily snapshots. Statistics are
+ * { totalProducts, totalQuantity, totalValue, averagePrice, minPrice, maxPrice, categoryCount,
+ * categories: [{ category, count, totalQuantity, totalValue }] }, as formatStatistics expects.
+ */
+function createStatisticsRepository(db) {
+    const fromTable = 'FROM products p LEFT JOIN exchange_rates r ON r.currency = p.currency WHERE p.deleted_at IS NULL';
+
+    return {
+        // Current totals over the live catalog; inventory value is quantity × unit price
+        async read() {
+            const totals = await db.get(`
+                SELECT COUNT(*) AS total_products,
+                       COALESCE(SUM(p.quantity), 0) AS total_quantity,
+                       COALESCE(SUM(p.quantity * ${BASE_PRICE}), 0) AS total_value,
+                       AVG(${BASE_PRICE}) AS average_price,
+                       MIN(${BASE_PRICE}) AS min_price,
+                       MAX(${BASE_PRICE}) AS max_price,
+                       COUNT(DISTINCT p.category) AS category_count
+                ${fromTable}
+            `);
+            const categories = await db.all(`
+                SELECT p.category, COUNT(*) AS count, SUM(p.quantity) AS total_quantity, SUM(p.quantity * ${BASE_PRICE}) AS total_value
+                ${fromTable} GROUP BY p.category ORDER BY p.category
+            `);
+            return {
+                totalProducts: totals.total_products,
+                totalQuantity: totals.total_quantity,
+                totalValue: totals.total_value,
+                averagePrice: totals.average_price,
+                minPrice: totals.min_price,
+                maxPrice: totals.max_price,
+                categoryCount: totals.category_count,
+                categories: categories.map(row => ({
+                    category: row.category,
+                    count: row.count,
+                    totalQuantity: row.total_quantity,
+                    totalValue: row.total_value
+                }))
+            };
+        },
+
+        // Store stats as the snapshot of date (YYYY-MM-DD), replacing an earlier one that day
+        async saveSnapshot(date, stats) {
+            await db.run(`
+                INSERT INTO statistics_snapshots
+                    (date, total_products, total_quantity, total_value, average_price, min_price, max_price, category_count, categories)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (date) DO UPDATE SET
+                    total_products = excluded.total_products, total_quantity = excluded.total_quantity,
+                    total_value = excluded.total_value, average_price = excluded.average_price,
+                    min_price = excluded.min_price, max_price = excluded.max_price,
+                    category_count = excluded.category_count, categories = excluded.categories,
+                    created_at = CURRENT_TIMESTAMP
+            `, [
+                date, stats.totalProducts, stats.totalQuantity, stats.totalValue, stats.averagePrice,
+                stats.minPrice, stats.maxPrice, stats.categoryCount, JSON.stringify(stats.categories)
+            ]);
+        },
+
+        // Snapshots from one date to another (inclusive), oldest first, each as { date, ...statistics }
+        async listSnapshots(from, to) {
+            const rows = await db.all('SELECT * FROM statistics_snapshots WHERE date BETWEEN ? AND ? ORDER BY date', [from, to]);
+            return rows.map(row => ({
+                date: row.date,
+                totalProducts: row.total_products,
+                totalQuantity: row.total_quantity,
+                totalValue: row.total_value,
+                averagePrice: row.average_price,
+                minPrice: row.min_price,
+                maxPrice: row.max_price,
+                categoryCount: row.category_count,
+                categories: JSON.parse(row.categories)
+            }));
+        }
+    };
+}
+
+module.exports = { createStatisticsRepository };
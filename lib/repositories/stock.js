@@ -0,0 +1,54 @@
+const { dialectOf } = require('./sql');
+
+/**
+ * The stock ledger: signed movements per product, whose sum is the product's quantity.
+ */
+function createStockRepository(db) {
+    const { returningId } = dialectOf(db);
+
+    return {
+        // Append a movement; resolves with its ID
+        async insert({ productId, type, quantity, reason = null, reference = null, actor = null }) {
+            const { lastID } = await db.run(
+                `INSERT INTO stock_movements (product_id, type, quantity, reason, reference, actor) VALUES (?, ?, ?, ?, ?, ?)${returningId}`,
+                [productId, type, quantity, reason, reference, actor]
+            );
+            return lastID;
+        },
+
+        async findById(id) {
+            return db.get('SELECT * FROM stock_movements WHERE id = ?', [id]);
+        },
+
+        // On-hand stock of a product: the sum of its ledger
+        async onHand(productId) {
+            return (await db.get('SELECT COALESCE(SUM(quantity), 0) AS total FROM stock_movements WHERE product_id = ?', [productId])).total;
+        },
+
+        // One page of a product's movements, newest first, with the number of movements
+        async list(productId, { limit, offset }) {
+            const { total } = await db.get('SELECT COUNT(*) AS total FROM stock_movements WHERE product_id = ?', [productId]);
+            const movements = await db.all(
+                'SELECT * FROM stock_movements WHERE product_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+                [productId, limit, offset]
+            );
+            return { total, movements };
+        },
+
+        async removeForProduct(productId) {
+            await db.run('DELETE FROM stock_movements WHERE product_id = ?', [productId]);
+        },
+
+        // Ledger entries for products whose stock predates the ledger (seeding, legacy rows)
+        async addOpeningBalances() {
+            await db.run(`
+                INSERT INTO stock_movements (product_id, type, quantity, reason)
+                SELECT products.id, 'adjustment', products.quantity, 'Opening balance' FROM products
+                LEFT JOIN stock_movements ON stock_movements.product_id = products.id
+                WHERE products.quantity <> 0 AND stock_movements.id IS NULL
+            `);
+        }
+    };
+}
+
+module.exports = { createStockRepository };
@@ -0,0 +1,136 @@
+const { dialectOf } = require('./sql');
+
+const WEBHOOK_COLUMNS = ['url', 'events', 'secret', 'description', 'active'];
+
+/**
+ * Webhook subscriptions (events is a JSON array of event names) and their queue of
+ * deliveries. Deliveries are pending until sent, and are retried at next_attempt_at.
+ */
+function createWebhookRepository(db) {
+    const { now, later, returningId, jsonArrayContains, jsonArrayParam } = dialectOf(db);
+
+    // A delivery with the url and secret of its webhook, as attempts need it
+    const DELIVERY_WITH_WEBHOOK = `
+        SELECT webhook_deliveries.*, webhooks.url, webhooks.secret FROM webhook_deliveries
+        JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+    `;
+
+    return {
+        async list() {
+            return db.all('SELECT * FROM webhooks ORDER BY id');
+        },
+
+        async findById(id) {
+            return db.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+        },
+
+        // Resolves with the new webhook's ID
+        async create({ url, events, secret, description = null, active = 1, createdBy = null }) {
+            const { lastID } = await db.run(
+                `INSERT INTO webhooks (url, events, secret, description, active, created_by) VALUES (?, ?, ?, ?, ?, ?)${returningId}`,
+                [url, events, secret, description, active, createdBy]
+            );
+            return lastID;
+        },
+
+        // Set the given columns and updated_at; resolves with whether the webhook exists
+        async update(id, changes) {
+            const columns = WEBHOOK_COLUMNS.filter(column => changes[column] !== undefined);
+            const assignments = [...columns.map(column => `${column} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ');
+            const { changes: changed } = await db.run(`UPDATE webhooks SET ${assignments} WHERE id = ?`, [...columns.map(column => changes[column]), id]);
+            return changed > 0;
+        },
+
+        // Delete a webhook with its deliveries; resolves with whether it existed
+        async remove(id) {
+            const { changes } = await db.run('DELETE FROM webhooks WHERE id = ?', [id]);
+            await db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+            return changes > 0;
+        },
+
+        /**
+         * Queue an event for delivery to every active webhook subscribed to it.
+         * Resolves with the number of queued deliveries.
+         */
+        async queue(event, payload) {
+            const { changes } = await db.run(`
+                INSERT INTO webhook_deliveries (webhook_id, event, payload)
+                SELECT id, ?, ? FROM webhooks
+                WHERE active = 1 AND ${jsonArrayContains('webhooks.events')}
+            `, [event, payload, jsonArrayParam(event)]);
+            return changes;
+        },
+
+        // A single delivery due in delaySeconds rather than now; resolves with it and its webhook's url and secret
+        async queueDelayed(webhookId, event, payload, delaySeconds) {
+            const { lastID } = await db.run(
+                `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ${later})${returningId}`,
+                [webhookId, event, payload, `${delaySeconds} seconds`]
+            );
+            return db.get(`${DELIVERY_WITH_WEBHOOK} WHERE webhook_deliveries.id = ?`, [lastID]);
+        },
+
+        /**
+         * Up to limit pending deliveries that are due, with their webhook's url and secret.
+         * The batch takes each webhook's oldest delivery first, so one backlog cannot fill it:
+         * every webhook's queue is read on its own and the queues take turns.
+         */
+        async listDue(limit) {
+            const due = `webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ${now}`;
+            const webhooks = await db.all(`SELECT DISTINCT webhook_id FROM webhook_deliveries WHERE ${due}`);
+            const queues = [];
+            for (const { webhook_id } of webhooks) {
+                queues.push(await db.all(
+                    `${DELIVERY_WITH_WEBHOOK} WHERE webhook_deliveries.webhook_id = ? AND ${due} ORDER BY webhook_deliveries.id LIMIT ?`,
+                    [webhook_id, limit]
+                ));
+            }
+
+            const batch = [];
+            for (let turn = 0; batch.length < limit; turn++) {
+                const round = queues.filter(queue => turn < queue.length).map(queue => queue[turn]);
+                if (round.length === 0) {
+                    break;
+                }
+                batch.push(...round.sort((a, b) => a.id - b.id).slice(0, limit - batch.length));
+            }
+            return batch;
+        },
+
+        async findDelivery(id) {
+            return db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        },
+
+        // One page of a webhook's deliveries, newest first, optionally with one status, and their number
+        async listDeliveries(webhookId, { status, limit, offset }) {
+            let where = 'WHERE webhook_id = ?';
+            const params = [webhookId];
+            if (status) {
+                where += ' AND status = ?';
+                params.push(status);
+            }
+            const { total } = await db.get(`SELECT COUNT(*) AS total FROM webhook_deliveries ${where}`, params);
+            const deliveries = await db.all(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+            return { total, deliveries };
+        },
+
+        async markDelivered(id, { attempts, responseStatus }) {
+            await db.run(`
+                UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, error = NULL,
+                    last_attempt_at = CURRENT_TIMESTAMP, delivered_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [attempts, responseStatus, id]);
+        },
+
+        // Record a failed attempt; the delivery is retried in retrySeconds unless failed is set
+        async markFailed(id, { attempts, responseStatus, error, failed, retrySeconds }) {
+            await db.run(`
+                UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?,
+                    last_attempt_at = CURRENT_TIMESTAMP, next_attempt_at = ${later}
+                WHERE id = ?
+            `, [failed ? 'failed' : 'pending', attempts, responseStatus, error, `${retrySeconds} seconds`, id]);
+        }
+    };
+}
+
+module.exports = { createWebhookRepository };
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Headers that carry credentials; their values never reach the logs
+const REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'proxy-authorization'];
+
+// Incoming X-Request-Id values are reused only when they look like an ID, so clients cannot inject log content
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * The request being handled, as { requestId }, for everything that runs on its behalf,
+ * including callbacks and promises started by its handlers. The logger reads it to tag lines.
+ */
+const requestContext = new AsyncLocalStorage();
+
+// The client's X-Request-Id when usable, else a new UUID
+const requestIdFrom = (header) => (typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID());
+
+// Copy of a headers object with credential values replaced
+function redactHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => (
+        [name, REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value]
+    )));
+}
+
+/**
+ * Count the bytes of a response body as they are written; streamed responses such as exports
+ * and event streams have no Content-Length. Returns a function reading the count so far.
+ */
+function countResponseBytes(res) {
+    let bytes = 0;
+    const count = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            bytes += Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+        }
+    };
+    const { write, end } = res;
+    res.write = function (chunk, encoding, ...rest) {
+        count(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+        count(chunk, encoding);
+        return end.call(this, chunk, encoding, ...rest);
+    };
+    return () => bytes;
+}
+
+/**
+ * Express middleware giving every request an ID (echoed as X-Request-Id) and writing one log
+ * entry per request once the response is done or the client went away: method, URL, status,
+ * duration in milliseconds, response size in bytes, client and redacted request headers.
+ */
+function requestLogger(logger) {
+    return (req, res, next) => {
+        const requestId = requestIdFrom(req.get('X-Request-Id'));
+        const started = process.hrtime.bigint();
+        const responseBytes = countResponseBytes(res);
+
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('close', () => {
+            logger.info('Request completed', {
+                requestId,
+                method: req.method,
+                url: req.originalUrl,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+                bytes: responseBytes(),
+                // Aborted by the client before the response was complete, e.g. a closed event stream
+                aborted: !res.writableFinished,
+                ip: req.ip,
+                principal: req.principal ? req.principal.name : null,
+                headers: redactHeaders(req.headers)
+            });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+module.exports = { REDACTED_HEADERS, requestContext, requestIdFrom, redactHeaders, countResponseBytes, requestLogger };
@@ -0,0 +1,143 @@
+// Search syntax shared by both databases: SQLite matches it against products_fts, the FTS5
+// index created by migrations/002_products_search_index.js, and PostgreSQL against the
+// words kept in product_search (see lib/repositories/products.js).
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Parse a user search string into terms ({ text, prefix }), the upper-case operators AND,
+ * OR and NOT, and parentheses, in order. Plain words are combined with an implicit AND.
+ * Operators that have no term on one side, unbalanced parentheses and empty terms are
+ * dropped, so the result is always a valid query; it is empty when nothing searchable is left.
+ */
+function parseSearch(search) {
+    const tokens = String(search || '').match(/"[^"]*"?|\(|\)|[^\s"()]+/g) || [];
+    const parts = [];
+    let depth = 0;
+
+    tokens.forEach(token => {
+        if (token === '(' || token === ')') {
+            if (token === '(') {
+                depth++;
+            } else if (depth > 0) {
+                depth--;
+            } else {
+                return;
+            }
+            parts.push(token);
+        } else if (OPERATORS.includes(token)) {
+            parts.push(token);
+        } else {
+            const prefix = token.endsWith('*');
+            const text = token.replace(/^"|"$/g, '').replace(/\*+$/, '').replace(/"/g, '').trim();
+            if (text) {
+                parts.push({ text, prefix });
+            }
+        }
+    });
+
+    while (depth-- > 0) {
+        parts.push(')');
+    }
+
+    // Drop operators that have no term on one side, and empty parentheses
+    const cleaned = [];
+    parts.forEach(part => {
+        const previous = cleaned[cleaned.length - 1];
+        if (OPERATORS.includes(part) && (previous === undefined || previous === '(' || OPERATORS.includes(previous))) {
+            return;
+        }
+        if (part === ')' && (previous === '(' || OPERATORS.includes(previous))) {
+            while (OPERATORS.includes(cleaned[cleaned.length - 1])) {
+                cleaned.pop();
+            }
+            if (cleaned[cleaned.length - 1] === '(') {
+                cleaned.pop();
+                return;
+            }
+        }
+        cleaned.push(part);
+    });
+    while (OPERATORS.includes(cleaned[cleaned.length - 1])) {
+        cleaned.pop();
+    }
+
+    return cleaned;
+}
+
+/**
+ * Convert a user search string into an FTS5 MATCH expression.
+ *
+ * Supported syntax: "quoted phrases", prefix terms (shoe*), the upper-case operators
+ * AND, OR and NOT, and parentheses. Plain words are combined with an implicit AND.
+ * Every term is quoted, so punctuation such as the dash in "000-01" cannot cause
+ * an FTS5 syntax error. Returns an empty string when nothing searchable is left.
+ */
+function toFtsQuery(search) {
+    return parseSearch(search)
+        .map(part => (typeof part === 'string' ? part : `"${part.text}"${part.prefix ? '*' : ''}`))
+        .join(' ');
+}
+
+/**
+ * Words of text as FTS5's unicode61 tokenizer with remove_diacritics sees them: runs of
+ * letters and digits, lower case and without accents.
+ */
+function searchWords(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Excerpt of up to size words of text around the first match of the terms of parts (from
+ * parseSearch), with matches wrapped in <mark> and '…' where text was cut, like FTS5's snippet().
+ */
+function searchSnippet(text, parts, size = 16) {
+    const source = String(text || '');
+    const tokens = [...source.matchAll(/[\p{L}\p{N}]+/gu)];
+    const words = tokens.map(token => searchWords(token[0]).join(''));
+    const marked = new Array(tokens.length).fill(false);
+
+    parts.filter(part => typeof part !== 'string').forEach(({ text: termText, prefix }) => {
+        const termWords = searchWords(termText);
+        if (termWords.length === 0) {
+            return;
+        }
+        for (let i = 0; i + termWords.length <= words.length; i++) {
+            const matches = termWords.every((word, j) => (
+                prefix && j === termWords.length - 1 ? words[i + j].startsWith(word) : words[i + j] === word
+            ));
+            if (matches) {
+                termWords.forEach((word, j) => {
+                    marked[i + j] = true;
+                });
+            }
+        }
+    });
+
+    const firstMatch = Math.max(marked.indexOf(true), 0);
+    const start = Math.max(Math.min(firstMatch, tokens.length - size), 0);
+    const end = Math.min(start + size, tokens.length);
+    let snippet = start > 0 ? '…' : source.slice(0, tokens.length > 0 ? tokens[0].index : source.length);
+    for (let i = start; i < end; i++) {
+        const token = tokens[i];
+        snippet += marked[i] && !(i > start && marked[i - 1]) ? '<mark>' : '';
+        snippet += token[0];
+        snippet += marked[i] && !(marked[i + 1] && i + 1 < end) ? '</mark>' : '';
+        if (i + 1 < end) {
+            snippet += source.slice(token.index + token[0].length, tokens[i + 1].index);
+        }
+    }
+    if (end < tokens.length) {
+        snippet += '…';
+    } else if (end > 0) {
+        snippet += source.slice(tokens[end - 1].index + tokens[end - 1][0].length);
+    }
+    return snippet;
+}
+
+module.exports = { parseSearch, toFtsQuery, searchWords, searchSnippet };
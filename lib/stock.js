@@ -0,0 +1,31 @@
+const MOVEMENT_TYPES = ['receipt', 'sale', 'return', 'adjustment'];
+
+/**
+ * Signed change in on-hand stock for a movement. Receipts and returns add stock and
+ * sales remove it, so their quantity is always given as a positive number; adjustments
+ * carry their own sign.
+ */
+function stockDelta(type, quantity) {
+    if (type === 'adjustment') {
+        return quantity;
+    }
+    return type === 'sale' ? -Math.abs(quantity) : Math.abs(quantity);
+}
+
+/**
+ * Shape a stock_movements row for API responses.
+ */
+function formatMovement(row) {
+    return {
+        id: row.id,
+        productId: row.product_id,
+        type: row.type,
+        quantity: row.quantity,
+        reason: row.reason,
+        reference: row.reference,
+        actor: row.actor,
+        timestamp: row.created_at
+    };
+}
+
+module.exports = { MOVEMENT_TYPES, stockDelta, formatMovement };
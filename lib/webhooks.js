@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Events subscriptions can ask for; webhook.test is only sent by the "send test event" action
+const WEBHOOK_EVENTS = ['product.created', 'product.updated', 'product.deleted', 'product.restored', 'stock.low'];
+const TEST_EVENT = 'webhook.test';
+
+// Webhook event for each audit action (purges happen after product.deleted was sent)
+const AUDIT_ACTION_EVENTS = {
+    create: 'product.created',
+    update: 'product.updated',
+    delete: 'product.deleted',
+    restore: 'product.restored'
+};
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Seconds to wait before the next attempt after `attempts` failed ones:
+ * 30s, 1m, 2m, 4m, ... capped at six hours.
+ */
+function retryDelaySeconds(attempts) {
+    return Math.min(BASE_RETRY_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+/**
+ * HMAC-SHA256 signature of "<timestamp>.<body>", sent as X-Webhook-Signature: sha256=<hex>.
+ * Including the timestamp lets receivers reject replayed deliveries.
+ */
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST a JSON body to a subscriber. Resolves with the HTTP status code of any response
+ * and rejects on network errors and timeouts.
+ */
+function postWebhook(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'LookupProtocol-Webhooks',
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS
+        }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Shape a webhooks row for API responses; the secret is only returned when it is created.
+ */
+function formatWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: JSON.parse(row.events),
+        description: row.description,
+        active: Boolean(row.active),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Shape a webhook_deliveries row for API responses.
+ */
+function formatDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        error: row.error,
+        createdAt: row.created_at,
+        lastAttemptAt: row.last_attempt_at,
+        nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+        deliveredAt: row.delivered_at,
+        payload: JSON.parse(row.payload)
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    AUDIT_ACTION_EVENTS,
+    MAX_ATTEMPTS,
+    retryDelaySeconds,
+    signPayload,
+    postWebhook,
+    formatWebhook,
+    formatDelivery
+};
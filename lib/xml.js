@@ -0,0 +1,135 @@
+const { XMLParser } = require('fast-xml-parser');
+const { BASE_CURRENCY, minorUnits } = require('./currency');
+
+// Misspellings found in the original thing.xml catalog, keyed by lower-case spelling
+const CATEGORY_ALIASES = {
+    accessoriess: 'Accessories',
+    'causal wear': 'Casual wear'
+};
+
+// Price prefixes used in the feed; other currencies are written with their code ("CHF 30.00")
+const CURRENCY_SYMBOLS = {
+    EUR: '€',
+    GBP: '£',
+    USD: '$'
+};
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    isArray: (name, jpath) => jpath === 'productList.product'
+});
+
+const collapseWhitespace = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Clean up a category from the XML feed: trims padding and fixes known misspellings.
+ */
+function normalizeCategory(value) {
+    const category = collapseWhitespace(value);
+    return CATEGORY_ALIASES[category.toLowerCase()] || category;
+}
+
+/**
+ * Turn a feed price such as "€30.00", "45.00" or "€ 1.299,50" into a number.
+ * Returns NaN when no number can be found so validation reports the row.
+ */
+function parsePrice(value) {
+    let amount = collapseWhitespace(value).replace(/[^\d.,-]/g, '');
+
+    // A trailing comma group with one or two digits is a decimal comma
+    if (/,\d{1,2}$/.test(amount)) {
+        amount = amount.replace(/\./g, '').replace(',', '.');
+    } else {
+        amount = amount.replace(/,/g, '');
+    }
+
+    return amount === '' ? NaN : Number(amount);
+}
+
+/**
+ * Currency of a feed price: a known symbol or a leading/trailing ISO code ("CHF 30.00").
+ * Prices without either were in euros in the original catalog.
+ */
+function parsePriceCurrency(value) {
+    const text = collapseWhitespace(value);
+    const code = text.match(/^([A-Za-z]{3})\b|\b([A-Za-z]{3})$/);
+    if (code) {
+        return (code[1] || code[2]).toUpperCase();
+    }
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(currency => text.includes(CURRENCY_SYMBOLS[currency]));
+    return symbol || BASE_CURRENCY;
+}
+
+/**
+ * Write a price the way the feed does: symbol and amount for common currencies, else code and amount.
+ */
+function formatPrice(amount, currency = BASE_CURRENCY) {
+    const value = Number(amount).toFixed(minorUnits(currency));
+    return CURRENCY_SYMBOLS[currency] ? `${CURRENCY_SYMBOLS[currency]}${value}` : `${currency} ${value}`;
+}
+
+const toNumber = (value) => {
+    const text = collapseWhitespace(value);
+    return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Parse a <productList> document in the thing.xml format into product objects.
+ */
+function parseProductsXml(text) {
+    let document;
+    try {
+        document = parser.parse(text, true);
+    } catch (err) {
+        throw new Error(`Invalid XML: ${err.message}`);
+    }
+
+    if (!document || !document.productList) {
+        throw new Error('XML document must have a <productList> root element');
+    }
+
+    return (document.productList.product || []).map(product => ({
+        id: collapseWhitespace(product.id),
+        category: normalizeCategory(product.category),
+        name: collapseWhitespace(product.name),
+        description: collapseWhitespace(product.description),
+        quantity: toNumber(product.quantity),
+        unit_price: parsePrice(product.unit_price),
+        currency: parsePriceCurrency(product.unit_price),
+        code: collapseWhitespace(product.code)
+    }));
+}
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Serialize products into the thing.xml <productList> format, prices written with formatPrice.
+ */
+function productsToXml(products) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<productList>'];
+
+    products.forEach(product => {
+        lines.push(`  <product id="${escapeXml(product.id)}">`);
+        lines.push(`    <category>${escapeXml(product.category)}</category>`);
+        lines.push(`    <name>${escapeXml(product.name)}</name>`);
+        lines.push(`    <description>${escapeXml(product.description)}</description>`);
+        lines.push(`    <quantity>${product.quantity}</quantity>`);
+        lines.push(`    <unit_price>${escapeXml(formatPrice(product.unit_price, product.currency))}</unit_price>`);
+        lines.push(`    <code>${escapeXml(product.code)}</code>`);
+        lines.push('  </product>');
+    });
+
+    lines.push('</productList>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { parseProductsXml, productsToXml, normalizeCategory, parsePrice, parsePriceCurrency, formatPrice };
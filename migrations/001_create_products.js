@@ -0,0 +1,26 @@
+// Products table and lookup indexes as originally created by scripts/init-db.js.
+// IF NOT EXISTS lets databases created by that script adopt migrations without losing data.
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE IF NOT EXISTS products (
+                id TEXT PRIMARY KEY,
+                category TEXT NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                quantity INTEGER NOT NULL,
+                unit_price REAL NOT NULL,
+                code TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX IF NOT EXISTS idx_category ON products(category)');
+        await run('CREATE INDEX IF NOT EXISTS idx_name ON products(name)');
+        await run('CREATE INDEX IF NOT EXISTS idx_code ON products(code)');
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS products');
+    }
+};
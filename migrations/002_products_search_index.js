@@ -0,0 +1,42 @@
+// FTS5 index over name, description and code. It is an external-content table, so the
+// text lives only in products and the triggers keep the index in step with every write.
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+                name, description, code,
+                content='products', content_rowid='rowid',
+                tokenize='unicode61 remove_diacritics 2', prefix='2 3'
+            )
+        `);
+        await run(`
+            CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+                INSERT INTO products_fts(rowid, name, description, code)
+                VALUES (new.rowid, new.name, new.description, new.code);
+            END
+        `);
+        await run(`
+            CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+                INSERT INTO products_fts(products_fts, rowid, name, description, code)
+                VALUES ('delete', old.rowid, old.name, old.description, old.code);
+            END
+        `);
+        await run(`
+            CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE OF name, description, code ON products BEGIN
+                INSERT INTO products_fts(products_fts, rowid, name, description, code)
+                VALUES ('delete', old.rowid, old.name, old.description, old.code);
+                INSERT INTO products_fts(rowid, name, description, code)
+                VALUES (new.rowid, new.name, new.description, new.code);
+            END
+        `);
+        // Index products that existed before the search index
+        await run("INSERT INTO products_fts(products_fts) VALUES ('rebuild')");
+    },
+
+    async down({ run }) {
+        await run('DROP TRIGGER IF EXISTS products_fts_insert');
+        await run('DROP TRIGGER IF EXISTS products_fts_delete');
+        await run('DROP TRIGGER IF EXISTS products_fts_update');
+        await run('DROP TABLE IF EXISTS products_fts');
+    }
+};
@@ -0,0 +1,15 @@
+// deleted_at marks products that are in the trash
+module.exports = {
+    async up({ run, all }) {
+        const columns = await all('PRAGMA table_info(products)');
+        if (!columns.some(column => column.name === 'deleted_at')) {
+            await run('ALTER TABLE products ADD COLUMN deleted_at DATETIME');
+        }
+        await run('CREATE INDEX IF NOT EXISTS idx_deleted_at ON products(deleted_at)');
+    },
+
+    async down({ run }) {
+        await run('DROP INDEX IF EXISTS idx_deleted_at');
+        await run('ALTER TABLE products DROP COLUMN deleted_at');
+    }
+};
@@ -0,0 +1,23 @@
+// Audit log of every product change with before/after snapshots
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                before_data TEXT,
+                after_data TEXT,
+                actor TEXT,
+                ip TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX IF NOT EXISTS idx_audit_product ON audit_log(product_id)');
+        await run('CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at)');
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS audit_log');
+    }
+};
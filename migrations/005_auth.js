@@ -0,0 +1,42 @@
+// Users who sign in to the admin UI, their sessions, and API keys for machine clients
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`
+            CREATE TABLE sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL
+            )
+        `);
+        await run('CREATE INDEX idx_sessions_expires ON sessions(expires_at)');
+        await run(`
+            CREATE TABLE api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT NOT NULL,
+                role TEXT NOT NULL,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                revoked_at DATETIME
+            )
+        `);
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS api_keys');
+        await run('DROP TABLE IF EXISTS sessions');
+        await run('DROP TABLE IF EXISTS users');
+    }
+};
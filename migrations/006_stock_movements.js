@@ -0,0 +1,27 @@
+// Stock ledger: every change to on-hand quantity as a signed movement. Existing stock
+// becomes an opening balance so the movements of each product sum to products.quantity.
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE stock_movements (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                quantity INTEGER NOT NULL,
+                reason TEXT,
+                reference TEXT,
+                actor TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, id)');
+        await run(`
+            INSERT INTO stock_movements (product_id, type, quantity, reason, created_at)
+            SELECT id, 'adjustment', quantity, 'Opening balance', created_at FROM products WHERE quantity <> 0
+        `);
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS stock_movements');
+    }
+};
@@ -0,0 +1,21 @@
+// Reorder point and quantity per product, with per-category defaults for products that set neither
+module.exports = {
+    async up({ run }) {
+        await run('ALTER TABLE products ADD COLUMN reorder_point INTEGER');
+        await run('ALTER TABLE products ADD COLUMN reorder_quantity INTEGER');
+        await run(`
+            CREATE TABLE category_reorder_defaults (
+                category TEXT PRIMARY KEY COLLATE NOCASE,
+                reorder_point INTEGER NOT NULL,
+                reorder_quantity INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS category_reorder_defaults');
+        await run('ALTER TABLE products DROP COLUMN reorder_quantity');
+        await run('ALTER TABLE products DROP COLUMN reorder_point');
+    }
+};
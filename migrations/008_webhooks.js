@@ -0,0 +1,41 @@
+// Webhook subscriptions and their delivery queue, which doubles as the delivery log
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                url TEXT NOT NULL,
+                events TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                description TEXT,
+                active INTEGER NOT NULL DEFAULT 1,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`
+            CREATE TABLE webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_attempt_at DATETIME,
+                response_status INTEGER,
+                error TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME
+            )
+        `);
+        await run('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+        await run('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS webhook_deliveries');
+        await run('DROP TABLE IF EXISTS webhooks');
+    }
+};
@@ -0,0 +1,20 @@
+// Currency per product and exchange rates against the base currency. Existing prices were in euros.
+module.exports = {
+    async up({ run }) {
+        await run("ALTER TABLE products ADD COLUMN currency TEXT NOT NULL DEFAULT 'EUR'");
+        await run(`
+            CREATE TABLE exchange_rates (
+                currency TEXT PRIMARY KEY,
+                rate REAL NOT NULL,
+                updated_by TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run("INSERT INTO exchange_rates (currency, rate) VALUES ('EUR', 1)");
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS exchange_rates');
+        await run('ALTER TABLE products DROP COLUMN currency');
+    }
+};
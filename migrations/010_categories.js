@@ -0,0 +1,61 @@
+// Categories as their own table with a slug, description and optional parent. Existing
+// product categories become top-level categories, with case variants folded together.
+// The slug and folding rules are copied here as they were, so the migration does the same
+// on every database whatever lib/categories.js does later.
+
+function slugify(name) {
+    const slug = String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'category';
+}
+
+async function uniqueSlug(get, name) {
+    const base = slugify(name);
+    for (let n = 1; ; n++) {
+        const slug = n === 1 ? base : `${base}-${n}`;
+        if (!await get('SELECT id FROM categories WHERE slug = ?', [slug])) {
+            return slug;
+        }
+    }
+}
+
+module.exports = {
+    async up({ get, all, run }) {
+        await run(`
+            CREATE TABLE categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                slug TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                description TEXT,
+                parent_id INTEGER REFERENCES categories(id),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX idx_categories_parent ON categories(parent_id)');
+
+        // The most common spelling of each name becomes the category; the others are rewritten to it
+        const rows = await all('SELECT category, COUNT(*) AS count FROM products GROUP BY category ORDER BY count DESC, category');
+        for (const { category } of rows) {
+            const name = String(category).trim();
+            let canonical = name;
+            const existing = await get('SELECT name FROM categories WHERE name = ?', [name]);
+            if (existing) {
+                canonical = existing.name;
+            } else {
+                await run('INSERT INTO categories (slug, name) VALUES (?, ?)', [await uniqueSlug(get, name), name]);
+            }
+            if (canonical !== category) {
+                await run('UPDATE products SET category = ? WHERE category = ?', [canonical, category]);
+            }
+        }
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS categories');
+    }
+};
@@ -0,0 +1,28 @@
+// Uploaded product images. The files live under UPLOADS_DIR; rows keep their order and
+// which one is the product's primary image.
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE product_images (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                product_id TEXT NOT NULL REFERENCES products(id),
+                filename TEXT NOT NULL UNIQUE,
+                thumbnail_filename TEXT NOT NULL,
+                original_name TEXT,
+                content_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                width INTEGER,
+                height INTEGER,
+                position INTEGER NOT NULL,
+                is_primary INTEGER NOT NULL DEFAULT 0,
+                created_by TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX idx_product_images_product ON product_images(product_id, position)');
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS product_images');
+    }
+};
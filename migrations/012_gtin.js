@@ -0,0 +1,14 @@
+// Optional GTIN (EAN-8, UPC-A, EAN-13 or GTIN-14) per product, unique across the catalog
+// and the trash once padded to 14 digits. The index expression must stay as it is here;
+// queries use it through gtinKey in lib/repositories/sql.js.
+module.exports = {
+    async up({ run }) {
+        await run('ALTER TABLE products ADD COLUMN gtin TEXT');
+        await run(`CREATE UNIQUE INDEX idx_products_gtin ON products(substr('00000000000000' || gtin, -14)) WHERE gtin IS NOT NULL`);
+    },
+
+    async down({ run }) {
+        await run('DROP INDEX IF EXISTS idx_products_gtin');
+        await run('ALTER TABLE products DROP COLUMN gtin');
+    }
+};
@@ -0,0 +1,24 @@
+// One row of catalog statistics per UTC day, in the base currency, for GET /api/statistics/history.
+// categories holds the per-category breakdown as JSON.
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE statistics_snapshots (
+                date TEXT PRIMARY KEY,
+                total_products INTEGER NOT NULL,
+                total_quantity INTEGER NOT NULL,
+                total_value REAL NOT NULL,
+                average_price REAL,
+                min_price REAL,
+                max_price REAL,
+                category_count INTEGER NOT NULL,
+                categories TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS statistics_snapshots');
+    }
+};
@@ -0,0 +1,19 @@
+// Per-key request quotas overriding RATE_LIMIT_MAX, and the shared counters used when
+// RATE_LIMIT_STORE=database. reset_at is in milliseconds since the epoch.
+module.exports = {
+    async up({ run }) {
+        await run('ALTER TABLE api_keys ADD COLUMN rate_limit INTEGER');
+        await run(`
+            CREATE TABLE rate_limits (
+                key TEXT PRIMARY KEY,
+                hits INTEGER NOT NULL,
+                reset_at INTEGER NOT NULL
+            )
+        `);
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS rate_limits');
+        await run('ALTER TABLE api_keys DROP COLUMN rate_limit');
+    }
+};
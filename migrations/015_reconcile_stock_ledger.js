@@ -0,0 +1,18 @@
+// Purges used to leave a product's stock movements behind, so a new product reusing the ID
+// started from the old balance. Drop movements of products that no longer exist, then record
+// an adjustment wherever the ledger no longer sums to the stored quantity.
+module.exports = {
+    async up({ run }) {
+        await run('DELETE FROM stock_movements WHERE product_id NOT IN (SELECT id FROM products)');
+        await run(`
+            INSERT INTO stock_movements (product_id, type, quantity, reason)
+            SELECT p.id, 'adjustment', p.quantity - COALESCE(SUM(m.quantity), 0), 'Reconciled with stored quantity'
+            FROM products p LEFT JOIN stock_movements m ON m.product_id = p.id
+            GROUP BY p.id, p.quantity
+            HAVING p.quantity <> COALESCE(SUM(m.quantity), 0)
+        `);
+    },
+
+    // Deleted movements cannot be brought back; the reconciling adjustments stay valid history
+    async down() {}
+};
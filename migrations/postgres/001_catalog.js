@@ -0,0 +1,76 @@
+// The catalog tables used by lib/repositories, matching the SQLite schema after migration 013.
+// Dates are TIMESTAMPTZ here; the repositories return them in the SQLite format.
+module.exports = {
+    async up({ run }) {
+        await run(`
+            CREATE TABLE products (
+                id TEXT PRIMARY KEY,
+                category TEXT NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                quantity INTEGER NOT NULL,
+                unit_price DOUBLE PRECISION NOT NULL,
+                currency TEXT NOT NULL DEFAULT 'EUR',
+                code TEXT NOT NULL,
+                gtin TEXT,
+                reorder_point INTEGER,
+                reorder_quantity INTEGER,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                deleted_at TIMESTAMPTZ
+            )
+        `);
+        await run('CREATE INDEX idx_category ON products(category)');
+        await run('CREATE INDEX idx_name ON products(name)');
+        await run('CREATE INDEX idx_code ON products(code)');
+        await run('CREATE INDEX idx_products_deleted_at ON products(deleted_at)');
+
+        await run(`
+            CREATE TABLE exchange_rates (
+                currency TEXT PRIMARY KEY,
+                rate DOUBLE PRECISION NOT NULL,
+                updated_by TEXT,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run("INSERT INTO exchange_rates (currency, rate) VALUES ('EUR', 1)");
+
+        await run(`
+            CREATE TABLE categories (
+                id SERIAL PRIMARY KEY,
+                slug TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                description TEXT,
+                parent_id INTEGER REFERENCES categories(id),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        // Names are unique regardless of case, like COLLATE NOCASE in SQLite
+        await run('CREATE UNIQUE INDEX idx_categories_name ON categories(lower(name))');
+        await run('CREATE INDEX idx_categories_parent ON categories(parent_id)');
+
+        await run(`
+            CREATE TABLE statistics_snapshots (
+                date TEXT PRIMARY KEY,
+                total_products INTEGER NOT NULL,
+                total_quantity INTEGER NOT NULL,
+                total_value DOUBLE PRECISION NOT NULL,
+                average_price DOUBLE PRECISION,
+                min_price DOUBLE PRECISION,
+                max_price DOUBLE PRECISION,
+                category_count INTEGER NOT NULL,
+                categories TEXT NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS statistics_snapshots');
+        // CASCADE for the parent_id reference to itself
+        await run('DROP TABLE IF EXISTS categories CASCADE');
+        await run('DROP TABLE IF EXISTS exchange_rates');
+        await run('DROP TABLE IF EXISTS products');
+    }
+};
@@ -0,0 +1,185 @@
+// The rest of the schema the server needs, matching the SQLite schema after migration 015.
+// product_search stands in for the FTS5 index of migration 002; lib/repositories/products.js
+// keeps it in step with products.
+
+// Words of a field between single spaces, lower-cased and without accents, as product_search
+// stores them. A copy of searchWords in lib/search.js as it was when this migration was written.
+const searchText = (text) => {
+    const words = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+    return ` ${words.join(' ')} `;
+};
+
+module.exports = {
+    async up({ run, all }) {
+        await run(`
+            CREATE TABLE audit_log (
+                id SERIAL PRIMARY KEY,
+                product_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                before_data TEXT,
+                after_data TEXT,
+                actor TEXT,
+                ip TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX idx_audit_product ON audit_log(product_id)');
+        await run('CREATE INDEX idx_audit_created ON audit_log(created_at)');
+
+        await run(`
+            CREATE TABLE users (
+                id SERIAL PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`
+            CREATE TABLE sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id),
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+        await run('CREATE INDEX idx_sessions_expires ON sessions(expires_at)');
+        await run(`
+            CREATE TABLE api_keys (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                key_prefix TEXT NOT NULL,
+                role TEXT NOT NULL,
+                rate_limit INTEGER,
+                created_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMPTZ,
+                revoked_at TIMESTAMPTZ
+            )
+        `);
+
+        await run(`
+            CREATE TABLE stock_movements (
+                id SERIAL PRIMARY KEY,
+                product_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                quantity INTEGER NOT NULL,
+                reason TEXT,
+                reference TEXT,
+                actor TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX idx_stock_movements_product ON stock_movements(product_id, id)');
+
+        await run(`
+            CREATE TABLE category_reorder_defaults (
+                category TEXT PRIMARY KEY,
+                reorder_point INTEGER NOT NULL,
+                reorder_quantity INTEGER,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        // Category names match regardless of case, like COLLATE NOCASE in SQLite
+        await run('CREATE UNIQUE INDEX idx_category_reorder_defaults_category ON category_reorder_defaults(lower(category))');
+
+        await run(`
+            CREATE TABLE webhooks (
+                id SERIAL PRIMARY KEY,
+                url TEXT NOT NULL,
+                events TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                description TEXT,
+                active INTEGER NOT NULL DEFAULT 1,
+                created_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run(`
+            CREATE TABLE webhook_deliveries (
+                id SERIAL PRIMARY KEY,
+                webhook_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                last_attempt_at TIMESTAMPTZ,
+                response_status INTEGER,
+                error TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                delivered_at TIMESTAMPTZ
+            )
+        `);
+        await run('CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+        await run('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+
+        await run(`
+            CREATE TABLE product_images (
+                id SERIAL PRIMARY KEY,
+                product_id TEXT NOT NULL REFERENCES products(id),
+                filename TEXT NOT NULL UNIQUE,
+                thumbnail_filename TEXT NOT NULL,
+                original_name TEXT,
+                content_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                width INTEGER,
+                height INTEGER,
+                position INTEGER NOT NULL,
+                is_primary INTEGER NOT NULL DEFAULT 0,
+                created_by TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await run('CREATE INDEX idx_product_images_product ON product_images(product_id, position)');
+
+        await run(`
+            CREATE TABLE rate_limits (
+                key TEXT PRIMARY KEY,
+                hits INTEGER NOT NULL,
+                reset_at BIGINT NOT NULL
+            )
+        `);
+
+        // GTINs are unique once padded to 14 digits; queries use the expression through gtinKey in lib/repositories/sql.js
+        await run("CREATE UNIQUE INDEX idx_products_gtin ON products(lpad(gtin, 14, '0')) WHERE gtin IS NOT NULL");
+
+        await run(`
+            CREATE TABLE product_search (
+                product_id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT NOT NULL,
+                code TEXT NOT NULL
+            )
+        `);
+        const products = await all('SELECT id, name, description, code FROM products');
+        for (const product of products) {
+            await run(
+                'INSERT INTO product_search (product_id, name, description, code) VALUES (?, ?, ?, ?)',
+                [product.id, searchText(product.name), searchText(product.description), searchText(product.code)]
+            );
+        }
+    },
+
+    async down({ run }) {
+        await run('DROP TABLE IF EXISTS product_search');
+        await run('DROP INDEX IF EXISTS idx_products_gtin');
+        await run('DROP TABLE IF EXISTS rate_limits');
+        await run('DROP TABLE IF EXISTS product_images');
+        await run('DROP TABLE IF EXISTS webhook_deliveries');
+        await run('DROP TABLE IF EXISTS webhooks');
+        await run('DROP TABLE IF EXISTS category_reorder_defaults');
+        await run('DROP TABLE IF EXISTS stock_movements');
+        await run('DROP TABLE IF EXISTS api_keys');
+        await run('DROP TABLE IF EXISTS sessions');
+        await run('DROP TABLE IF EXISTS users');
+        await run('DROP TABLE IF EXISTS audit_log');
+    }
+};
@@ -7,13 +7,21 @@ let filteredProducts = [];
 let categories = [];
 let currentPage = 1;
 let totalPages = 1;
+// Query behind the product grid, what it shows and the product in the details panel, for live updates
+let currentView = null;
+let displayedProducts = [];
+let displayedPagination = null;
+let detailsProduct = null;
+// Currency prices are converted to, or '' for each product's own currency
+let displayCurrency = localStorage.getItem('displayCurrency') || '';
 let searchHistory = JSON.parse(localStorage.getItem('searchHistory') || '[]');
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
-    loadCategories();
-    loadAllProducts();
+    loadInitialData();
+    loadCurrencies();
     displaySearchHistory();
+    connectLiveUpdates();
     
     // Add enter key support for search
     document.getElementById('mySearch').addEventListener('keypress', (e) => {
@@ -23,34 +31,121 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+// Categories and the first page of products in one round trip; the product fields match GET /api/products
+const INITIAL_QUERY = `query Initial($currency: String) {
+    categories { slug name depth }
+    products(first: 12, currency: $currency) {
+        nodes {
+            id category name description quantity unit_price currency original_unit_price original_currency
+            code gtin reorder_point reorder_quantity effective_reorder_point effective_reorder_quantity
+            created_at updated_at image { id url thumbnailUrl }
+        }
+        totalCount
+    }
+}`;
+
+async function loadInitialData() {
+    showLoading(true);
+    hideError();
+    currentPage = 1;
+    currentView = `${API_BASE}/products?page=1&limit=12`;
+    
+    try {
+        const response = await fetch('/graphql', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query: INITIAL_QUERY, variables: { currency: displayCurrency || null } })
+        });
+        const { data, errors } = await response.json();
+        if (!response.ok || errors) throw new Error('Failed to load products');
+        
+        fillCategoryFilter(data.categories);
+        allProducts = data.products.nodes;
+        filteredProducts = allProducts;
+        totalPages = Math.ceil(data.products.totalCount / 12) || 1;
+        displayProducts(allProducts);
+        displayPagination({ page: 1, limit: 12, total: data.products.totalCount, totalPages });
+        showLoading(false);
+    } catch (error) {
+        // Fall back to the REST calls, which report their own errors
+        console.error('Error loading initial data:', error);
+        loadCategories();
+        loadAllProducts();
+    }
+}
+
 // Load all categories
 async function loadCategories() {
     try {
         const response = await fetch(`${API_BASE}/categories`);
         if (!response.ok) throw new Error('Failed to load categories');
         
-        categories = await response.json();
-        const categoryFilter = document.getElementById('categoryFilter');
+        fillCategoryFilter(await response.json());
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+function fillCategoryFilter(list) {
+    categories = list;
+    const categoryFilter = document.getElementById('categoryFilter');
+    
+    // Subcategories follow their parent; indent them by depth
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.slug;
+        option.textContent = `${'\u00a0\u00a0'.repeat(category.depth)}${category.name}`;
+        categoryFilter.appendChild(option);
+    });
+}
+
+// Fill the currency picker with every currency that has an exchange rate
+async function loadCurrencies() {
+    try {
+        const response = await fetch(`${API_BASE}/exchange-rates`);
+        if (!response.ok) throw new Error('Failed to load exchange rates');
         
-        categories.forEach(category => {
+        const { rates } = await response.json();
+        const currencySelect = document.getElementById('currencySelect');
+        rates.forEach(({ currency }) => {
             const option = document.createElement('option');
-            option.value = category;
-            option.textContent = category;
-            categoryFilter.appendChild(option);
+            option.value = currency;
+            option.textContent = currency;
+            currencySelect.appendChild(option);
         });
+        currencySelect.value = displayCurrency;
     } catch (error) {
-        console.error('Error loading categories:', error);
+        console.error('Error loading currencies:', error);
     }
 }
 
+function changeCurrency() {
+    displayCurrency = document.getElementById('currencySelect').value;
+    localStorage.setItem('displayCurrency', displayCurrency);
+    
+    if (detailsProduct) {
+        reloadProductDetails(detailsProduct.id);
+    } else if (currentView) {
+        refreshCurrentView();
+    }
+}
+
+// Ask the API to convert prices (and read price filters) in the chosen currency
+function withCurrency(url) {
+    if (!displayCurrency) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}currency=${displayCurrency}`;
+}
+
 // Load all products with pagination
 async function loadAllProducts(page = 1) {
     showLoading(true);
     hideError();
     currentPage = page;
     
+    currentView = `${API_BASE}/products?page=${page}&limit=12`;
+    
     try {
-        const response = await fetch(`${API_BASE}/products?page=${page}&limit=12`);
+        const response = await fetch(withCurrency(currentView));
         if (!response.ok) throw new Error('Failed to load products');
         
         const data = await response.json();
@@ -90,11 +185,11 @@ async function searchProduct() {
     hideProductDetails();
     
     try {
-        // Try to search by exact ID first
-        if (searchTerm.match(/^\d{3}-\d{2}$/)) {
-            const response = await fetch(`${API_BASE}/products/${searchTerm}`);
+        // A scanned or typed ID, GTIN or product code goes straight to the product
+        if (!/\s/.test(searchTerm)) {
+            const response = await fetch(withCurrency(`${API_BASE}/lookup/${encodeURIComponent(searchTerm)}`));
             if (response.ok) {
-                const product = await response.json();
+                const { product } = await response.json();
                 displayProductDetails(product);
                 showLoading(false);
                 return;
@@ -102,7 +197,8 @@ async function searchProduct() {
         }
         
         // Otherwise do a general search
-        const response = await fetch(`${API_BASE}/products?search=${encodeURIComponent(searchTerm)}&page=1&limit=12`);
+        currentView = `${API_BASE}/products?search=${encodeURIComponent(searchTerm)}&page=1&limit=12`;
+        const response = await fetch(withCurrency(currentView));
         if (!response.ok) throw new Error('Search failed');
         
         const data = await response.json();
@@ -137,12 +233,13 @@ async function applyFilters() {
     let url = `${API_BASE}/products?page=1&limit=12&`;
     const params = [];
     
-    if (category) params.push(`category=${encodeURIComponent(category)}`);
+    if (category) params.push(`category=${encodeURIComponent(category)}`, 'includeSubcategories=true');
     if (minPrice) params.push(`minPrice=${minPrice}`);
     if (maxPrice) params.push(`maxPrice=${maxPrice}`);
     params.push(`sortBy=${sortBy}`);
     
     url += params.join('&');
+    currentView = url;
     
     showLoading(true);
     hideError();
@@ -150,7 +247,7 @@ async function applyFilters() {
     currentPage = 1;
     
     try {
-        const response = await fetch(url);
+        const response = await fetch(withCurrency(url));
         if (!response.ok) throw new Error('Filter failed');
         
         const data = await response.json();
@@ -172,6 +269,8 @@ async function applyFilters() {
 // Display products in a grid
 function displayProducts(products) {
     const resultsDiv = document.getElementById('productResults');
+    displayedProducts = products;
+    displayedPagination = null;
     
     if (products.length === 0) {
         resultsDiv.innerHTML = '<p class="no-results">No products found</p>';
@@ -182,16 +281,17 @@ function displayProducts(products) {
         <div class="products-grid">
             ${products.map(product => `
                 <div class="product-card-small" onclick="displayProductDetails(${JSON.stringify(product).replace(/"/g, '&quot;')})">
+                    ${product.image ? `<img class="product-thumb" src="${escapeHtml(product.image.thumbnailUrl)}" alt="" loading="lazy">` : ''}
                     <div class="product-header">
                         <h3>${escapeHtml(product.name)}</h3>
                         <span class="product-code">${escapeHtml(product.code)}</span>
                     </div>
                     <div class="product-body">
                         <p class="product-category">${escapeHtml(product.category)}</p>
-                        <p class="product-description">${truncateText(escapeHtml(product.description), 100)}</p>
+                        <p class="product-description">${product.snippet ? highlightSnippet(product.snippet) : truncateText(escapeHtml(product.description), 100)}</p>
                         <div class="product-footer">
-                            <span class="price">€${product.unit_price.toFixed(2)}</span>
-                            <span class="quantity-badge ${product.quantity < 50 ? 'low-stock' : ''}">
+                            <span class="price">${formatPrice(product.unit_price, product.currency)}</span>
+                            <span class="quantity-badge ${product.low_stock ? 'low-stock' : ''}" title="Reorder point: ${product.effective_reorder_point}">
                                 ${product.quantity} in stock
                             </span>
                         </div>
@@ -205,6 +305,7 @@ function displayProducts(products) {
 // Display pagination controls
 function displayPagination(pagination) {
     const resultsDiv = document.getElementById('productResults');
+    displayedPagination = pagination;
     const paginationHtml = `
         <div class="pagination">
             <button class="btn-secondary" onclick="loadAllProducts(${pagination.page - 1})" 
@@ -226,24 +327,97 @@ function displayPagination(pagination) {
 
 // Display single product details
 function displayProductDetails(product) {
-    document.getElementById('prd-name').textContent = product.name;
-    document.getElementById('prd-category').textContent = product.category;
-    document.getElementById('prd-code').textContent = product.code;
-    document.getElementById('prd-desc').textContent = product.description;
-    document.getElementById('prd-qty').textContent = product.quantity;
-    document.getElementById('prd-qty').className = `quantity-badge ${product.quantity < 50 ? 'low-stock' : ''}`;
-    document.getElementById('prd-price').textContent = `€${product.unit_price.toFixed(2)}`;
+    renderProductDetails(product);
     
     document.getElementById('productDetails').style.display = 'block';
     document.getElementById('productResults').innerHTML = '';
+    displayedProducts = [];
+    loadProductHistory(product.id);
     
     // Scroll to details
     document.getElementById('productDetails').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+// Fill in the details panel fields
+function renderProductDetails(product) {
+    detailsProduct = product;
+    document.getElementById('prd-name').textContent = product.name;
+    document.getElementById('prd-category').textContent = product.category;
+    document.getElementById('prd-code').textContent = product.code;
+    document.getElementById('prd-gtin').textContent = product.gtin || '—';
+    document.getElementById('prd-barcode').src = `${API_BASE}/products/${encodeURIComponent(product.id)}/barcode.svg`;
+    document.getElementById('prd-desc').textContent = product.description;
+    document.getElementById('prd-qty').textContent = product.quantity;
+    document.getElementById('prd-qty').className = `quantity-badge ${product.low_stock ? 'low-stock' : ''}`;
+    document.getElementById('prd-qty').title = `Reorder point: ${product.effective_reorder_point}`;
+    document.getElementById('prd-price').textContent = formatPrice(product.unit_price, product.currency);
+    loadProductImages(product.id);
+}
+
+// Show every image of the product in the details panel, primary first
+async function loadProductImages(productId) {
+    const gallery = document.getElementById('prd-images');
+    try {
+        const response = await fetch(`${API_BASE}/products/${productId}/images`);
+        if (!response.ok) throw new Error('Failed to load images');
+        
+        const images = await response.json();
+        images.sort((a, b) => b.primary - a.primary);
+        gallery.innerHTML = images.map(image => `
+            <a href="${escapeHtml(image.url)}" target="_blank" rel="noopener">
+                <img src="${escapeHtml(image.thumbnailUrl)}" alt="${escapeHtml(image.originalName || '')}" loading="lazy">
+            </a>
+        `).join('');
+    } catch (error) {
+        gallery.innerHTML = '';
+        console.error('Error loading images:', error);
+    }
+}
+
+// Load and render the change history timeline for the details panel
+async function loadProductHistory(productId) {
+    const historyList = document.getElementById('prd-history');
+    historyList.innerHTML = '<li class="history-empty">Loading history...</li>';
+    
+    try {
+        const response = await fetch(`${API_BASE}/products/${productId}/history?limit=20`);
+        if (response.status === 404) {
+            historyList.innerHTML = '<li class="history-empty">No recorded changes</li>';
+            return;
+        }
+        if (!response.ok) throw new Error('Failed to load history');
+        
+        const data = await response.json();
+        historyList.innerHTML = data.entries.map(entry => `
+            <li class="history-entry history-${entry.action}">
+                <div class="history-meta">
+                    <strong>${escapeHtml(entry.action)}</strong>
+                    ${entry.actor ? `by ${escapeHtml(entry.actor)}` : ''}
+                    <span class="history-time">${escapeHtml(entry.timestamp)} UTC</span>
+                </div>
+                ${entry.action === 'update' ? `
+                    <ul class="history-changes">
+                        ${Object.entries(entry.changes).map(([field, change]) => `
+                            <li><span class="label">${escapeHtml(field)}:</span> ${escapeHtml(formatHistoryValue(change.from))} → ${escapeHtml(formatHistoryValue(change.to))}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `).join('');
+    } catch (error) {
+        historyList.innerHTML = '<li class="history-empty">History unavailable</li>';
+        console.error('Error loading history:', error);
+    }
+}
+
+function formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return truncateText(String(value), 60);
+}
+
 // Close product details
 function closeProductDetails() {
-    document.getElementById('productDetails').style.display = 'none';
+    hideProductDetails();
 }
 
 // Show all products
@@ -256,6 +430,86 @@ function showAllProducts() {
     loadAllProducts(1);
 }
 
+// Live updates: follow /api/events so the grid and details panel track changes made elsewhere.
+// EventSource reconnects by itself and resumes from the last event it received.
+function connectLiveUpdates() {
+    if (!window.EventSource) return;
+    
+    const events = new EventSource(`${API_BASE}/events`);
+    ['product.created', 'product.updated', 'product.deleted', 'product.restored'].forEach(type => {
+        events.addEventListener(type, (e) => handleProductEvent(JSON.parse(e.data)));
+    });
+    // Sent when the server will not replay everything missed while disconnected
+    events.addEventListener('reset', () => {
+        if (document.getElementById('productDetails').style.display === 'none' && currentView) refreshCurrentView();
+    });
+}
+
+function handleProductEvent(event) {
+    if (detailsProduct && detailsProduct.id === event.productId) {
+        if (event.action === 'delete') {
+            hideProductDetails();
+            showError(`"${event.product.name}" was just deleted`);
+        } else if (displayCurrency) {
+            // Events carry the stored price, so fetch the converted one
+            reloadProductDetails(event.productId);
+        } else {
+            renderProductDetails({ ...detailsProduct, ...event.product });
+            loadProductHistory(event.productId);
+        }
+    }
+    
+    // The grid is cleared while the details panel is open
+    if (document.getElementById('productDetails').style.display !== 'none' || !currentView) return;
+    
+    const index = displayedProducts.findIndex(product => product.id === event.productId);
+    if (event.action === 'update' && index !== -1 && !displayCurrency) {
+        const products = [...displayedProducts];
+        products[index] = { ...products[index], ...event.product };
+        const pagination = displayedPagination;
+        displayProducts(products);
+        if (pagination) displayPagination(pagination);
+    } else if (event.action !== 'update' || index !== -1) {
+        // Additions and removals shift pages and sort order, and converted prices come from the server
+        refreshCurrentView();
+    }
+}
+
+// Refresh the open details panel, e.g. after the display currency changed
+async function reloadProductDetails(productId) {
+    try {
+        const response = await fetch(withCurrency(`${API_BASE}/products/${productId}`));
+        if (!response.ok) throw new Error('Failed to load product');
+        
+        renderProductDetails(await response.json());
+        loadProductHistory(productId);
+    } catch (error) {
+        console.error('Error refreshing product:', error);
+    }
+}
+
+let refreshTimer = null;
+
+// Re-run the grid's query without the loading indicator; bursts of events cause one request
+function refreshCurrentView() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(async () => {
+        const view = currentView;
+        try {
+            const response = await fetch(withCurrency(view));
+            if (!response.ok || view !== currentView) return;
+            
+            const data = await response.json();
+            displayProducts(data.products || data);
+            if (data.pagination) {
+                displayPagination(data.pagination);
+            }
+        } catch (error) {
+            console.error('Error refreshing products:', error);
+        }
+    }, 250);
+}
+
 // Search history functions
 function addToSearchHistory(term) {
     // Remove if already exists
@@ -302,17 +556,36 @@ function clearSearchHistory() {
     displaySearchHistory();
 }
 
-// Export to CSV
-async function exportToCSV() {
+// Export what the grid currently shows, all pages of it (requires signing in on the admin page, which stores the session)
+async function exportProducts(format = 'csv') {
+    const session = JSON.parse(localStorage.getItem('lookupprotocol.session') || 'null');
+    if (!session) {
+        showError('Sign in on the Admin page to export products');
+        return;
+    }
+
+    // Same filters, search and sort as the current view; paging does not apply to exports
+    const params = currentView ? new URLSearchParams(currentView.split('?')[1]) : new URLSearchParams();
+    params.delete('page');
+    params.delete('limit');
+    const query = params.toString();
+
     try {
-        const response = await fetch(`${API_BASE}/products/export/csv`);
+        const response = await fetch(withCurrency(`${API_BASE}/products/export/${format}${query ? `?${query}` : ''}`), {
+            headers: { 'Authorization': `Bearer ${session.token}` }
+        });
+        if (response.status === 401) {
+            localStorage.removeItem('lookupprotocol.session');
+            showError('Your session has expired. Sign in on the Admin page to export products');
+            return;
+        }
         if (!response.ok) throw new Error('Export failed');
         
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'products.csv';
+        a.download = `products.${format}`;
         document.body.appendChild(a);
         a.click();
         window.URL.revokeObjectURL(url);
@@ -361,6 +634,7 @@ function hideError() {
 
 function hideProductDetails() {
     document.getElementById('productDetails').style.display = 'none';
+    detailsProduct = null;
 }
 
 function escapeHtml(text) {
@@ -369,6 +643,18 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Search snippets wrap matched words in <mark> tags; everything else is escaped
+function highlightSnippet(snippet) {
+    return escapeHtml(snippet)
+        .replace(/&lt;mark&gt;/g, '<mark>')
+        .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+// Prices in the visitor's locale, e.g. "€30.00", "30,00 €" or "US$32.40"
+function formatPrice(amount, currency) {
+    return new Intl.NumberFormat(navigator.language, { style: 'currency', currency: currency || 'EUR' }).format(amount);
+}
+
 function truncateText(text, maxLength) {
     if (text.length <= maxLength) return text;
     return text.substring(0, maxLength) + '...';
@@ -0,0 +1,70 @@
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const { openDatabase } = require('../lib/db');
+const { createRepositories } = require('../lib/repositories');
+const { ROLES, hashPassword } = require('../lib/auth');
+
+const DB_CLIENT = process.env.DB_CLIENT || 'sqlite';
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'database', 'products.db');
+
+const USAGE = `Usage: node scripts/create-user.js <username> <${ROLES.join('|')}>`;
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role)) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+if (DB_CLIENT === 'sqlite' && !fs.existsSync(DB_PATH)) {
+    console.error('Database not found! Please run "npm run migrate" first.');
+    process.exit(1);
+}
+
+// Read the password from the terminal, or from stdin when piped (USER_PASSWORD overrides both)
+const readPassword = () => new Promise(resolve => {
+    if (process.env.USER_PASSWORD) {
+        return resolve(process.env.USER_PASSWORD);
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password: ', answer => {
+        rl.close();
+        resolve(answer);
+    });
+});
+
+const database = openDatabase({ client: DB_CLIENT, path: DB_PATH, url: process.env.DATABASE_URL });
+database.connected.catch(err => {
+    console.error('Error opening database:', err.message);
+    process.exit(1);
+});
+
+async function main() {
+    const { users, sessions } = createRepositories(database.helpers);
+    await database.connected;
+    const password = await readPassword();
+    if (password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+
+    const passwordHash = await hashPassword(password);
+    const existing = await users.findByUsername(username);
+
+    if (existing) {
+        // Re-running for an existing user resets the password and role, and signs them out
+        await users.update(existing.id, { passwordHash, role });
+        await sessions.removeForUser(existing.id);
+        console.log(`Updated user ${username} (${role})`);
+    } else {
+        await users.create({ username, passwordHash, role });
+        console.log(`Created user ${username} (${role})`);
+    }
+}
+
+main()
+    .catch(err => {
+        console.error('Error saving user:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => database.close());
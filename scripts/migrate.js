@@ -0,0 +1,71 @@
+const path = require('path');
+const fs = require('fs');
+const { openDatabase } = require('../lib/db');
+const { createMigrator } = require('../lib/migrator');
+
+const DB_CLIENT = process.env.DB_CLIENT || 'sqlite';
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'database', 'products.db');
+const DB_DIR = path.dirname(DB_PATH);
+
+const USAGE = 'Usage: node scripts/migrate.js <up [--to VERSION] | down [--steps N] | status>';
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+// Value following a --flag on the command line
+const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+// Create database directory if it doesn't exist
+if (DB_CLIENT === 'sqlite' && !fs.existsSync(DB_DIR)) {
+    fs.mkdirSync(DB_DIR, { recursive: true });
+}
+
+const database = openDatabase({ client: DB_CLIENT, path: DB_PATH, url: process.env.DATABASE_URL });
+database.connected.catch(err => {
+    console.error('Error opening database:', err.message);
+    process.exit(1);
+});
+
+const migrator = createMigrator(database.helpers);
+
+const commands = {
+    async up() {
+        const applied = await migrator.up({ to: option('--to') });
+        applied.forEach(m => console.log(`Applied ${m.version}_${m.name}`));
+        console.log(applied.length ? `Database is up to date (${applied.length} migration(s) applied)` : 'Database is already up to date');
+    },
+
+    async down() {
+        const steps = option('--steps') === undefined ? 1 : Number(option('--steps'));
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('--steps must be a positive integer');
+        }
+        const reverted = await migrator.down({ steps });
+        reverted.forEach(m => console.log(`Reverted ${m.version}_${m.name}`));
+        if (!reverted.length) {
+            console.log('No migrations to revert');
+        }
+    },
+
+    async status() {
+        const migrations = await migrator.status();
+        migrations.forEach(m => {
+            console.log(`${m.appliedAt ? 'applied' : 'pending'}  ${m.version}_${m.name}${m.appliedAt ? `  (${m.appliedAt})` : ''}`);
+        });
+    }
+};
+
+if (!commands[command]) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+database.connected
+    .then(() => commands[command]())
+    .catch(err => {
+        console.error('Migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => database.close());
@@ -1,490 +1,4695 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('util');
+const multer = require('multer');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const logger = require('./config/logger');
+const { parseProductsCsv } = require('./lib/csv');
+const { parseProductsXml, productsToXml } = require('./lib/xml');
+const { EXPORT_FORMATS, parseExportColumns, createExportWriter } = require('./lib/export');
+const { GraphQLError } = require('graphql');
+const { createHandler: createGraphqlHandler } = require('graphql-http/lib/use/express');
+const { createSchema, depthLimit, complexityLimit, isMutationRequest } = require('./lib/graphql');
+const { parseSearch } = require('./lib/search');
+const { encodeCursor, decodeCursor } = require('./lib/pagination');
+const { entityTag, representationTag, ifMatchSatisfied } = require('./lib/etag');
+const { AUDIT_ACTIONS, snapshot, diffSnapshots, formatAuditEntry } = require('./lib/audit');
+const { openDatabase } = require('./lib/db');
+const { createRepositories, PRODUCT_SORT_COLUMNS } = require('./lib/repositories');
+const { createMigrator } = require('./lib/migrator');
+const { MOVEMENT_TYPES, stockDelta, formatMovement } = require('./lib/stock');
+const { reorderLevels } = require('./lib/reorder');
+const { formatCategories } = require('./lib/categories');
+const { isValidGtin, normalizeGtin, gtinKey, gtinFormat, renderBarcodeSvg } = require('./lib/barcodes');
+const { IMAGE_CONTENT_TYPES, processImage, imageFileNames, formatImage } = require('./lib/images');
+const { BASE_CURRENCY, isCurrencyCode, minorUnits, roundPrice, convertProduct } = require('./lib/currency');
+const {
+    WEBHOOK_EVENTS, TEST_EVENT, AUDIT_ACTION_EVENTS, MAX_ATTEMPTS: WEBHOOK_MAX_ATTEMPTS,
+    retryDelaySeconds, signPayload, postWebhook, formatWebhook, formatDelivery
+} = require('./lib/webhooks');
+const { STATISTICS_EVENT, RESET_EVENT, RETRY_MS: EVENT_RETRY_MS, HEARTBEAT_MS: EVENT_HEARTBEAT_MS, formatEvent, parseLastEventId } = require('./lib/events');
+const { rateLimitKey, createAllowList, createRateLimitStore } = require('./lib/rate-limit');
+const { createCache } = require('./lib/cache');
+const { requestLogger } = require('./lib/request-log');
+const { ROLES, API_KEY_PREFIX, UNKNOWN_USER_PASSWORD_HASH, hasRole, hashPassword, verifyPassword, generateToken, hashToken } = require('./lib/auth');
 
 const app = express();
+
+/**
+ * Whole-number setting from the environment, or defaultValue when it is unset. Anything that
+ * is not an integer of at least min stops the server from starting rather than being read as NaN.
+ */
+function integerSetting(name, defaultValue, { min = 1 } = {}) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return defaultValue;
+    }
+    if (!/^\d+$/.test(value.trim()) || parseInt(value) < min) {
+        throw new Error(`${name} must be an integer of at least ${min}, got "${value}"`);
+    }
+    return parseInt(value);
+}
+
 const PORT = process.env.PORT || 3000;
+// sqlite (the file at DB_PATH) or postgres (the server at DATABASE_URL)
+const DB_CLIENT = process.env.DB_CLIENT || 'sqlite';
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'database', 'products.db');
+const DB_AUTO_MIGRATE = process.env.DB_AUTO_MIGRATE === 'true';
+const IMPORT_MAX_SIZE = '5mb';
+const IMPORT_MODES = ['insert', 'update', 'skip'];
+const BATCH_ACTIONS = ['create', 'update', 'delete'];
+const BATCH_MAX_OPERATIONS = 500;
+// Rows read per query while streaming an export
+const EXPORT_BATCH_SIZE = 500;
+// Limits for /graphql operations; complexity is roughly the number of fields an operation can return
+const GRAPHQL_MAX_DEPTH = integerSetting('GRAPHQL_MAX_DEPTH', 8);
+const GRAPHQL_MAX_COMPLEXITY = integerSetting('GRAPHQL_MAX_COMPLEXITY', 2000);
+const GRAPHQL_MAX_PAGE_SIZE = 100;
+const UPDATABLE_FIELDS = ['category', 'name', 'description', 'quantity', 'unit_price', 'currency', 'code', 'gtin', 'reorder_point', 'reorder_quantity'];
+// Fields that can be cleared with null; cleared reorder levels fall back to the category default
+const NULLABLE_FIELDS = ['gtin', 'reorder_point', 'reorder_quantity'];
+const INTEGER_FIELDS = ['quantity', 'reorder_point', 'reorder_quantity'];
+// Reorder point for products whose product and category set none
+const LOW_STOCK_THRESHOLD = integerSetting('LOW_STOCK_THRESHOLD', 50, { min: 0 });
+// Due webhook deliveries are also picked up on this interval, which is what drives retries
+const WEBHOOK_POLL_INTERVAL_MS = 10 * 1000;
+// Due deliveries read per round, and how many webhooks are sent to at the same time
+const WEBHOOK_BATCH_SIZE = 100;
+const WEBHOOK_CONCURRENCY = 4;
+// Audit entries read per query when sending or replaying live events
+const EVENT_BATCH_SIZE = 500;
+// Furthest back, in audit entries, a reconnecting event stream is replayed from
+const EVENT_REPLAY_LIMIT = 1000;
+const TRASH_RETENTION_DAYS = integerSetting('TRASH_RETENTION_DAYS', 30, { min: 0 });
+const TRASH_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Today's statistics snapshot is also refreshed this often when nothing changes
+const STATISTICS_SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+const SESSION_TTL_HOURS = integerSetting('SESSION_TTL_HOURS', 12);
+// Uploaded files; product images and their thumbnails go in its products/ folder
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, 'uploads');
+const PRODUCT_IMAGES_DIR = path.join(UPLOADS_DIR, 'products');
+const IMAGE_MAX_BYTES = integerSetting('IMAGE_MAX_BYTES', 5 * 1024 * 1024);
+const IMAGE_MAX_FILES = 10;
+// Comma-separated origins allowed to call the API from a browser; none by default
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Cache of product, category and statistics responses: off, memory or the path of a cache module
+const RESPONSE_CACHE = process.env.RESPONSE_CACHE || 'off';
+const RESPONSE_CACHE_MAX_ENTRIES = integerSetting('RESPONSE_CACHE_MAX_ENTRIES', 500);
+
+// Rate limiting: requests per client (API key, signed-in user or else IP) per window. Writes
+// also count against the stricter write limit. API keys can have their own RATE_LIMIT_MAX.
+const RATE_LIMIT_WINDOW_MS = integerSetting('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000);
+const RATE_LIMIT_MAX = integerSetting('RATE_LIMIT_MAX', 100);
+const RATE_LIMIT_STRICT_MAX = integerSetting('RATE_LIMIT_STRICT_MAX', 20);
+// memory, database or the path of a store module; see lib/rate-limit.js
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+// Comma-separated addresses and CIDR ranges that are never rate limited, e.g. internal hosts
+const isRateLimitExempt = createAllowList(process.env.RATE_LIMIT_ALLOWLIST);
+// Number of proxies in front of the server, so req.ip is the client rather than the proxy
+const TRUST_PROXY = integerSetting('TRUST_PROXY', 0, { min: 0 });
+
+// Middleware
+app.set('trust proxy', TRUST_PROXY);
+// First, so every request has an ID that its log lines carry
+app.use(requestLogger(logger));
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+// Imports and batches can be much larger than a single product, so they get their own body limits
+app.use('/api/products/import', bodyParser.json({ limit: IMPORT_MAX_SIZE }));
+app.use('/api/products/batch', bodyParser.json({ limit: IMPORT_MAX_SIZE }));
+app.use('/api/products/import', bodyParser.text({ type: ['text/csv', 'text/plain', 'application/xml', 'text/xml'], limit: IMPORT_MAX_SIZE }));
+app.use(bodyParser.json());
+app.use(bodyParser.urlencoded({ extended: true }));
+app.use(express.static('public_html'));
+// Image file names are random and never reused, so they can be cached for good
+app.use('/uploads', express.static(UPLOADS_DIR, { index: false, immutable: true, maxAge: '365d' }));
+
+// Swagger API Documentation
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+const responseCache = createCache(RESPONSE_CACHE, { maxEntries: RESPONSE_CACHE_MAX_ENTRIES });
+
+// Boot ID in every catalog ETag, so tags handed out by an earlier process do not match after a restart
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const newValidatorState = () => ({ version: 0, modifiedAt: new Date(Math.floor(Date.now() / 1000) * 1000) });
+
+// Version of the catalog data behind catalog reads, and of the stored statistics snapshots
+const catalogState = newValidatorState();
+const snapshotState = newValidatorState();
+let notModifiedCount = 0;
+
+/**
+ * Move a validator state to a new version. Last-Modified has whole seconds, so it always
+ * moves on by at least one second; otherwise two changes within a second would leave
+ * If-Modified-Since answering 304 for stale data.
+ */
+function markChanged(state) {
+    state.version++;
+    const now = Math.floor(Date.now() / 1000) * 1000;
+    state.modifiedAt = new Date(Math.max(now, state.modifiedAt.getTime() + 1000));
+}
+
+// Whether a transaction is open, and whether catalog data changed in it
+let transactionOpen = false;
+let catalogChangePending = false;
+
+/**
+ * Note a change to data that catalog reads show: move to a new version and drop cached
+ * responses. Call it wherever such data is written. Inside a transaction it takes effect
+ * once the transaction commits, since readers on the connection see the change before then.
+ */
+function markCatalogChanged() {
+    if (transactionOpen) {
+        catalogChangePending = true;
+        return;
+    }
+    markChanged(catalogState);
+    if (responseCache) {
+        Promise.resolve(responseCache.clear()).catch(err => logger.error('Error clearing response cache:', err));
+    }
+}
+
+// Validator of responses built from catalog data: { tag, modifiedAt }
+const catalogValidator = () => ({ tag: `${BOOT_ID}-${catalogState.version}`, modifiedAt: catalogState.modifiedAt });
+
+/**
+ * Validator of the statistics history. Snapshots are converted at the current exchange rate,
+ * and the default range ends today, so it also follows the catalog version and the date.
+ */
+function historyValidator() {
+    const today = new Date().toISOString().slice(0, 10);
+    const modifiedAt = Math.max(catalogState.modifiedAt.getTime(), snapshotState.modifiedAt.getTime(), Date.parse(today));
+    return {
+        tag: `${BOOT_ID}-${catalogState.version}-${snapshotState.version}-${today}`,
+        modifiedAt: new Date(modifiedAt)
+    };
+}
+
+/**
+ * Conditional GET and response caching for a catalog read; put it before the route's other
+ * handlers. The ETag is the validator's tag unless versionTag is false, for routes that set
+ * their own from res.locals.catalogTag. Requests whose tag or date is still current get 304
+ * without touching the database, and with RESPONSE_CACHE set 200 bodies are kept until the
+ * next change.
+ */
+const cacheCatalog = ({ versionTag = true, validator = catalogValidator } = {}) => async (req, res, next) => {
+    const { tag, modifiedAt } = validator();
+    res.locals.catalogTag = tag;
+    res.set({ 'Cache-Control': 'no-cache', 'Last-Modified': modifiedAt.toUTCString() });
+
+    const notModified = () => {
+        notModifiedCount++;
+        res.status(304).end();
+    };
+
+    let cached;
+    if (responseCache) {
+        try {
+            cached = await responseCache.get(req.originalUrl);
+        } catch (err) {
+            logger.error('Error reading response cache:', err);
+        }
+    }
+    // Entries are only cleared on catalog changes, and a change while the lookup ran may
+    // have cleared the entry after it was read
+    if (cached && cached.tag === tag && validator().tag === tag) {
+        res.set({ 'ETag': cached.etag, 'X-Cache': 'HIT' });
+        return req.fresh ? notModified() : res.json(cached.body);
+    }
+
+    if (versionTag) {
+        res.set('ETag', `"${tag}"`);
+        if (req.fresh) {
+            return notModified();
+        }
+    }
+    if (responseCache) {
+        res.set('X-Cache', 'MISS');
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode !== 200) {
+            // Errors are not versions of the resource
+            res.removeHeader('ETag');
+            res.removeHeader('Last-Modified');
+        } else if (responseCache && validator().tag === tag) {
+            Promise.resolve(responseCache.set(req.originalUrl, { body, etag: res.get('ETag'), tag }))
+                .catch(err => logger.error('Error writing response cache:', err));
+        }
+        json(body);
+        // Routes with their own ETag get 304 from res.send
+        if (res.statusCode === 304) {
+            notModifiedCount++;
+        }
+        return res;
+    };
+    next();
+};
+
+// Validation rules per product field, shared by full (POST/PUT) and partial (PATCH) validation
+const productFieldRules = {
+    id: () => body('id').trim().matches(/^\d{3}-\d{2}$/).withMessage('ID must be in format XXX-XX'),
+    category: () => body('category').trim().isLength({ min: 1, max: 100 }).withMessage('Category is required and must be less than 100 characters'),
+    name: () => body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Name is required and must be less than 200 characters'),
+    description: () => body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+    quantity: () => body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
+    unit_price: () => body('unit_price').isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number'),
+    currency: () => body('currency').optional().isString().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code such as EUR').bail()
+        .custom(hasExchangeRate).withMessage('No exchange rate is stored for this currency'),
+    code: () => body('code').trim().isLength({ min: 1, max: 50 }).withMessage('Code is required and must be less than 50 characters'),
+    // Empty values clear the GTIN, so CSV rows can leave the column blank
+    gtin: () => body('gtin').optional({ values: 'falsy' }).isString().withMessage('GTIN must be a string of digits').bail()
+        .customSanitizer(normalizeGtin)
+        .custom(isValidGtin).withMessage('GTIN must be 8, 12, 13 or 14 digits with a valid check digit').bail()
+        .custom(gtinAvailable).withMessage('Another product already has this GTIN'),
+    reorder_point: () => body('reorder_point').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Reorder point must be a non-negative integer'),
+    reorder_quantity: () => body('reorder_quantity').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Reorder quantity must be a positive integer')
+};
+
+// Validation middleware
+const validateProduct = Object.values(productFieldRules).map(rule => rule());
+
+const validateProductPatch = [
+    body('id').optional().custom((value, { req }) => value === req.params.id).withMessage('Product ID cannot be changed'),
+    ...UPDATABLE_FIELDS.map(field => (NULLABLE_FIELDS.includes(field) ? productFieldRules[field]() : productFieldRules[field]().optional())),
+    body().custom(value => UPDATABLE_FIELDS.some(field => value[field] !== undefined)).withMessage('At least one product field is required')
+];
+
+const validateStockMovement = [
+    body('type').isIn(MOVEMENT_TYPES).withMessage(`Type must be one of: ${MOVEMENT_TYPES.join(', ')}`),
+    body('quantity').isInt().withMessage('Quantity must be an integer').bail()
+        .custom((value, { req }) => (req.body.type === 'adjustment' ? parseInt(value) !== 0 : parseInt(value) > 0))
+        .withMessage('Quantity must be a positive integer (adjustments may be negative but not zero)'),
+    body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+    body('reason').custom((value, { req }) => req.body.type !== 'adjustment' || Boolean(value)).withMessage('A reason is required for adjustments'),
+    body('reference').optional({ values: 'null' }).isString().trim().isLength({ max: 100 }).withMessage('Reference must be less than 100 characters')
+];
+
+const validateId = [
+    param('id').matches(/^\d{3}-\d{2}$/).withMessage('Invalid ID format')
+];
+
+// ?currency= on reads that can convert prices
+const validateCurrencyQuery = [
+    query('currency').optional().trim().toUpperCase().isISO4217().withMessage('Currency must be an ISO 4217 code such as EUR').bail()
+        .custom(hasExchangeRate).withMessage('No exchange rate is stored for this currency')
+];
+
+// Error handler middleware
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+// Initialize database connection
+const database = openDatabase({ client: DB_CLIENT, path: DB_PATH, url: process.env.DATABASE_URL });
+database.connected.then(
+    () => (DB_CLIENT === 'postgres'
+        ? logger.info('Connected to PostgreSQL database')
+        : logger.info('Connected to SQLite database', { path: DB_PATH })),
+    err => logger.error('Error opening database:', err.message)
+);
+const dbHelpers = database.helpers;
+
+// Every query goes through the repositories, all on the one connection so they take part in transactions
+const {
+    products: productRepository,
+    statistics: statisticsRepository,
+    categories: categoryRepository,
+    stock: stockRepository,
+    audit: auditRepository,
+    images: imageRepository,
+    apiKeys: apiKeyRepository,
+    users: userRepository,
+    sessions: sessionRepository,
+    webhooks: webhookRepository,
+    reorderDefaults: reorderDefaultRepository,
+    exchangeRates: exchangeRateRepository,
+    rateLimits: rateLimitRepository
+} = createRepositories(dbHelpers);
+
+// JSON 429 with the seconds until the window resets; RateLimit-* and Retry-After headers are set too
+const rateLimitExceeded = (req, res, next, options) => {
+    const retryAfter = Math.max(Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000), 0);
+    logger.warn('Rate limit exceeded', { client: rateLimitKey(req), path: req.path, limit: req.rateLimit.limit });
+    res.status(options.statusCode).json({ error: 'Too many requests, please try again later.', retryAfter });
+};
+
+const createLimiter = (prefix, limit) => rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    limit,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    keyGenerator: rateLimitKey,
+    skip: (req) => isRateLimitExempt(req.ip),
+    handler: rateLimitExceeded,
+    store: createRateLimitStore(RATE_LIMIT_STORE, { prefix, windowMs: RATE_LIMIT_WINDOW_MS, rateLimits: rateLimitRepository }),
+    // An unreachable shared store lets requests through rather than failing them
+    passOnStoreError: true
+});
+
+// Runs after authenticate, so callers are counted by key or user; requests with failed credentials count by IP
+const limiter = createLimiter('api:', (req) => (req.principal && req.principal.rateLimit) || RATE_LIMIT_MAX);
+const strictLimiter = createLimiter('strict:', RATE_LIMIT_STRICT_MAX);
+
+// Transactions share the single connection, so they are queued and run one at a time
+let transactionQueue = Promise.resolve();
+
+const withTransaction = (work) => {
+    const run = transactionQueue.then(async () => {
+        await dbHelpers.begin();
+        transactionOpen = true;
+        try {
+            const result = await work();
+            await dbHelpers.run('COMMIT');
+            transactionOpen = false;
+            if (catalogChangePending) {
+                catalogChangePending = false;
+                markCatalogChanged();
+            }
+            return result;
+        } catch (err) {
+            transactionOpen = false;
+            catalogChangePending = false;
+            await dbHelpers.run('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+};
+
+/**
+ * Look up the credentials sent with a request: an API key (X-API-Key, or a Bearer token
+ * starting with API_KEY_PREFIX) or an admin UI session token (Bearer).
+ * Resolves with { type, id, name, role } (plus the key's rateLimit for API keys), null when no credentials were sent, or false
+ * when they are unknown, revoked or expired.
+ */
+async function resolvePrincipal(req) {
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    const apiKey = req.get('X-API-Key') || (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null);
+
+    if (apiKey) {
+        const key = await apiKeyRepository.findActiveByHash(hashToken(apiKey));
+        if (!key) {
+            return false;
+        }
+        await apiKeyRepository.touch(key.id);
+        return { type: 'apiKey', id: key.id, name: `key:${key.name}`, role: key.role, rateLimit: key.rate_limit };
+    }
+
+    if (bearer) {
+        const user = await sessionRepository.findUser(hashToken(bearer));
+        if (!user) {
+            return false;
+        }
+        return { type: 'session', id: user.id, name: user.username, role: user.role };
+    }
+
+    return null;
+}
+
+// Attach the caller to req.principal; reads stay public, so missing credentials are fine here
+const authenticate = async (req, res, next) => {
+    try {
+        const principal = await resolvePrincipal(req);
+        if (principal === false) {
+            // Failed credentials count against the client's IP quota, so keys and tokens cannot be guessed freely
+            req.principal = null;
+            return limiter(req, res, () => {
+                res.set('WWW-Authenticate', 'Bearer');
+                res.status(401).json({ error: 'Invalid or expired credentials' });
+            });
+        }
+        req.principal = principal;
+        next();
+    } catch (err) {
+        logger.error('Error authenticating request:', err);
+        res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+};
+
+// Only let callers with at least the given role through
+const requireRole = (role) => (req, res, next) => {
+    if (!req.principal) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.principal.role, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+};
+
+app.use('/api/', authenticate);
+app.use('/api/', limiter); // Apply rate limiting to all API routes
+
+// Who made a change, for the audit log
+const auditContext = (req) => ({
+    actor: req.principal ? req.principal.name : null,
+    ip: req.ip
+});
+
+/**
+ * Append an entry to the audit log and queue the matching webhook events. Call it inside
+ * the transaction that makes the change so the product row, its history and the events
+ * sent about it can never disagree. The entry is also what live event streams send.
+ */
+async function recordAudit(action, before, after, { actor = null, ip = null } = {}) {
+    await auditRepository.insert({
+        productId: (after || before).id,
+        action,
+        beforeData: before ? JSON.stringify(snapshot(before)) : null,
+        afterData: after ? JSON.stringify(snapshot(after)) : null,
+        actor,
+        ip
+    });
+    await queueProductEvents(action, before, after);
+    markCatalogChanged();
+    // Runs once the current transaction has committed, since its reads queue behind it
+    setImmediate(publishCatalogEvents);
+    setImmediate(refreshStatisticsSnapshot);
+}
+
+// On-hand stock of a product: the sum of its ledger
+const stockOnHand = (productId) => stockRepository.onHand(productId);
+
+/**
+ * Append a signed movement to the stock ledger and store the new ledger sum as
+ * products.quantity, which is never written any other way. Like recordAudit, call it inside
+ * the transaction of the change. Resolves with { movementId, onHand }.
+ */
+async function applyStockMovement(productId, { type, quantity, reason = null, reference = null }, { actor = null } = {}) {
+    const movementId = await stockRepository.insert({ productId, type, quantity, reason, reference, actor });
+    const onHand = await stockOnHand(productId);
+    await productRepository.update(productId, { quantity: onHand });
+    return { movementId, onHand };
+}
+
+// Bring stock to a quantity given directly by a create, update or import with an adjustment for the difference
+async function setStockLevel(productId, quantity, reason, context) {
+    const onHand = await stockOnHand(productId);
+    if (quantity !== onHand) {
+        await applyStockMovement(productId, { type: 'adjustment', quantity: quantity - onHand, reason }, context);
+    }
+}
+
+const getProductRow = (id) => productRepository.findById(id);
+
+// Add the reorder point and quantity that apply to each product, and whether it is low on stock
+async function withReorderLevels(products) {
+    const defaults = await reorderDefaultRepository.list();
+    const byCategory = new Map(defaults.map(row => [row.category.toLowerCase(), row]));
+    return products.map(product => ({
+        ...product,
+        ...reorderLevels(product, byCategory.get(product.category.toLowerCase()), LOW_STOCK_THRESHOLD)
+    }));
+}
+
+// Add each product's primary image, or null when it has none
+async function withPrimaryImages(products) {
+    if (products.length === 0) {
+        return products;
+    }
+    const rows = await imageRepository.listPrimary(products.map(product => product.id));
+    const byProduct = new Map(rows.map(row => [row.product_id, formatImage(row)]));
+    return products.map(product => ({ ...product, image: byProduct.get(product.id) || null }));
+}
+
+// Canonical name for a product's category, creating the category when it is new
+const resolveCategory = (name) => categoryRepository.ensure(name);
+
+// Exchange rates as a Map of currency code to units per one BASE_CURRENCY
+async function getExchangeRates() {
+    const rows = await exchangeRateRepository.list();
+    return new Map(rows.map(row => [row.currency, row.rate]));
+}
+
+// Rejects when a product other than the one being written (including trashed ones) has the GTIN
+async function gtinAvailable(gtin, { req }) {
+    const productId = (req.params && req.params.id) || req.body.id;
+    if (await productRepository.isGtinTaken(gtin, productId)) {
+        throw new Error('Another product already has this GTIN');
+    }
+    return true;
+}
+
+async function hasExchangeRate(currency) {
+    if ((await exchangeRateRepository.rateOf(currency)) === undefined) {
+        throw new Error('No exchange rate is stored for this currency');
+    }
+    return true;
+}
+
+// Convert prices to the validated ?currency= of the request, or leave them as stored without one
+async function withRequestedCurrency(req, products) {
+    if (!req.query.currency) {
+        return products;
+    }
+    const rates = await getExchangeRates();
+    return products.map(product => convertProduct(product, req.query.currency, rates));
+}
+
+// Body of a webhook delivery
+const webhookPayload = (event, data) => JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+
+/**
+ * Queue an event for delivery to every active webhook subscribed to it.
+ * Resolves with the number of queued deliveries.
+ */
+async function queueWebhookEvent(event, data) {
+    const payload = webhookPayload(event, data);
+    const changes = await webhookRepository.queue(event, payload);
+
+    // Runs once the current transaction has committed, since it queues behind it
+    if (changes > 0) {
+        setImmediate(processWebhookQueue);
+    }
+    return changes;
+}
+
+// Webhook events for a product change: the lifecycle event, plus stock.low when the change takes it to its reorder point
+async function queueProductEvents(action, before, after) {
+    const event = AUDIT_ACTION_EVENTS[action];
+    if (!event) {
+        return;
+    }
+
+    const product = snapshot(after || before);
+    await queueWebhookEvent(event, action === 'update' ? { product, changes: diffSnapshots(before, after) } : { product });
+
+    if (after && !after.deleted_at) {
+        const [levels, wasLow] = await Promise.all([
+            withReorderLevels([after]).then(([row]) => row),
+            before && !before.deleted_at ? withReorderLevels([before]).then(([row]) => row.low_stock) : false
+        ]);
+        if (levels.low_stock && !wasLow) {
+            await queueWebhookEvent('stock.low', {
+                product,
+                reorderPoint: levels.effective_reorder_point,
+                reorderQuantity: levels.effective_reorder_quantity
+            });
+        }
+    }
+}
+
+/**
+ * Send one queued delivery and record the outcome. Failed attempts are retried with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS, after which the delivery is marked failed.
+ * Resolves with whether it was delivered.
+ */
+async function attemptDelivery(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        responseStatus = await postWebhook(delivery.url, delivery.payload, {
+            'X-Webhook-Id': String(delivery.id),
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.payload)
+        });
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `Subscriber responded with HTTP ${responseStatus}`;
+        }
+    } catch (err) {
+        error = err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    await withTransaction(async () => {
+        if (!error) {
+            await webhookRepository.markDelivered(delivery.id, { attempts, responseStatus });
+        } else {
+            await webhookRepository.markFailed(delivery.id, {
+                attempts,
+                responseStatus,
+                error,
+                failed: attempts >= WEBHOOK_MAX_ATTEMPTS,
+                retrySeconds: retryDelaySeconds(attempts)
+            });
+            logger.warn('Webhook delivery failed', { deliveryId: delivery.id, webhookId: delivery.webhook_id, attempts, error });
+        }
+    });
+    return !error;
+}
+
+let webhookQueueRun = null;
+let webhookQueueRequested = false;
+
+/**
+ * Deliver every due webhook delivery, WEBHOOK_BATCH_SIZE at a time. Each webhook gets its
+ * deliveries in order, up to WEBHOOK_CONCURRENCY webhooks at once; after a failure the rest
+ * of its batch waits for a later round, so a slow or broken subscriber costs one timeout
+ * per round. Calls made while a run is in progress make it go round once more and share
+ * its promise, so deliveries are never sent twice in parallel.
+ */
+function processWebhookQueue() {
+    webhookQueueRequested = true;
+    if (!webhookQueueRun) {
+        webhookQueueRun = (async () => {
+            while (webhookQueueRequested) {
+                webhookQueueRequested = false;
+                // Read through the transaction queue so rows of uncommitted changes are never sent
+                const due = await withTransaction(() => webhookRepository.listDue(WEBHOOK_BATCH_SIZE));
+
+                const byWebhook = new Map();
+                due.forEach(delivery => {
+                    if (!byWebhook.has(delivery.webhook_id)) byWebhook.set(delivery.webhook_id, []);
+                    byWebhook.get(delivery.webhook_id).push(delivery);
+                });
+                const queues = [...byWebhook.values()];
+                let failures = 0;
+                await Promise.all(Array.from({ length: Math.min(WEBHOOK_CONCURRENCY, queues.length) }, async () => {
+                    while (queues.length > 0) {
+                        for (const delivery of queues.shift()) {
+                            if (!await attemptDelivery(delivery)) {
+                                failures++;
+                                break;
+                            }
+                        }
+                    }
+                }));
+
+                // A full batch may have left due deliveries behind. When every webhook in it failed, the
+                // next poll tries again instead.
+                if (due.length === WEBHOOK_BATCH_SIZE && failures < byWebhook.size) {
+                    webhookQueueRequested = true;
+                }
+            }
+        })()
+            .catch(err => logger.error('Error processing webhook queue:', err))
+            .finally(() => {
+                webhookQueueRun = null;
+            });
+    }
+    return webhookQueueRun;
+}
+
+// Open GET /api/events streams, each with the ID of the last audit entry it was sent
+const eventClients = new Set();
+let catalogEventRun = null;
+let catalogEventsRequested = false;
+
+/**
+ * Write a frame to an event stream. When the socket buffer is full the stream is paused until
+ * it drains, so a slow client keeps its place in the audit log instead of events piling up in memory.
+ */
+function writeEvent(client, frame) {
+    if (!client.res.write(frame) && !client.paused) {
+        client.paused = true;
+        client.res.once('drain', () => {
+            client.paused = false;
+            publishCatalogEvents();
+        });
+    }
+}
+
+/**
+ * Send audit log entries newer than each stream's position as product events, followed by
+ * one statistics-changed event per batch. Like processWebhookQueue, overlapping calls share
+ * a single run so every stream receives its events once and in order.
+ */
+function publishCatalogEvents() {
+    catalogEventsRequested = true;
+    if (!catalogEventRun) {
+        catalogEventRun = (async () => {
+            while (catalogEventsRequested) {
+                catalogEventsRequested = false;
+                if (eventClients.size === 0) {
+                    continue;
+                }
+
+                let cursor = Math.min(...[...eventClients].map(client => client.cursor));
+                for (;;) {
+                    const rows = await withTransaction(() => auditRepository.listAfter(cursor, EVENT_BATCH_SIZE));
+                    if (rows.length === 0) {
+                        break;
+                    }
+                    cursor = rows[rows.length - 1].id;
+
+                    const entries = rows.map(formatAuditEntry);
+                    const products = await withReorderLevels(entries.map(entry => entry.after || entry.before));
+                    const frames = entries.map((entry, i) => {
+                        const event = AUDIT_ACTION_EVENTS[entry.action];
+                        // Purges only remove products that already left the catalog when they were deleted
+                        return event && formatEvent({
+                            id: entry.id,
+                            event,
+                            data: {
+                                id: entry.id,
+                                action: entry.action,
+                                productId: entry.productId,
+                                timestamp: entry.timestamp,
+                                product: products[i],
+                                changes: entry.action === 'update' ? entry.changes : undefined
+                            }
+                        });
+                    });
+
+                    const notified = [];
+                    eventClients.forEach(client => {
+                        let sent = false;
+                        for (let i = 0; i < entries.length && !client.paused; i++) {
+                            if (entries[i].id > client.cursor) {
+                                if (frames[i]) {
+                                    writeEvent(client, frames[i]);
+                                    sent = true;
+                                }
+                                client.cursor = entries[i].id;
+                            }
+                        }
+                        if (sent) notified.push(client);
+                    });
+
+                    if (notified.length > 0) {
+                        const frame = formatEvent({ event: STATISTICS_EVENT, data: await withTransaction(getStatistics) });
+                        notified.forEach(client => writeEvent(client, frame));
+                    }
+                }
+            }
+        })()
+            .catch(err => logger.error('Error publishing catalog events:', err))
+            .finally(() => {
+                catalogEventRun = null;
+            });
+    }
+    return catalogEventRun;
+}
+
+let statisticsSnapshotRun = null;
+let statisticsSnapshotRequested = false;
+
+/**
+ * Bring today's statistics snapshot up to date after catalog changes. Requests made while
+ * a refresh is running fold into one more run, so an import of thousands of rows costs
+ * two snapshots rather than one per row.
+ */
+function refreshStatisticsSnapshot() {
+    statisticsSnapshotRequested = true;
+    if (!statisticsSnapshotRun) {
+        statisticsSnapshotRun = (async () => {
+            while (statisticsSnapshotRequested) {
+                statisticsSnapshotRequested = false;
+                await recordStatisticsSnapshot();
+            }
+        })()
+            .catch(err => logger.error('Error recording statistics snapshot:', err))
+            .finally(() => {
+                statisticsSnapshotRun = null;
+            });
+    }
+    return statisticsSnapshotRun;
+}
+
+/**
+ * Validate and run one operation of POST /api/products/batch inside the caller's
+ * transaction, with the same rules and outcomes as the single-product routes.
+ * Resolves with { index, action, id, status } plus etag on success and errors or error
+ * on failure.
+ */
+async function runBatchOperation(operation, index, context) {
+    const { action, data = {}, ifMatch } = operation;
+    const id = operation.id !== undefined ? operation.id : data && data.id;
+    const result = { index, action, id };
+
+    if (!BATCH_ACTIONS.includes(action)) {
+        return { ...result, status: 400, error: `Action must be one of: ${BATCH_ACTIONS.join(', ')}` };
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return { ...result, status: 400, error: 'Data must be an object of product fields' };
+    }
+
+    const chains = { create: validateProduct, update: [...validateId, ...validateProductPatch], delete: validateId }[action];
+    const operationReq = { body: action === 'create' ? { ...data, id } : { ...data }, params: { id } };
+    await Promise.all(chains.map(chain => chain.run(operationReq)));
+    const errors = validationResult(operationReq);
+    if (!errors.isEmpty()) {
+        return { ...result, status: 400, errors: errors.array() };
+    }
+
+    if (action === 'create') {
+        if (!hasRequiredFields(operationReq.body)) {
+            return { ...result, status: 400, error: 'Missing required fields' };
+        }
+        if (await getProductRow(id)) {
+            return { ...result, status: 409, error: 'A product with this ID already exists or is in the trash' };
+        }
+        await insertProduct(operationReq.body, context);
+        return { ...result, status: 201, etag: entityTag(await getProductRow(id)) };
+    }
+
+    const status = action === 'update'
+        ? (await applyProductUpdate(id, operationReq.body, ifMatch, context)).status
+        : await trashProduct(id, ifMatch, context);
+    if (status === 404) {
+        return { ...result, status, error: 'Product not found' };
+    }
+    if (status === 412) {
+        return { ...result, status, error: 'Product was modified by someone else; reload it and try again' };
+    }
+    return action === 'update' ? { ...result, status, etag: entityTag(await getProductRow(id)) } : { ...result, status };
+}
+
+/**
+ * Run batch operations in order. With atomic every operation shares one transaction and
+ * the first failure rolls them all back; otherwise each operation commits on its own and
+ * failures are only reported.
+ */
+async function runBatch(operations, { atomic, context }) {
+    const results = [];
+
+    if (atomic) {
+        try {
+            await withTransaction(async () => {
+                for (const [index, operation] of operations.entries()) {
+                    const result = await runBatchOperation(operation, index, context);
+                    results.push(result);
+                    if (result.status >= 400) {
+                        throw Object.assign(new Error('Batch operation failed'), { batchFailed: true });
+                    }
+                }
+            });
+        } catch (err) {
+            if (!err.batchFailed) {
+                throw err;
+            }
+            // Earlier operations succeeded but were undone along with the failed one
+            const rolledBack = results.map((result, index) => (index < results.length - 1 ? { ...result, rolledBack: true } : result));
+            return { atomic, committed: false, failedIndex: results.length - 1, results: rolledBack };
+        }
+        return { atomic, committed: true, results };
+    }
+
+    for (const [index, operation] of operations.entries()) {
+        try {
+            results.push(await withTransaction(() => runBatchOperation(operation, index, context)));
+        } catch (err) {
+            logger.error('Error running batch operation:', err);
+            results.push({ index, action: operation.action, id: operation.id, status: 500, error: 'Operation failed' });
+        }
+    }
+    return { atomic, committed: results.some(result => result.status < 400), results };
+}
+
+/**
+ * Validate rows with the validateProduct rules and write the valid ones in one transaction.
+ * mode decides what happens when a product ID already exists: 'insert' reports it as an
+ * error, 'update' overwrites the stored product and 'skip' leaves it untouched.
+ * With dryRun nothing is written and the counts describe what would happen.
+ */
+async function importProducts(rows, { mode = 'insert', dryRun = false, context } = {}) {
+    const report = { dryRun, mode, total: rows.length, inserted: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+    const validRows = [];
+    const seenIds = new Set();
+    const seenGtins = new Set();
+
+    for (let i = 0; i < rows.length; i++) {
+        const row = i + 1;
+        const rowReq = { body: { ...rows[i] } };
+        await Promise.all(validateProduct.map(chain => chain.run(rowReq)));
+        const errors = validationResult(rowReq);
+
+        if (!errors.isEmpty()) {
+            report.errors.push({ row, id: rows[i].id, errors: errors.array() });
+            continue;
+        }
+
+        const product = rowReq.body;
+        if (seenIds.has(product.id)) {
+            report.errors.push({ row, id: product.id, errors: [{ path: 'id', msg: 'Duplicate ID in import data' }] });
+            continue;
+        }
+        if (product.gtin && seenGtins.has(gtinKey(product.gtin))) {
+            report.errors.push({ row, id: product.id, errors: [{ path: 'gtin', msg: 'Duplicate GTIN in import data' }] });
+            continue;
+        }
+        seenIds.add(product.id);
+        if (product.gtin) {
+            seenGtins.add(gtinKey(product.gtin));
+        }
+        validRows.push({ row, product });
+    }
+
+    const apply = async () => {
+        for (const { row, product } of validRows) {
+            const existing = await getProductRow(product.id);
+            const values = {
+                category: dryRun ? product.category : await resolveCategory(product.category),
+                name: product.name,
+                description: product.description || '',
+                quantity: parseInt(product.quantity),
+                unit_price: parseFloat(product.unit_price),
+                // Files without a currency column keep the stored currency
+                currency: product.currency || (existing ? existing.currency : BASE_CURRENCY),
+                code: product.code,
+                // Likewise files without a GTIN column keep the stored GTIN
+                gtin: product.gtin !== undefined ? product.gtin || null : (existing ? existing.gtin : null)
+            };
+
+            if (existing && existing.deleted_at) {
+                report.errors.push({ row, id: product.id, errors: [{ path: 'id', msg: 'Product with this ID is in the trash; restore or purge it first' }] });
+            } else if (!existing) {
+                if (!dryRun) {
+                    await productRepository.insert({ id: product.id, ...values, quantity: 0 });
+                    await setStockLevel(product.id, values.quantity, 'Imported', context);
+                    await recordAudit('create', null, await getProductRow(product.id), context);
+                }
+                report.inserted++;
+            } else if (mode === 'update') {
+                if (!dryRun) {
+                    const { quantity, ...fields } = values;
+                    await productRepository.update(product.id, fields);
+                    await setStockLevel(product.id, quantity, 'Imported', context);
+                    await recordAudit('update', existing, await getProductRow(product.id), context);
+                }
+                report.updated++;
+            } else if (mode === 'skip') {
+                report.skipped++;
+            } else {
+                report.errors.push({ row, id: product.id, errors: [{ path: 'id', msg: 'Product with this ID already exists' }] });
+            }
+        }
+    };
+
+    if (dryRun) {
+        await apply();
+    } else {
+        await withTransaction(apply);
+    }
+
+    report.errors.sort((a, b) => a.row - b.row);
+    report.failed = report.errors.length;
+    return report;
+}
+
+// The fields POST /api/products insists on beyond the validateProduct rules
+const hasRequiredFields = ({ id, category, name, description, quantity, unit_price, code }) => (
+    Boolean(id && category && name && description && quantity !== undefined && unit_price && code)
+);
+
+/**
+ * Insert a validated product with its opening stock movement and audit entry.
+ * Call inside a transaction.
+ */
+async function insertProduct(product, context) {
+    const { id, category, name, description, quantity, unit_price, currency = BASE_CURRENCY, code, gtin = null, reorder_point = null, reorder_quantity = null } = product;
+    await productRepository.insert({
+        id,
+        category: await resolveCategory(category),
+        name,
+        description,
+        quantity: 0,
+        unit_price: parseFloat(unit_price),
+        currency,
+        code,
+        gtin: gtin || null,
+        reorder_point: reorder_point === null ? null : parseInt(reorder_point),
+        reorder_quantity: reorder_quantity === null ? null : parseInt(reorder_quantity)
+    });
+    await setStockLevel(id, parseInt(quantity), 'Initial stock', context);
+    await recordAudit('create', null, await getProductRow(id), context);
+}
+
+/**
+ * Apply field changes to a product, checking the If-Match precondition in the same
+ * transaction so a concurrent edit cannot slip in between the check and the write.
+ * Resolves with { status: 200 | 404 | 412, product } where product is the stored row
+ * after the update (or the current row when the precondition failed).
+ */
+const updateProduct = (id, changes, ifMatch, context) => withTransaction(() => applyProductUpdate(id, changes, ifMatch, context));
+
+// The body of updateProduct, for callers that already hold a transaction
+async function applyProductUpdate(id, changes, ifMatch, context) {
+    const current = await productRepository.findById(id, { deleted: false });
+    if (!current) {
+        return { status: 404 };
+    }
+    if (!ifMatchSatisfied(ifMatch, entityTag(current))) {
+        return { status: 412, product: current };
+    }
+
+    if (changes.category !== undefined) {
+        changes = { ...changes, category: await resolveCategory(changes.category) };
+    }
+
+    const fields = UPDATABLE_FIELDS.filter(field => changes[field] !== undefined);
+    const values = Object.fromEntries(fields.map(field => {
+        if (NULLABLE_FIELDS.includes(field) && (changes[field] === null || changes[field] === '')) return [field, null];
+        if (INTEGER_FIELDS.includes(field)) return [field, parseInt(changes[field])];
+        if (field === 'unit_price') return [field, parseFloat(changes.unit_price)];
+        return [field, changes[field]];
+    }));
+
+    const { quantity, ...otherValues } = values;
+    await productRepository.update(id, otherValues);
+    if (quantity !== undefined) {
+        await setStockLevel(id, quantity, 'Quantity edited', context);
+    }
+    const product = await getProductRow(id);
+    await recordAudit('update', current, product, context);
+    return { status: 200, product };
+}
+
+/**
+ * Move a product to the trash if ifMatch allows it. Call inside a transaction.
+ * Resolves with 200, 404 or 412.
+ */
+async function trashProduct(id, ifMatch, context) {
+    const current = await productRepository.findById(id, { deleted: false });
+    if (!current) {
+        return 404;
+    }
+    if (!ifMatchSatisfied(ifMatch, entityTag(current))) {
+        return 412;
+    }
+    await productRepository.moveToTrash(id);
+    await recordAudit('delete', current, await getProductRow(id), context);
+    return 200;
+}
+
+/**
+ * Permanently delete trashed products that were deleted at least olderThanDays days ago.
+ * Resolves with the number of purged products.
+ */
+async function purgeTrash(olderThanDays, context) {
+    const purged = await withTransaction(async () => {
+        const rows = await productRepository.listTrashedBefore(new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000));
+        const images = [];
+        for (const row of rows) {
+            images.push(...await purgeProduct(row, context));
+        }
+        return { count: rows.length, images };
+    });
+    await removeImageFiles(purged.images);
+    if (purged.count > 0) {
+        logger.info('Trash purged', { purged: purged.count, olderThanDays });
+    }
+    return purged.count;
+}
+
+/**
+ * Permanently delete a trashed product along with its image rows and stock ledger, so a
+ * product created later with the same ID starts from zero. Call inside a transaction and
+ * pass the returned image rows to removeImageFiles once it has committed.
+ */
+async function purgeProduct(row, context) {
+    const images = await imageRepository.listForProduct(row.id);
+    await imageRepository.removeForProduct(row.id);
+    await stockRepository.removeForProduct(row.id);
+    await productRepository.remove(row.id);
+    await recordAudit('purge', row, null, context);
+    return images;
+}
+
+// Delete the files of product_images rows, tolerating files that are already gone
+async function removeImageFiles(rows) {
+    const filenames = rows.flatMap(row => [row.filename, row.thumbnail_filename]);
+    await Promise.all(filenames.map(filename => fs.promises.unlink(path.join(PRODUCT_IMAGES_DIR, filename)).catch(err => {
+        if (err.code !== 'ENOENT') {
+            logger.warn('Could not remove image file', { filename, error: err.message });
+        }
+    })));
+}
+
+// Shared response for PUT and PATCH
+const sendUpdateResult = (res, id, result) => {
+    if (result.status === 404) {
+        return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.set('ETag', entityTag(result.product));
+    if (result.status === 412) {
+        return res.status(412).json({ error: 'Product was modified by someone else; reload it and try again' });
+    }
+
+    logger.info('Product updated', { id });
+    res.json({ id, message: 'Product updated successfully' });
+};
+
+// Category row by slug, or else by name for clients that still pass names; a slug wins over another category's name
+const getCategoryRow = (slugOrName) => categoryRepository.find(slugOrName);
+
+// Every category with its live product count, shaped and ordered for the API
+async function listCategories() {
+    return formatCategories(await categoryRepository.listWithCounts());
+}
+
+/**
+ * Move every product (trashed ones included, so restores land in the right place) from
+ * one category name to another, auditing each change. Call inside a transaction.
+ * Resolves with the number of products moved.
+ */
+async function recategorizeProducts(from, to, context) {
+    const rows = await productRepository.listInCategory(from);
+    for (const row of rows) {
+        await productRepository.update(row.id, { category: to });
+        await recordAudit('update', row, await getProductRow(row.id), context);
+    }
+    return rows.length;
+}
+
+// API Routes
+
+// productRepository.listing filters from the query parameters of GET /api/products
+const listingFilters = (query) => ({
+    search: query.search,
+    category: query.category,
+    includeSubcategories: query.includeSubcategories === 'true',
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    currency: query.currency
+});
+
+// Same value as a listing's sortExpression, so keyset conditions continue exactly after the row
+const sortValue = (row, sortColumn, rates) => (sortColumn === 'unit_price' ? row.unit_price / rates.get(row.currency) : row[sortColumn]);
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get all products with optional filtering and pagination
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category slug or name (exact match)
+ *       - in: query
+ *         name: includeSubcategories
+ *         schema:
+ *           type: boolean
+ *         description: With category, also include products in its subcategories
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Full-text search in name, description and code. Words are combined with AND;
+ *           supports "quoted phrases", prefix* terms, the operators AND, OR and NOT, and parentheses.
+ *           Matching products carry a highlighted description snippet.
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum price filter, in the currency parameter's currency (EUR by default)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum price filter, in the currency parameter's currency (EUR by default)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *         description: Convert prices to this currency; the stored price is returned as original_unit_price and original_currency
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [relevance, id, name, category, quantity, unit_price, code]
+ *         description: Sort column (defaults to relevance when searching, otherwise id)
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *         description: Sort order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Items per page
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *           default: offset
+ *         description: Use cursor (keyset) pagination instead of page numbers
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous response; implies cursor pagination and carries its sortBy/order
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Run the COUNT query for total/totalPages (default true for page numbers, false for cursors)
+ *     responses:
+ *       200:
+ *         description: List of products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           snippet:
+ *                             type: string
+ *                             description: Description excerpt with matches wrapped in <mark> (searches only)
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                       description: Present as "cursor" in cursor mode
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ */
+app.get('/api/products', cacheCatalog(), validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    const { search, page = 1, limit = 20 } = req.query;
+    const searching = parseSearch(search).length > 0;
+    
+    let cursor = null;
+    if (req.query.cursor) {
+        try {
+            cursor = decodeCursor(req.query.cursor, PRODUCT_SORT_COLUMNS);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        if ((req.query.sortBy && req.query.sortBy !== cursor.sortBy) ||
+            (req.query.order && req.query.order.toUpperCase() !== cursor.order)) {
+            return res.status(400).json({ error: 'Cursor was created for a different sortBy/order' });
+        }
+    }
+    
+    const cursorMode = Boolean(cursor) || req.query.pagination === 'cursor';
+    const sortBy = cursor ? cursor.sortBy : (req.query.sortBy || (searching && !cursorMode ? 'relevance' : 'id'));
+    const order = cursor ? cursor.order : (req.query.order || 'ASC');
+    const includeTotal = req.query.includeTotal === undefined
+        ? !cursorMode
+        : !['false', '0'].includes(req.query.includeTotal);
+    
+    // Relevance scores shift as the catalog changes, so they cannot anchor a cursor
+    if (cursorMode && sortBy === 'relevance') {
+        return res.status(400).json({ error: 'Relevance sorting is not available with cursor pagination' });
+    }
+    
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const offset = cursorMode ? 0 : (pageNum - 1) * limitNum;
+    
+    const listing = productRepository.listing(listingFilters(req.query), sortBy, order);
+    const { sortColumn, sortOrder } = listing;
+    
+    try {
+        const total = includeTotal ? await listing.count() : undefined;
+        // Continue strictly after the last row of the previous page. One extra row tells us
+        // whether another page exists without counting.
+        const rows = await listing.rows({ after: cursor, limit: limitNum + 1, offset });
+        const hasMore = rows.length > limitNum;
+        const products = rows.slice(0, limitNum);
+        
+        const [decorated, rates] = await Promise.all([withReorderLevels(products).then(withPrimaryImages), getExchangeRates()]);
+        let pagination;
+        
+        if (cursorMode) {
+            const last = products[products.length - 1];
+            pagination = {
+                mode: 'cursor',
+                limit: limitNum,
+                hasMore: hasMore,
+                nextCursor: hasMore
+                    ? encodeCursor({ sortBy: sortColumn, order: sortOrder, value: sortValue(last, sortColumn, rates), id: last.id })
+                    : null
+            };
+            if (total !== undefined) {
+                pagination.total = total;
+            }
+        } else {
+            pagination = { page: pageNum, limit: limitNum, hasMore: hasMore };
+            if (total !== undefined) {
+                pagination.total = total;
+                pagination.totalPages = Math.ceil(total / limitNum);
+            }
+        }
+        
+        res.json({
+            products: req.query.currency ? decorated.map(product => convertProduct(product, req.query.currency, rates)) : decorated,
+            pagination
+        });
+    } catch (err) {
+        if (searching && /fts5/i.test(err.message)) {
+            return res.status(400).json({ error: 'Invalid search query' });
+        }
+        logger.error('Error fetching products:', err);
+        res.status(500).json({ error: 'Failed to fetch products' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/trash:
+ *   get:
+ *     summary: List products in the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trashed products, most recently deleted first
+ */
+app.get('/api/products/trash', requireRole('editor'), async (req, res) => {
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 20;
+    const offset = (pageNum - 1) * limitNum;
+    
+    try {
+        const { total, products } = await productRepository.listTrash({ limit: limitNum, offset });
+        res.json({
+            products,
+            retentionDays: TRASH_RETENTION_DAYS,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (err) {
+        logger.error('Error fetching trash:', err);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/trash:
+ *   delete:
+ *     summary: Permanently remove products from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: olderThanDays
+ *         schema:
+ *           type: integer
+ *         description: Only purge products deleted at least this many days ago (defaults to TRASH_RETENTION_DAYS; 0 empties the trash)
+ *     responses:
+ *       200:
+ *         description: Number of purged products
+ */
+app.delete('/api/products/trash', strictLimiter, requireRole('admin'), async (req, res) => {
+    const olderThanDays = req.query.olderThanDays === undefined ? TRASH_RETENTION_DAYS : parseInt(req.query.olderThanDays);
+    
+    if (isNaN(olderThanDays) || olderThanDays < 0) {
+        return res.status(400).json({ error: 'olderThanDays must be a non-negative integer' });
+    }
+    
+    try {
+        const purged = await purgeTrash(olderThanDays, auditContext(req));
+        res.json({ purged, olderThanDays, message: `Purged ${purged} products from trash` });
+    } catch (err) {
+        logger.error('Error purging trash:', err);
+        res.status(500).json({ error: 'Failed to purge trash' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/trash/{id}:
+ *   delete:
+ *     summary: Permanently remove one product from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product purged
+ *       404:
+ *         description: Product is not in the trash
+ */
+app.delete('/api/products/trash/:id', strictLimiter, requireRole('admin'), validateId, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const images = await withTransaction(async () => {
+            const current = await productRepository.findById(id, { deleted: true });
+            if (!current) {
+                return null;
+            }
+            return purgeProduct(current, auditContext(req));
+        });
+        
+        if (!images) {
+            return res.status(404).json({ error: 'Product not found in trash' });
+        }
+        await removeImageFiles(images);
+        
+        logger.info('Product purged', { id });
+        res.json({ message: 'Product permanently deleted' });
+    } catch (err) {
+        logger.error('Error purging product:', err);
+        res.status(500).json({ error: 'Failed to purge product' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get a product by ID
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Convert the price to this currency
+ *     responses:
+ *       200:
+ *         description: Product details
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Version tag of the response for If-None-Match; also accepted in If-Match when updating or deleting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ */
+app.get('/api/products/:id', cacheCatalog({ versionTag: false }), validateId, validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const row = await productRepository.findById(id, { deleted: false });
+        if (!row) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        
+        // The row's tag, which If-Match checks, plus the catalog version for the exchange rates,
+        // images and category defaults in the body
+        res.set('ETag', representationTag(entityTag(row), res.locals.catalogTag));
+        const [product] = await withRequestedCurrency(req, await withPrimaryImages(await withReorderLevels([row])));
+        res.json(product);
+    } catch (err) {
+        logger.error('Error fetching product:', err);
+        res.status(500).json({ error: 'Failed to fetch product' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/barcode.svg:
+ *   get:
+ *     summary: Barcode of a product as SVG, for shelf labels
+ *     description: The product's GTIN as EAN-8, UPC-A, EAN-13 or ITF-14, or a Code 128 of its code when it has no GTIN.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: height
+ *         schema:
+ *           type: integer
+ *           minimum: 5
+ *           maximum: 50
+ *           default: 15
+ *         description: Bar height in millimetres
+ *       - in: query
+ *         name: text
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Print the digits below the bars
+ *     responses:
+ *       200:
+ *         description: SVG image
+ *         content:
+ *           image/svg+xml: {}
+ *       404:
+ *         description: Product not found
+ *       422:
+ *         description: The product code cannot be encoded as a barcode
+ */
+app.get('/api/products/:id/barcode.svg', validateId, [
+    query('height').optional().isInt({ min: 5, max: 50 }).withMessage('Height must be between 5 and 50 millimetres'),
+    query('text').optional().isIn(['true', 'false']).withMessage('Text must be true or false')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const product = await productRepository.findById(req.params.id, { deleted: false });
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        let svg;
+        try {
+            svg = renderBarcodeSvg(product, {
+                height: req.query.height ? parseInt(req.query.height) : undefined,
+                includeText: req.query.text !== 'false'
+            });
+        } catch (err) {
+            return res.status(422).json({ error: `Cannot render a barcode for this product: ${err.message}` });
+        }
+        res.type('image/svg+xml').send(svg);
+    } catch (err) {
+        logger.error('Error rendering barcode:', err);
+        res.status(500).json({ error: 'Failed to render barcode' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/lookup/{barcode}:
+ *   get:
+ *     summary: Find a product by any of its identifiers
+ *     description: >
+ *       Tries the product ID, then the GTIN (a UPC-A also matches the same number written as
+ *       EAN-13 or GTIN-14), then the product code.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Convert the price to this currency
+ *     responses:
+ *       200:
+ *         description: The product and which identifier matched (id, gtin or code)
+ *       404:
+ *         description: No product has this identifier
+ *       409:
+ *         description: Several products share this code
+ */
+app.get('/api/lookup/:barcode', validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    const barcode = req.params.barcode.trim();
+    const gtin = normalizeGtin(barcode);
+
+    try {
+        let matchedBy = 'id';
+        let rows = [await productRepository.findById(barcode, { deleted: false })].filter(Boolean);
+        if (rows.length === 0 && isValidGtin(gtin)) {
+            matchedBy = 'gtin';
+            rows = await productRepository.findByGtin(gtin);
+        }
+        if (rows.length === 0) {
+            matchedBy = 'code';
+            rows = await productRepository.findByCode(barcode);
+        }
+
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'No product matches this barcode' });
+        }
+        if (rows.length > 1) {
+            return res.status(409).json({ error: 'Several products share this code', matches: rows.map(row => row.id) });
+        }
+
+        const [product] = await withRequestedCurrency(req, await withPrimaryImages(await withReorderLevels(rows)));
+        res.json({ matchedBy, gtinFormat: product.gtin ? gtinFormat(product.gtin) : null, product });
+    } catch (err) {
+        logger.error('Error looking up barcode:', err);
+        res.status(500).json({ error: 'Failed to look up barcode' });
+    }
+});
+
+// GET products in a category (by slug or name), with ?includeSubcategories=true those below it too
+app.get('/api/products/category/:category', cacheCatalog(), validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    const { category } = req.params;
+    
+    try {
+        const rows = await productRepository.findByCategory(category, { includeSubcategories: req.query.includeSubcategories === 'true' });
+        res.json(await withRequestedCurrency(req, await withPrimaryImages(await withReorderLevels(rows))));
+    } catch (err) {
+        logger.error('Error fetching products by category:', err);
+        res.status(500).json({ error: 'Failed to fetch products' });
+    }
+});
+
+const categoryFieldRules = {
+    name: () => body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters'),
+    slug: () => body('slug').optional().isString().trim().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+        .withMessage('Slug must be lowercase letters, digits and single hyphens'),
+    description: () => body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+    parent: () => body('parent').optional({ values: 'null' }).isString().trim().isLength({ min: 1 }).withMessage('Parent must be a category slug')
+};
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: All categories
+ *     description: Ordered so that subcategories follow their parent. productCount excludes trashed products.
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Array of categories with their parent slug, depth and path
+ */
+app.get('/api/categories', cacheCatalog(), async (req, res) => {
+    try {
+        res.json(await listCategories());
+    } catch (err) {
+        logger.error('Error fetching categories:', err);
+        res.status(500).json({ error: 'Failed to fetch categories' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/categories/{slug}:
+ *   get:
+ *     summary: A category and its direct subcategories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The category
+ *       404:
+ *         description: Category not found
+ */
+app.get('/api/categories/:slug', cacheCatalog(), async (req, res) => {
+    try {
+        const row = await getCategoryRow(req.params.slug);
+        if (!row) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        const categories = await listCategories();
+        const category = categories.find(c => c.id === row.id);
+        res.json({ ...category, subcategories: categories.filter(c => c.parent === category.slug) });
+    } catch (err) {
+        logger.error('Error fetching category:', err);
+        res.status(500).json({ error: 'Failed to fetch category' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Create a category
+ *     description: The slug is derived from the name unless given.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: Slug of the parent category
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Validation error or unknown parent
+ *       409:
+ *         description: A category with this name or slug already exists
+ */
+app.post('/api/categories', strictLimiter, requireRole('editor'), Object.values(categoryFieldRules).map(rule => rule()), handleValidationErrors, async (req, res) => {
+    const { name, slug, description = null, parent = null } = req.body;
+
+    try {
+        const result = await withTransaction(async () => {
+            if (await categoryRepository.isTaken({ name, slug: slug || null })) {
+                return { status: 409 };
+            }
+            const parentRow = parent === null ? null : await getCategoryRow(parent);
+            if (parent !== null && !parentRow) {
+                return { status: 400 };
+            }
+            const id = await categoryRepository.create({ name, slug, description, parentId: parentRow ? parentRow.id : null });
+            markCatalogChanged();
+            return { status: 201, id };
+        });
+
+        if (result.status === 409) {
+            return res.status(409).json({ error: 'A category with this name or slug already exists' });
+        }
+        if (result.status === 400) {
+            return res.status(400).json({ error: 'Parent category not found' });
+        }
+
+        const category = (await listCategories()).find(c => c.id === result.id);
+        logger.info('Category created', { slug: category.slug });
+        res.status(201).json(category);
+    } catch (err) {
+        logger.error('Error creating category:', err);
+        res.status(500).json({ error: 'Failed to create category' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/categories/{slug}:
+ *   patch:
+ *     summary: Rename, re-slug, describe or move a category
+ *     description: A rename is applied to every product in the category, including trashed ones, and recorded in their history.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Slug of the new parent, or null for a top-level category
+ *     responses:
+ *       200:
+ *         description: The updated category
+ *       400:
+ *         description: Validation error, unknown parent or a parent inside the category
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Another category has this name or slug
+ */
+app.patch('/api/categories/:slug', strictLimiter, requireRole('editor'), [
+    categoryFieldRules.name().optional(),
+    categoryFieldRules.slug(),
+    categoryFieldRules.description(),
+    categoryFieldRules.parent()
+], handleValidationErrors, async (req, res) => {
+    const { name, slug, description, parent } = req.body;
+    if ([name, slug, description, parent].every(value => value === undefined)) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    try {
+        const result = await withTransaction(async () => {
+            const current = await getCategoryRow(req.params.slug);
+            if (!current) {
+                return { status: 404, error: 'Category not found' };
+            }
+            const clash = await categoryRepository.isTaken(
+                { name: name === undefined ? null : name, slug: slug === undefined ? null : slug },
+                current.id
+            );
+            if (clash) {
+                return { status: 409, error: 'Another category has this name or slug' };
+            }
+
+            let parentId = current.parent_id;
+            if (parent !== undefined) {
+                const parentRow = parent === null ? null : await getCategoryRow(parent);
+                if (parent !== null && !parentRow) {
+                    return { status: 400, error: 'Parent category not found' };
+                }
+                if (parentRow && (await categoryRepository.subtreeIds(current.id)).includes(parentRow.id)) {
+                    return { status: 400, error: 'A category cannot be moved below itself' };
+                }
+                parentId = parentRow ? parentRow.id : null;
+            }
+
+            const updated = {
+                name: name === undefined ? current.name : name,
+                slug: slug === undefined ? current.slug : slug,
+                description: description === undefined ? current.description : description
+            };
+            await categoryRepository.update(current.id, { ...updated, parentId });
+            markCatalogChanged();
+
+            let productsUpdated = 0;
+            if (updated.name !== current.name) {
+                productsUpdated = await recategorizeProducts(current.name, updated.name, auditContext(req));
+                await reorderDefaultRepository.moveCategory(current.name, updated.name);
+            }
+            return { status: 200, id: current.id, productsUpdated };
+        });
+
+        if (result.status !== 200) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const category = (await listCategories()).find(c => c.id === result.id);
+        logger.info('Category updated', { slug: category.slug, productsUpdated: result.productsUpdated });
+        res.json({ ...category, productsUpdated: result.productsUpdated });
+    } catch (err) {
+        logger.error('Error updating category:', err);
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/categories/{slug}/merge:
+ *   post:
+ *     summary: Merge a category into another
+ *     description: >
+ *       Moves the category's products (including trashed ones) and subcategories into the
+ *       target, then deletes it. Its reorder defaults carry over only if the target has none.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [into]
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 description: Slug of the category to merge into
+ *     responses:
+ *       200:
+ *         description: The target category after the merge
+ *       400:
+ *         description: Unknown target, or a target inside the merged category
+ *       404:
+ *         description: Category not found
+ */
+app.post('/api/categories/:slug/merge', strictLimiter, requireRole('editor'), [
+    body('into').isString().trim().isLength({ min: 1 }).withMessage('Into must be a category slug')
+], handleValidationErrors, async (req, res) => {
+    try {
+        const result = await withTransaction(async () => {
+            const source = await getCategoryRow(req.params.slug);
+            if (!source) {
+                return { status: 404, error: 'Category not found' };
+            }
+            const target = await getCategoryRow(req.body.into);
+            if (!target) {
+                return { status: 400, error: 'Target category not found' };
+            }
+            if ((await categoryRepository.subtreeIds(source.id)).includes(target.id)) {
+                return { status: 400, error: 'A category cannot be merged into itself or a subcategory' };
+            }
+
+            const productsMoved = await recategorizeProducts(source.name, target.name, auditContext(req));
+            await categoryRepository.reparentChildren(source.id, target.id);
+            await reorderDefaultRepository.moveCategory(source.name, target.name);
+            await categoryRepository.remove(source.id);
+            markCatalogChanged();
+            return { status: 200, id: target.id, productsMoved };
+        });
+
+        if (result.status !== 200) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const category = (await listCategories()).find(c => c.id === result.id);
+        logger.info('Category merged', { from: req.params.slug, into: category.slug, productsMoved: result.productsMoved });
+        res.json({ ...category, productsMoved: result.productsMoved });
+    } catch (err) {
+        logger.error('Error merging category:', err);
+        res.status(500).json({ error: 'Failed to merge category' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/categories/{slug}:
+ *   delete:
+ *     summary: Delete an empty category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has products or subcategories; merge it instead
+ */
+app.delete('/api/categories/:slug', strictLimiter, requireRole('editor'), async (req, res) => {
+    try {
+        const result = await withTransaction(async () => {
+            const current = await getCategoryRow(req.params.slug);
+            if (!current) {
+                return { status: 404, error: 'Category not found' };
+            }
+            // Trashed products count too, since they can be restored
+            const count = await productRepository.countInCategory(current.name);
+            if (count > 0) {
+                return { status: 409, error: `${count} product(s) are in this category; merge it into another instead` };
+            }
+            if (await categoryRepository.hasChildren(current.id)) {
+                return { status: 409, error: 'The category has subcategories' };
+            }
+            await reorderDefaultRepository.remove(current.name);
+            await categoryRepository.remove(current.id);
+            markCatalogChanged();
+            return { status: 200 };
+        });
+
+        if (result.status !== 200) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        logger.info('Category deleted', { slug: req.params.slug });
+        res.json({ message: 'Category deleted' });
+    } catch (err) {
+        logger.error('Error deleting category:', err);
+        res.status(500).json({ error: 'Failed to delete category' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a new product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *       400:
+ *         description: Validation error
+ */
+app.post('/api/products', strictLimiter, requireRole('editor'), validateProduct, handleValidationErrors, async (req, res) => {
+    const { id } = req.body;
+    
+    if (!hasRequiredFields(req.body)) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    
+    try {
+        await withTransaction(() => insertProduct(req.body, auditContext(req)));
+        
+        logger.info('Product created', { id });
+        res.status(201).json({ id, message: 'Product created successfully' });
+    } catch (err) {
+        logger.error('Error creating product:', err);
+        res.status(500).json({ error: 'Failed to create product' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   put:
+ *     summary: Update a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /api/products/{id}; the update is rejected if the product changed since
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       404:
+ *         description: Product not found
+ *       412:
+ *         description: If-Match did not match the current ETag
+ */
+app.put('/api/products/:id', strictLimiter, requireRole('editor'), validateId, validateProduct, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    const { category, name, description, quantity, unit_price, currency, code, gtin = null, reorder_point = null, reorder_quantity = null } = req.body;
+    
+    try {
+        // Without a currency the stored one is kept
+        const result = await updateProduct(
+            id,
+            { category, name, description: description === undefined ? null : description, quantity, unit_price, currency, code, gtin, reorder_point, reorder_quantity },
+            req.get('If-Match'),
+            auditContext(req)
+        );
+        sendUpdateResult(res, id, result);
+    } catch (err) {
+        logger.error('Error updating product:', err);
+        res.status(500).json({ error: 'Failed to update product' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   patch:
+ *     summary: Partially update a product
+ *     description: Only the fields present in the body are validated and changed.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /api/products/{id}; the update is rejected if the product changed since
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unit_price:
+ *                 type: number
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ *       412:
+ *         description: If-Match did not match the current ETag
+ */
+app.patch('/api/products/:id', strictLimiter, requireRole('editor'), validateId, validateProductPatch, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const result = await updateProduct(id, req.body, req.get('If-Match'), auditContext(req));
+        sendUpdateResult(res, id, result);
+    } catch (err) {
+        logger.error('Error updating product:', err);
+        res.status(500).json({ error: 'Failed to update product' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   delete:
+ *     summary: Move a product to the trash
+ *     description: The product is hidden from lists, search, statistics and exports until it is restored or purged.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /api/products/{id}; the delete is rejected if the product changed since
+ *     responses:
+ *       200:
+ *         description: Product moved to trash
+ *       404:
+ *         description: Product not found
+ *       412:
+ *         description: If-Match did not match the current ETag
+ */
+app.delete('/api/products/:id', strictLimiter, requireRole('editor'), validateId, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const status = await withTransaction(() => trashProduct(id, req.get('If-Match'), auditContext(req)));
+        
+        if (status === 404) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (status === 412) {
+            return res.status(412).json({ error: 'Product was modified by someone else; reload it and try again' });
+        }
+        
+        logger.info('Product moved to trash', { id });
+        res.json({ message: 'Product moved to trash' });
+    } catch (err) {
+        logger.error('Error deleting product:', err);
+        res.status(500).json({ error: 'Failed to delete product' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore a product from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       404:
+ *         description: Product is not in the trash
+ */
+app.post('/api/products/:id/restore', strictLimiter, requireRole('editor'), validateId, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+        const restored = await withTransaction(async () => {
+            const current = await productRepository.findById(id, { deleted: true });
+            if (!current) {
+                return false;
+            }
+            await productRepository.restore(id);
+            await recordAudit('restore', current, await getProductRow(id), auditContext(req));
+            return true;
+        });
+        
+        if (!restored) {
+            return res.status(404).json({ error: 'Product not found in trash' });
+        }
+        
+        logger.info('Product restored', { id });
+        res.json({ id, message: 'Product restored successfully' });
+    } catch (err) {
+        logger.error('Error restoring product:', err);
+        res.status(500).json({ error: 'Failed to restore product' });
+    }
+});
+
+// Multipart parser for image uploads. Files stay in memory until processImage has checked them.
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_MAX_BYTES, files: IMAGE_MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (IMAGE_CONTENT_TYPES.includes(file.mimetype)) {
+            return cb(null, true);
+        }
+        const err = new Error(`${file.originalname} is not a JPEG, PNG or WebP image`);
+        err.status = 415;
+        cb(err);
+    }
+});
+
+// Parse the "images" field, answering upload errors as JSON like every other validation error
+const parseImageUpload = (req, res, next) => {
+    imageUpload.array('images', IMAGE_MAX_FILES)(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `Images must be at most ${IMAGE_MAX_BYTES} bytes` });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: `Send up to ${IMAGE_MAX_FILES} images in the "images" field` });
+        }
+        if (err instanceof multer.MulterError || err.status) {
+            return res.status(err.status || 400).json({ error: err.message });
+        }
+        next(err);
+    });
+};
+
+const validateImageId = [
+    param('imageId').isInt({ min: 1 }).withMessage('Invalid image ID')
+];
+
+// A product's image rows in display order
+const getImageRows = (productId) => imageRepository.listForProduct(productId);
+
+const setPrimaryImage = (productId, imageId) => imageRepository.setPrimary(productId, imageId);
+
+// Number the given images 1..n in the order given
+async function saveImageOrder(imageIds) {
+    for (const [index, imageId] of imageIds.entries()) {
+        await imageRepository.setPosition(imageId, index + 1);
+    }
+}
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   get:
+ *     summary: Images of a product in display order
+ *     tags: [Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Array of images with their url, thumbnailUrl, position and primary flag
+ *       404:
+ *         description: Product not found
+ */
+app.get('/api/products/:id/images', validateId, handleValidationErrors, async (req, res) => {
+    try {
+        if (!(await productRepository.findById(req.params.id, { deleted: false }))) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        res.json((await getImageRows(req.params.id)).map(formatImage));
+    } catch (err) {
+        logger.error('Error fetching product images:', err);
+        res.status(500).json({ error: 'Failed to fetch product images' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Upload product images
+ *     description: >
+ *       JPEG, PNG or WebP files up to IMAGE_MAX_BYTES (5 MB by default) each, at most 10 per request.
+ *       New images are added after the existing ones; the first image of a product becomes its primary image.
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               primary:
+ *                 type: boolean
+ *                 description: Make the first uploaded image the primary image
+ *     responses:
+ *       201:
+ *         description: The uploaded images
+ *       400:
+ *         description: No images, too many images, or a file that is not a valid image
+ *       404:
+ *         description: Product not found
+ *       413:
+ *         description: An image is too large
+ *       415:
+ *         description: An image is not JPEG, PNG or WebP
+ */
+app.post('/api/products/:id/images', strictLimiter, requireRole('editor'), validateId, handleValidationErrors, parseImageUpload, async (req, res) => {
+    const { id } = req.params;
+    const files = req.files || [];
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'Send the images as multipart/form-data in the "images" field' });
+    }
+
+    // Check every file before storing any, so an upload is all or nothing
+    const uploads = [];
+    for (const file of files) {
+        let image;
+        try {
+            image = await processImage(file.buffer);
+        } catch (err) {
+            return res.status(400).json({ error: `${file.originalname}: ${err.message}` });
+        }
+        uploads.push({ file, image, ...imageFileNames(image.extension) });
+    }
+
+    const written = uploads.map(({ filename, thumbnailFilename }) => ({ filename, thumbnail_filename: thumbnailFilename }));
+    try {
+        await fs.promises.mkdir(PRODUCT_IMAGES_DIR, { recursive: true });
+        for (const { file, image, filename, thumbnailFilename } of uploads) {
+            await fs.promises.writeFile(path.join(PRODUCT_IMAGES_DIR, filename), file.buffer);
+            await fs.promises.writeFile(path.join(PRODUCT_IMAGES_DIR, thumbnailFilename), image.thumbnail);
+        }
+
+        const imageIds = await withTransaction(async () => {
+            if (!(await productRepository.findById(id, { deleted: false }))) {
+                return null;
+            }
+            const { position, primaries } = await imageRepository.positions(id);
+            const ids = [];
+            for (const [index, { file, image, filename, thumbnailFilename }] of uploads.entries()) {
+                ids.push(await imageRepository.insert({
+                    productId: id,
+                    filename,
+                    thumbnailFilename,
+                    originalName: file.originalname,
+                    contentType: image.contentType,
+                    size: file.size,
+                    width: image.width,
+                    height: image.height,
+                    position: position + index + 1,
+                    createdBy: req.principal.name
+                }));
+            }
+            markCatalogChanged();
+            if (primaries === 0 || req.body.primary === 'true') {
+                await setPrimaryImage(id, ids[0]);
+            }
+            return ids;
+        });
+
+        if (!imageIds) {
+            await removeImageFiles(written);
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        logger.info('Product images uploaded', { id, count: imageIds.length });
+        const rows = await getImageRows(id);
+        res.status(201).json(rows.filter(row => imageIds.includes(row.id)).map(formatImage));
+    } catch (err) {
+        await removeImageFiles(written);
+        logger.error('Error uploading product images:', err);
+        res.status(500).json({ error: 'Failed to upload product images' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   patch:
+ *     summary: Move an image or make it the primary image
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: New 1-based position; the other images shift to make room
+ *               primary:
+ *                 type: boolean
+ *                 enum: [true]
+ *     responses:
+ *       200:
+ *         description: All images of the product in their new order
+ *       404:
+ *         description: Image not found
+ */
+app.patch('/api/products/:id/images/:imageId', strictLimiter, requireRole('editor'), validateId, validateImageId, [
+    body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer'),
+    body('primary').optional().custom(value => value === true).withMessage('Primary can only be set to true; make another image primary instead')
+], handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    const imageId = parseInt(req.params.imageId);
+    const { position, primary } = req.body;
+    if (position === undefined && primary === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    try {
+        const found = await withTransaction(async () => {
+            const rows = await getImageRows(id);
+            if (!rows.some(row => row.id === imageId)) {
+                return false;
+            }
+            if (position !== undefined) {
+                const others = rows.map(row => row.id).filter(rowId => rowId !== imageId);
+                others.splice(Math.min(parseInt(position), rows.length) - 1, 0, imageId);
+                await saveImageOrder(others);
+            }
+            if (primary) {
+                await setPrimaryImage(id, imageId);
+            }
+            markCatalogChanged();
+            return true;
+        });
+
+        if (!found) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        logger.info('Product image updated', { id, imageId });
+        res.json((await getImageRows(id)).map(formatImage));
+    } catch (err) {
+        logger.error('Error updating product image:', err);
+        res.status(500).json({ error: 'Failed to update product image' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete an image and its thumbnail
+ *     description: If it was the primary image, the next image in order becomes primary.
+ *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Image deleted
+ *       404:
+ *         description: Image not found
+ */
+app.delete('/api/products/:id/images/:imageId', strictLimiter, requireRole('editor'), validateId, validateImageId, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    const imageId = parseInt(req.params.imageId);
+
+    try {
+        const removed = await withTransaction(async () => {
+            const rows = await getImageRows(id);
+            const image = rows.find(row => row.id === imageId);
+            if (!image) {
+                return null;
+            }
+            await imageRepository.remove(imageId);
+            markCatalogChanged();
+            const remaining = rows.filter(row => row.id !== imageId);
+            await saveImageOrder(remaining.map(row => row.id));
+            if (image.is_primary && remaining.length > 0) {
+                await setPrimaryImage(id, remaining[0].id);
+            }
+            return image;
+        });
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        await removeImageFiles([removed]);
+        logger.info('Product image deleted', { id, imageId });
+        res.json({ message: 'Image deleted' });
+    } catch (err) {
+        logger.error('Error deleting product image:', err);
+        res.status(500).json({ error: 'Failed to delete product image' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   post:
+ *     summary: Record a stock movement
+ *     description: Receipts and returns add stock, sales remove it and adjustments (e.g. after a recount) change it by a signed amount. Movements that would take stock below zero are rejected.
+ *     tags: [Stock]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, quantity]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [receipt, sale, return, adjustment]
+ *               quantity:
+ *                 type: integer
+ *                 description: Positive amount; adjustments may be negative
+ *               reason:
+ *                 type: string
+ *                 description: Required for adjustments
+ *               reference:
+ *                 type: string
+ *                 description: Order, invoice or delivery number
+ *     responses:
+ *       201:
+ *         description: The recorded movement and the new on-hand quantity
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Not enough stock on hand
+ */
+app.post('/api/products/:id/stock', strictLimiter, requireRole('editor'), validateId, validateStockMovement, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    const { type, reason, reference } = req.body;
+    const delta = stockDelta(type, parseInt(req.body.quantity));
+    const context = auditContext(req);
+
+    try {
+        const result = await withTransaction(async () => {
+            const current = await productRepository.findById(id, { deleted: false });
+            if (!current) {
+                return { status: 404 };
+            }
+
+            const available = await stockOnHand(id);
+            if (available + delta < 0) {
+                return { status: 409, onHand: available };
+            }
+
+            const { movementId, onHand } = await applyStockMovement(id, { type, quantity: delta, reason, reference }, context);
+            await recordAudit('update', current, await getProductRow(id), context);
+            return { status: 201, onHand, movement: await stockRepository.findById(movementId) };
+        });
+
+        if (result.status === 404) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        if (result.status === 409) {
+            return res.status(409).json({ error: `Insufficient stock: only ${result.onHand} on hand`, onHand: result.onHand });
+        }
+
+        logger.info('Stock movement recorded', { id, type, quantity: delta });
+        res.status(201).json({ movement: formatMovement(result.movement), onHand: result.onHand });
+    } catch (err) {
+        logger.error('Error recording stock movement:', err);
+        res.status(500).json({ error: 'Failed to record stock movement' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   get:
+ *     summary: Stock movement history of a product, newest first
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: On-hand quantity and the movements that make it up; each movement's actor is included for signed-in callers
+ *       404:
+ *         description: Product not found
+ */
+app.get('/api/products/:id/stock', validateId, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 50;
+    const offset = (pageNum - 1) * limitNum;
+
+    try {
+        const product = await getProductRow(id);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const { total, movements: rows } = await stockRepository.list(id, { limit: limitNum, offset });
+
+        // Who recorded a movement is shown to signed-in callers only, as in the history
+        const role = req.principal ? req.principal.role : null;
+        res.json({
+            productId: id,
+            onHand: await stockOnHand(id),
+            movements: rows.map(row => {
+                const { actor, ...movement } = formatMovement(row);
+                return hasRole(role, 'viewer') ? { ...movement, actor } : movement;
+            }),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (err) {
+        logger.error('Error fetching stock movements:', err);
+        res.status(500).json({ error: 'Failed to fetch stock movements' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/history:
+ *   get:
+ *     summary: Change history of a product, newest first
+ *     description: Also available for products that are in the trash or have been purged.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: |
+ *           Audit entries with before/after values and the changed fields. actor is only included for
+ *           signed-in callers and ip only for admins, as on GET /api/audit.
+ *       404:
+ *         description: Product has no history
+ */
+app.get('/api/products/:id/history', validateId, handleValidationErrors, async (req, res) => {
+    const { id } = req.params;
+    const limitNum = parseInt(req.query.limit) || 100;
+    
+    try {
+        const rows = await auditRepository.listForProduct(id, limitNum);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'No history found for this product' });
+        }
+        
+        const role = req.principal ? req.principal.role : null;
+        res.json({
+            productId: id,
+            entries: rows.map(row => {
+                const { actor, ip, ...entry } = formatAuditEntry(row);
+                return {
+                    ...entry,
+                    ...(hasRole(role, 'viewer') ? { actor } : {}),
+                    ...(hasRole(role, 'admin') ? { ip } : {})
+                };
+            })
+        });
+    } catch (err) {
+        logger.error('Error fetching product history:', err);
+        res.status(500).json({ error: 'Failed to fetch product history' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Earliest timestamp (YYYY-MM-DD or YYYY-MM-DD HH:MM:SS, UTC)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Latest timestamp (a bare date includes the whole day)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Matching audit entries, newest first
+ */
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    const { productId, action, actor, from, to } = req.query;
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 50;
+    const offset = (pageNum - 1) * limitNum;
+    
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Invalid action, expected one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+    
+    const filters = {
+        productId,
+        action,
+        actor,
+        from,
+        // A bare date covers the whole day
+        to: to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59` : to
+    };
+    
+    try {
+        const { total, entries } = await auditRepository.list(filters, { limit: limitNum, offset });
+        res.json({
+            entries: entries.map(formatAuditEntry),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            }
+        });
+    } catch (err) {
+        logger.error('Error fetching audit log:', err);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/alerts/low-stock:
+ *   get:
+ *     summary: Products at or below their reorder point
+ *     description: Each product uses its own reorder point, else its category default, else LOW_STOCK_THRESHOLD. Most urgent (largest shortfall) first.
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug or name
+ *       - in: query
+ *         name: includeSubcategories
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Low-stock products with their effective reorder point, reorder quantity and shortfall
+ */
+app.get('/api/alerts/low-stock', async (req, res) => {
+    try {
+        const rows = await productRepository.listLowStock(LOW_STOCK_THRESHOLD, {
+            category: req.query.category,
+            includeSubcategories: req.query.includeSubcategories === 'true'
+        });
+
+        const products = rows.map(({ category_reorder_point, category_reorder_quantity, ...product }) => {
+            const levels = reorderLevels(product, { reorder_point: category_reorder_point, reorder_quantity: category_reorder_quantity }, LOW_STOCK_THRESHOLD);
+            return { ...product, ...levels, shortfall: levels.effective_reorder_point - product.quantity };
+        });
+        products.sort((a, b) => b.shortfall - a.shortfall || a.id.localeCompare(b.id));
+
+        res.json({ defaultReorderPoint: LOW_STOCK_THRESHOLD, total: products.length, products });
+    } catch (err) {
+        logger.error('Error fetching low-stock alerts:', err);
+        res.status(500).json({ error: 'Failed to fetch low-stock alerts' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/reorder-defaults:
+ *   get:
+ *     summary: Reorder point and quantity defaults per category
+ *     tags: [Stock]
+ *     responses:
+ *       200:
+ *         description: Category defaults and the global fallback reorder point
+ */
+app.get('/api/reorder-defaults', async (req, res) => {
+    try {
+        res.json({ defaultReorderPoint: LOW_STOCK_THRESHOLD, categories: await reorderDefaultRepository.list() });
+    } catch (err) {
+        logger.error('Error fetching reorder defaults:', err);
+        res.status(500).json({ error: 'Failed to fetch reorder defaults' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/reorder-defaults/{category}:
+ *   put:
+ *     summary: Set the reorder defaults of a category
+ *     tags: [Stock]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reorder_point]
+ *             properties:
+ *               reorder_point:
+ *                 type: integer
+ *                 minimum: 0
+ *               reorder_quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: The stored defaults
+ */
+app.put('/api/reorder-defaults/:category', strictLimiter, requireRole('editor'), [
+    body('reorder_point').isInt({ min: 0 }).withMessage('Reorder point must be a non-negative integer'),
+    productFieldRules.reorder_quantity()
+], handleValidationErrors, async (req, res) => {
+    const { category } = req.params;
+    const { reorder_point, reorder_quantity = null } = req.body;
+
+    try {
+        const saved = await withTransaction(async () => {
+            const row = await reorderDefaultRepository.save(category, {
+                reorderPoint: parseInt(reorder_point),
+                reorderQuantity: reorder_quantity === null ? null : parseInt(reorder_quantity)
+            });
+            markCatalogChanged();
+            return row;
+        });
+
+        logger.info('Reorder defaults updated', { category });
+        res.json(saved);
+    } catch (err) {
+        logger.error('Error saving reorder defaults:', err);
+        res.status(500).json({ error: 'Failed to save reorder defaults' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/reorder-defaults/{category}:
+ *   delete:
+ *     summary: Remove the reorder defaults of a category
+ *     tags: [Stock]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: category
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Defaults removed
+ *       404:
+ *         description: The category has no defaults
+ */
+app.delete('/api/reorder-defaults/:category', strictLimiter, requireRole('editor'), async (req, res) => {
+    try {
+        if (!(await reorderDefaultRepository.remove(req.params.category))) {
+            return res.status(404).json({ error: 'No reorder defaults for this category' });
+        }
+        markCatalogChanged();
+        res.json({ message: 'Reorder defaults removed' });
+    } catch (err) {
+        logger.error('Error removing reorder defaults:', err);
+        res.status(500).json({ error: 'Failed to remove reorder defaults' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Stored exchange rates
+ *     description: Each rate is the number of units of the currency per one unit of the base currency (EUR).
+ *     tags: [Currencies]
+ *     responses:
+ *       200:
+ *         description: The base currency and every stored rate
+ */
+app.get('/api/exchange-rates', async (req, res) => {
+    try {
+        const rows = await exchangeRateRepository.list();
+        res.json({
+            base: BASE_CURRENCY,
+            rates: rows.map(row => ({ currency: row.currency, rate: row.rate, updatedBy: row.updated_by, updatedAt: row.updated_at }))
+        });
+    } catch (err) {
+        logger.error('Error fetching exchange rates:', err);
+        res.status(500).json({ error: 'Failed to fetch exchange rates' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   put:
+ *     summary: Add or update exchange rates
+ *     description: Rates not in the body are left unchanged. The base currency's rate is always 1.
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rates]
+ *             properties:
+ *               rates:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { USD: 1.08, GBP: 0.85 }
+ *     responses:
+ *       200:
+ *         description: Rates saved
+ *       400:
+ *         description: Validation error
+ */
+app.put('/api/exchange-rates', strictLimiter, requireRole('editor'), [
+    body('rates').isObject().withMessage('Rates must be an object of currency codes to rates').bail()
+        .custom(rates => Object.keys(rates).length > 0).withMessage('At least one rate is required').bail()
+        .custom(rates => Object.keys(rates).every(isCurrencyCode))
+        .withMessage('Rates must be keyed by ISO 4217 currency codes such as USD').bail()
+        .custom(rates => Object.values(rates).every(rate => typeof rate === 'number' && Number.isFinite(rate) && rate > 0))
+        .withMessage('Rates must be positive numbers').bail()
+        .custom(rates => rates[BASE_CURRENCY] === undefined || rates[BASE_CURRENCY] === 1)
+        .withMessage(`The ${BASE_CURRENCY} rate is always 1`)
+], handleValidationErrors, async (req, res) => {
+    const { rates } = req.body;
+    try {
+        await withTransaction(async () => {
+            for (const [currency, rate] of Object.entries(rates)) {
+                await exchangeRateRepository.save(currency, rate, req.principal.name);
+            }
+            markCatalogChanged();
+        });
+
+        logger.info('Exchange rates updated', { currencies: Object.keys(rates) });
+        res.json({ message: 'Exchange rates saved', currencies: Object.keys(rates) });
+    } catch (err) {
+        logger.error('Error saving exchange rates:', err);
+        res.status(500).json({ error: 'Failed to save exchange rates' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/exchange-rates/{currency}:
+ *   delete:
+ *     summary: Remove an exchange rate
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate removed
+ *       400:
+ *         description: The base currency cannot be removed
+ *       404:
+ *         description: No rate stored for this currency
+ *       409:
+ *         description: Products are still priced in this currency
+ */
+app.delete('/api/exchange-rates/:currency', strictLimiter, requireRole('editor'), async (req, res) => {
+    const currency = req.params.currency.toUpperCase();
+    if (currency === BASE_CURRENCY) {
+        return res.status(400).json({ error: 'The base currency cannot be removed' });
+    }
+
+    try {
+        const result = await withTransaction(async () => {
+            // Trashed products count too, since they can be restored
+            const count = await productRepository.countInCurrency(currency);
+            if (count > 0) {
+                return { status: 409, count };
+            }
+            const removed = await exchangeRateRepository.remove(currency);
+            markCatalogChanged();
+            return { status: removed ? 200 : 404 };
+        });
+
+        if (result.status === 409) {
+            return res.status(409).json({ error: `${result.count} product(s) are priced in ${currency}` });
+        }
+        if (result.status === 404) {
+            return res.status(404).json({ error: 'No exchange rate for this currency' });
+        }
+        res.json({ message: 'Exchange rate removed' });
+    } catch (err) {
+        logger.error('Error removing exchange rate:', err);
+        res.status(500).json({ error: 'Failed to remove exchange rate' });
+    }
+});
+
+/**
+ * Shape base-currency statistics (from statisticsRepository.read or a snapshot) for the API,
+ * converting the money figures with rate.
+ */
+function formatStatistics(stats, currency, rate) {
+    const price = (value) => roundPrice((value || 0) * rate, currency).toFixed(minorUnits(currency));
+
+    return {
+        totalProducts: stats.totalProducts,
+        totalQuantity: stats.totalQuantity,
+        currency,
+        totalValue: price(stats.totalValue),
+        averagePrice: price(stats.averagePrice),
+        minPrice: price(stats.minPrice),
+        maxPrice: price(stats.maxPrice),
+        categoryCount: stats.categoryCount,
+        categoryBreakdown: stats.categories.map(c => ({
+            category: c.category,
+            count: c.count,
+            totalQuantity: c.totalQuantity,
+            totalValue: price(c.totalValue)
+        }))
+    };
+}
+
+/**
+ * Catalog totals and the per-category breakdown, as returned by GET /api/statistics
+ * and pushed in statistics-changed events. Prices are converted to currency.
+ */
+async function getStatistics(currency = BASE_CURRENCY) {
+    const rate = await exchangeRateRepository.rateOf(currency);
+    return { ...formatStatistics(await statisticsRepository.read(), currency, rate), timestamp: new Date().toISOString() };
+}
+
+/**
+ * Store the current statistics as today's (UTC) snapshot. Later runs on the same day
+ * replace it, so each day keeps the last figures seen that day. Unchanged figures are
+ * not written again and leave the history's validator as it was.
+ */
+async function recordStatisticsSnapshot() {
+    const changed = await withTransaction(async () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const stats = await statisticsRepository.read();
+        const [current] = await statisticsRepository.listSnapshots(today, today);
+        if (current) {
+            const { date, ...currentStats } = current;
+            if (util.isDeepStrictEqual(currentStats, stats)) {
+                return false;
+            }
+        }
+        await statisticsRepository.saveSnapshot(today, stats);
+        return true;
+    });
+    if (changed) {
+        markChanged(snapshotState);
+    }
+}
+
+const validateStatisticsHistory = [
+    ...validateCurrencyQuery,
+    query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)')
+        .custom((to, { req }) => !req.query.from || req.query.from.slice(0, 10) <= to.slice(0, 10))
+        .withMessage('to must not be before from')
+];
+
+/**
+ * @swagger
+ * /api/statistics:
+ *   get:
+ *     summary: Catalog totals, inventory value, price range and category breakdown
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *         description: Currency for the price and value figures (default EUR)
+ *     responses:
+ *       200:
+ *         description: Statistics
+ *       400:
+ *         description: Unknown currency
+ */
+app.get('/api/statistics', cacheCatalog(), validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    try {
+        res.json(await getStatistics(req.query.currency));
+    } catch (err) {
+        logger.error('Error fetching statistics:', err);
+        res.status(500).json({ error: 'Failed to fetch statistics' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/statistics/history:
+ *   get:
+ *     summary: Daily statistics snapshots as a time series
+ *     description: One entry per day with a snapshot, oldest first. Days the server did not run have no entry.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default 30 days before to)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default today, UTC)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency for the price and value figures, converted at the current rate (default EUR)
+ *     responses:
+ *       200:
+ *         description: Snapshots between from and to
+ *       400:
+ *         description: Invalid dates or unknown currency
+ */
+app.get('/api/statistics/history', cacheCatalog({ validator: historyValidator }), validateStatisticsHistory, handleValidationErrors, async (req, res) => {
+    const currency = req.query.currency || BASE_CURRENCY;
+    const to = req.query.to ? req.query.to.slice(0, 10) : new Date().toISOString().slice(0, 10);
+    const from = req.query.from
+        ? req.query.from.slice(0, 10)
+        : new Date(Date.parse(to) - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    try {
+        const rate = await exchangeRateRepository.rateOf(currency);
+        const snapshots = await statisticsRepository.listSnapshots(from, to);
+
+        res.json({
+            from,
+            to,
+            currency,
+            snapshots: snapshots.map(({ date, ...stats }) => ({ date, ...formatStatistics(stats, currency, rate) }))
+        });
+    } catch (err) {
+        logger.error('Error fetching statistics history:', err);
+        res.status(500).json({ error: 'Failed to fetch statistics history' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Live stream of catalog changes (Server-Sent Events)
+ *     description: |
+ *       Sends product.created, product.updated, product.deleted and product.restored events as they
+ *       are committed, each followed by a statistics-changed event carrying the GET /api/statistics
+ *       body. Product events have the audit log entry ID as their event ID; reconnect with a
+ *       Last-Event-ID header (or ?lastEventId=, which EventSource cannot set as a header on the first
+ *       connection) to receive everything missed in between. Without it the stream starts with new changes.
+ *       When more than 1000 entries were missed the stream starts with new changes after a reset
+ *       event instead, and the client should reload what it shows.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: A text/event-stream that stays open
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+app.get('/api/events', async (req, res) => {
+    const lastEventId = parseLastEventId(req.get('Last-Event-ID') ?? req.query.lastEventId);
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
-});
+    let latestId;
+    try {
+        latestId = await withTransaction(() => auditRepository.latestId());
+    } catch (err) {
+        logger.error('Error opening event stream:', err);
+        return res.status(500).json({ error: 'Failed to open event stream' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
 
-const strictLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 20, // stricter limit for write operations
-    message: 'Too many requests from this IP, please try again later.'
+    // An ID from before a database reset can be ahead of the log; resume from its end then.
+    // Replays are capped so a low ID cannot fetch the whole log; those clients start over.
+    const client = { res, cursor: lastEventId === null ? latestId : Math.min(lastEventId, latestId), paused: false };
+    if (latestId - client.cursor > EVENT_REPLAY_LIMIT) {
+        client.cursor = latestId;
+        writeEvent(client, formatEvent({ id: latestId, event: RESET_EVENT, data: { latestId } }));
+    }
+    eventClients.add(client);
+    req.on('close', () => eventClients.delete(client));
+
+    if (client.cursor < latestId) {
+        publishCatalogEvents();
+    }
 });
 
-// Middleware
-app.use(cors());
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(express.static('public_html'));
-app.use('/api/', limiter); // Apply rate limiting to all API routes
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Import products from CSV, XML or a JSON array
+ *     description: |
+ *       Accepts the CSV layout written by /api/products/export/csv (text/csv), the thing.xml
+ *       productList format (application/xml) or a JSON array of products (application/json).
+ *       Every row is checked with the same rules as POST /api/products; valid rows are committed
+ *       in a single transaction and invalid rows are reported.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [insert, update, skip]
+ *           default: insert
+ *         description: What to do when a product ID already exists (report an error, overwrite, or skip the row)
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report without writing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Import report with per-row errors
+ *       400:
+ *         description: Unreadable body or invalid mode
+ */
+app.post('/api/products/import', strictLimiter, requireRole('editor'), async (req, res) => {
+    const mode = req.query.mode || 'insert';
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
 
-// Swagger API Documentation
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+    if (!IMPORT_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Invalid mode, expected one of: ${IMPORT_MODES.join(', ')}` });
+    }
 
-// Request logging middleware
-app.use((req, res, next) => {
-    logger.info(`${req.method} ${req.path}`, { ip: req.ip });
-    next();
-});
+    let rows;
+    try {
+        if (typeof req.body === 'string' && req.is(['application/xml', 'text/xml'])) {
+            rows = parseProductsXml(req.body);
+        } else if (typeof req.body === 'string') {
+            rows = parseProductsCsv(req.body);
+        } else if (Array.isArray(req.body)) {
+            rows = req.body;
+        } else {
+            return res.status(400).json({ error: 'Expected a CSV or XML document or a JSON array of products' });
+        }
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
 
-// Validation middleware
-const validateProduct = [
-    body('id').trim().matches(/^\d{3}-\d{2}$/).withMessage('ID must be in format XXX-XX'),
-    body('category').trim().isLength({ min: 1, max: 100 }).withMessage('Category is required and must be less than 100 characters'),
-    body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Name is required and must be less than 200 characters'),
-    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
-    body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
-    body('unit_price').isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number'),
-    body('code').trim().isLength({ min: 1, max: 50 }).withMessage('Code is required and must be less than 50 characters')
-];
+    if (rows.length === 0) {
+        return res.status(400).json({ error: 'No products to import' });
+    }
 
-const validateId = [
-    param('id').matches(/^\d{3}-\d{2}$/).withMessage('Invalid ID format')
-];
+    if (rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+        return res.status(400).json({ error: 'Every item in the JSON array must be a product object' });
+    }
 
-// Error handler middleware
-const handleValidationErrors = (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+    try {
+        const report = await importProducts(rows, { mode, dryRun, context: auditContext(req) });
+        if (!dryRun) {
+            logger.info('Products imported', { mode, inserted: report.inserted, updated: report.updated, skipped: report.skipped, failed: report.failed });
+        }
+        res.json(report);
+    } catch (err) {
+        logger.error('Error importing products:', err);
+        res.status(500).json({ error: 'Failed to import products' });
     }
-    next();
-};
+});
 
-// Initialize database connection
-const db = new sqlite3.Database(DB_PATH, (err) => {
-    if (err) {
-        logger.error('Error opening database:', err.message);
-    } else {
-        logger.info('Connected to SQLite database', { path: DB_PATH });
+/**
+ * @swagger
+ * /api/products/batch:
+ *   post:
+ *     summary: Create, update and delete many products in one request
+ *     description: |
+ *       Operations run in order and are checked with the same rules as POST, PATCH and DELETE
+ *       /api/products. By default the batch is atomic: the first failing operation rolls back
+ *       the whole batch and its status becomes the response status. With atomic false every
+ *       operation commits on its own and the response lists each outcome. A batch counts as a
+ *       single request for rate limiting.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: true
+ *               operations:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required: [action, id]
+ *                   properties:
+ *                     action:
+ *                       type: string
+ *                       enum: [create, update, delete]
+ *                     id:
+ *                       type: string
+ *                     data:
+ *                       type: object
+ *                       description: Product fields; all required ones for create, any for update
+ *                     ifMatch:
+ *                       type: string
+ *                       description: ETag the product must still have, as with the If-Match header
+ *           example:
+ *             operations:
+ *               - { action: create, id: '100-01', data: { category: clothing, name: Scarf, description: Wool, quantity: 5, unit_price: 12, code: '100-01' } }
+ *               - { action: update, id: '000-01', data: { quantity: 40 } }
+ *               - { action: delete, id: '000-02' }
+ *     responses:
+ *       200:
+ *         description: Per-operation results (status, etag or errors) with succeeded and failed counts
+ *       400:
+ *         description: Malformed batch, or an atomic batch rolled back by a validation error
+ *       404:
+ *         description: An atomic batch rolled back because a product was not found
+ *       409:
+ *         description: An atomic batch rolled back because a created ID already exists
+ *       412:
+ *         description: An atomic batch rolled back because an ifMatch precondition failed
+ */
+app.post('/api/products/batch', strictLimiter, requireRole('editor'), [
+    body('operations').isArray({ min: 1, max: BATCH_MAX_OPERATIONS }).withMessage(`Operations must be an array of 1 to ${BATCH_MAX_OPERATIONS} items`).bail()
+        .custom(operations => operations.every(operation => operation !== null && typeof operation === 'object' && !Array.isArray(operation)))
+        .withMessage('Every operation must be an object'),
+    body('atomic').optional().isBoolean({ strict: true }).withMessage('Atomic must be true or false')
+], handleValidationErrors, async (req, res) => {
+    const atomic = req.body.atomic !== false;
+
+    try {
+        const batch = await runBatch(req.body.operations, { atomic, context: auditContext(req) });
+        const failed = batch.results.filter(result => result.status >= 400).length;
+        const succeeded = batch.results.filter(result => result.status < 400 && !result.rolledBack).length;
+        const report = { ...batch, succeeded, failed };
+
+        logger.info('Batch processed', { atomic, committed: batch.committed, operations: req.body.operations.length, failed });
+        if (atomic && !batch.committed) {
+            return res.status(batch.results[batch.failedIndex].status).json(report);
+        }
+        res.json(report);
+    } catch (err) {
+        logger.error('Error processing batch:', err);
+        res.status(500).json({ error: 'Failed to process batch' });
     }
 });
 
-// API Routes
+/**
+ * Resolve the filters and sort of an export request into a productRepository listing.
+ * Exports default to id order; relevance cannot be resumed batch by batch.
+ */
+function exportListing(query) {
+    if (query.sortBy === 'relevance') {
+        throw new Error('Relevance sorting is not available for exports');
+    }
+    return productRepository.listing(listingFilters(query), query.sortBy || 'id', query.order || 'ASC');
+}
+
+// Shared by the exports: bad search syntax is the caller's mistake, anything else is ours
+function sendExportError(res, err) {
+    if (/fts5/i.test(err.message)) {
+        return res.status(400).json({ error: 'Invalid search query' });
+    }
+    logger.error('Error exporting products:', err);
+    res.status(500).json({ error: 'Failed to export products' });
+}
 
 /**
  * @swagger
- * /api/products:
+ * /api/products/export/{format}:
  *   get:
- *     summary: Get all products with optional filtering and pagination
+ *     summary: Export products as CSV, JSON, NDJSON or XLSX
+ *     description: |
+ *       Takes the same filters and sort as GET /api/products and streams every matching product
+ *       (no paging). The CSV layout with the default columns is what POST /api/products/import reads.
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, json, ndjson, xlsx]
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *           example: id,name,quantity,unit_price
+ *         description: |
+ *           Comma-separated columns, in output order, from id, category, name, description, quantity,
+ *           unit_price, currency, code, gtin, reorder_point, reorder_quantity, created_at and updated_at.
+ *           Defaults to id through gtin.
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category
+ *       - in: query
+ *         name: includeSubcategories
+ *         schema:
+ *           type: boolean
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in name, description, or code
  *       - in: query
  *         name: minPrice
  *         schema:
  *           type: number
- *         description: Minimum price filter
  *       - in: query
  *         name: maxPrice
  *         schema:
  *           type: number
- *         description: Maximum price filter
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Convert prices to this currency; minPrice and maxPrice are read in it
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
  *           enum: [id, name, category, quantity, unit_price, code]
- *         description: Sort column
  *       - in: query
  *         name: order
  *         schema:
  *           type: string
  *           enum: [ASC, DESC]
- *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: The products, streamed
+ *       400:
+ *         description: Unknown column, invalid search or unknown currency
+ */
+app.get('/api/products/export/:format(csv|json|ndjson|xlsx)', requireRole('viewer'), validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    const { format } = req.params;
+    let columns;
+    let listing;
+    try {
+        columns = parseExportColumns(req.query.columns);
+        listing = exportListing(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    // Rows are read in keyset batches so no query holds the database for the whole download
+    let rates;
+    let position = null;
+    const nextBatch = async () => {
+        const rows = await listing.rows({ after: position, limit: EXPORT_BATCH_SIZE });
+        if (rows.length > 0) {
+            const last = rows[rows.length - 1];
+            position = { value: sortValue(last, listing.sortColumn, rates), id: last.id };
+        }
+        return req.query.currency ? rows.map(row => convertProduct(row, req.query.currency, rates)) : rows;
+    };
+
+    let batch;
+    try {
+        rates = await getExchangeRates();
+        batch = await nextBatch();
+    } catch (err) {
+        return sendExportError(res, err);
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=products.${format}`);
+    const writer = createExportWriter(format, columns, res);
+
+    try {
+        while (batch.length > 0 && !res.destroyed) {
+            await writer.write(batch);
+            batch = batch.length < EXPORT_BATCH_SIZE ? [] : await nextBatch();
+        }
+        await writer.end();
+    } catch (err) {
+        // The status line is gone; cutting the response short tells the client the file is incomplete
+        logger.error('Error streaming export:', err);
+        res.destroy(err);
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/export/xml:
+ *   get:
+ *     summary: Export products in the thing.xml productList format
+ *     description: |
+ *       Takes the same filters and sort as /api/products/export/{format}. Prices are written with
+ *       their currency symbol (€30.00) or code (CHF 30.00).
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
  *       - in: query
- *         name: page
+ *         name: currency
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
+ *           type: string
+ *         description: Convert every price to this currency
+ *     responses:
+ *       200:
+ *         description: XML document
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+app.get('/api/products/export/xml', requireRole('viewer'), validateCurrencyQuery, handleValidationErrors, async (req, res) => {
+    let listing;
+    try {
+        listing = exportListing(req.query);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    let rows;
+    try {
+        rows = await withRequestedCurrency(req, await listing.rows());
+    } catch (err) {
+        return sendExportError(res, err);
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename=products.xml');
+    res.send(productsToXml(rows));
+});
+
+// GraphQL error codes for the HTTP statuses shared with the REST routes
+const GRAPHQL_ERROR_CODES = {
+    400: 'BAD_USER_INPUT',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED'
+};
+
+const graphqlError = (status, message, extensions = {}) => new GraphQLError(message, {
+    extensions: { code: GRAPHQL_ERROR_CODES[status], status, ...extensions }
+});
+
+// Same checks as validateCurrencyQuery; resolves with the upper-case code, or undefined when none was given
+async function graphqlCurrency(currency) {
+    if (!currency) {
+        return undefined;
+    }
+    const code = currency.trim().toUpperCase();
+    if (!isCurrencyCode(code)) {
+        throw graphqlError(400, 'Currency must be an ISO 4217 code such as EUR');
+    }
+    if ((await exchangeRateRepository.rateOf(code)) === undefined) {
+        throw graphqlError(400, 'No exchange rate is stored for this currency');
+    }
+    return code;
+}
+
+// Products as GET /api/products returns them, plus the ETag of each stored row
+async function decorateProducts(rows, currency) {
+    const products = await withPrimaryImages(await withReorderLevels(rows.map(row => ({ ...row, etag: entityTag(row) }))));
+    if (!currency) {
+        return products;
+    }
+    const rates = await getExchangeRates();
+    return products.map(product => convertProduct(product, currency, rates));
+}
+
+/**
+ * One page of products for the products queries, with the filters, sorting and
+ * page-or-cursor paging of GET /api/products. totalCount is only counted when selected.
+ */
+async function graphqlProducts(args) {
+    const { search, first, page, after } = args;
+    const currency = await graphqlCurrency(args.currency);
+    if (first < 1 || first > GRAPHQL_MAX_PAGE_SIZE) {
+        throw graphqlError(400, `first must be between 1 and ${GRAPHQL_MAX_PAGE_SIZE}`);
+    }
+    if (page < 1) {
+        throw graphqlError(400, 'page must be at least 1');
+    }
+
+    let cursor = null;
+    if (after) {
+        try {
+            cursor = decodeCursor(after, PRODUCT_SORT_COLUMNS);
+        } catch (err) {
+            throw graphqlError(400, err.message);
+        }
+        if ((args.sortBy && args.sortBy.toLowerCase() !== cursor.sortBy) || (args.order && args.order !== cursor.order)) {
+            throw graphqlError(400, 'Cursor was created for a different sortBy/order');
+        }
+    }
+
+    const searching = parseSearch(search).length > 0;
+    const sortBy = cursor ? cursor.sortBy : (args.sortBy ? args.sortBy.toLowerCase() : (searching ? 'relevance' : 'id'));
+    const order = cursor ? cursor.order : (args.order || 'ASC');
+    const listing = productRepository.listing({
+        search,
+        category: args.category,
+        includeSubcategories: Boolean(args.includeSubcategories),
+        minPrice: args.minPrice,
+        maxPrice: args.maxPrice,
+        currency
+    }, sortBy, order);
+
+    let rows;
+    try {
+        rows = await listing.rows({ after: cursor, limit: first + 1, offset: cursor ? 0 : (page - 1) * first });
+    } catch (err) {
+        if (searching && /fts5/i.test(err.message)) {
+            throw graphqlError(400, 'Invalid search query');
+        }
+        throw err;
+    }
+
+    const hasNextPage = rows.length > first;
+    const pageRows = rows.slice(0, first);
+    const last = pageRows[pageRows.length - 1];
+    const rates = await getExchangeRates();
+
+    return {
+        nodes: await decorateProducts(pageRows, currency),
+        pageInfo: {
+            page: cursor ? null : page,
+            hasNextPage,
+            // Relevance scores shift as the catalog changes, so they cannot anchor a cursor
+            endCursor: hasNextPage && sortBy !== 'relevance'
+                ? encodeCursor({ sortBy: listing.sortColumn, order: listing.sortOrder, value: sortValue(last, listing.sortColumn, rates), id: last.id })
+                : null
+        },
+        count: () => listing.count()
+    };
+}
+
+// Categories are read once per request however many fields need them
+const requestCategories = (context) => {
+    if (!context.categories) {
+        context.categories = listCategories();
+    }
+    return context.categories;
+};
+
+function requireGraphqlRole(context, role) {
+    if (!context.req.principal) {
+        throw graphqlError(401, 'Authentication required');
+    }
+    if (!hasRole(context.req.principal.role, role)) {
+        throw graphqlError(403, `This action requires the ${role} role`);
+    }
+}
+
+/**
+ * Run a product mutation as a single batch operation, so it is validated and audited exactly
+ * like the REST route, and turn a failed result into a GraphQL error with the same status.
+ */
+async function runGraphqlMutation(context, operation) {
+    requireGraphqlRole(context, 'editor');
+    const result = await withTransaction(() => runBatchOperation(operation, 0, auditContext(context.req)));
+    if (result.status >= 400) {
+        throw graphqlError(result.status, result.error || 'Validation failed', result.errors ? { errors: result.errors } : {});
+    }
+    return result;
+}
+
+const graphqlSchema = createSchema({
+    Query: {
+        products: (source, args) => graphqlProducts(args),
+        product: async (source, { id, currency }) => {
+            const code = await graphqlCurrency(currency);
+            const row = await productRepository.findById(id, { deleted: false });
+            return row ? (await decorateProducts([row], code))[0] : null;
+        },
+        categories: (source, args, context) => requestCategories(context),
+        category: async (source, { slug }, context) => {
+            const categories = await requestCategories(context);
+            return categories.find(category => category.slug === slug) ||
+                categories.find(category => category.name.toLowerCase() === slug.toLowerCase()) ||
+                null;
+        },
+        statistics: async (source, { currency }) => getStatistics(await graphqlCurrency(currency))
+    },
+    Product: {
+        images: async (product) => (await imageRepository.listForProduct(product.id)).map(formatImage)
+    },
+    ProductConnection: {
+        totalCount: (connection) => connection.count()
+    },
+    Category: {
+        subcategories: async (category, args, context) => (await requestCategories(context)).filter(child => child.parent === category.slug),
+        products: (category, args) => graphqlProducts({ ...args, category: category.slug })
+    },
+    Mutation: {
+        createProduct: async (source, { input }, context) => {
+            const result = await runGraphqlMutation(context, { action: 'create', data: input });
+            return (await decorateProducts([await getProductRow(result.id)]))[0];
+        },
+        updateProduct: async (source, { id, input, ifMatch }, context) => {
+            await runGraphqlMutation(context, { action: 'update', id, data: input, ifMatch });
+            return (await decorateProducts([await getProductRow(id)]))[0];
+        },
+        deleteProduct: async (source, { id, ifMatch }, context) => {
+            await runGraphqlMutation(context, { action: 'delete', id, ifMatch });
+            return id;
+        }
+    }
+});
+
+const graphqlHandler = createGraphqlHandler({
+    schema: graphqlSchema,
+    context: (req) => ({ req: req.raw }),
+    validationRules: [
+        depthLimit(GRAPHQL_MAX_DEPTH),
+        complexityLimit(GRAPHQL_MAX_COMPLEXITY, { maxPageSize: GRAPHQL_MAX_PAGE_SIZE })
+    ],
+    formatError: (err) => {
+        // Resolver bugs and database errors are logged, not shown to the client
+        if (err instanceof GraphQLError && err.originalError && !(err.originalError instanceof GraphQLError)) {
+            logger.error('Error executing GraphQL operation:', err.originalError);
+            return new GraphQLError('Internal server error', { path: err.path, extensions: { code: 'INTERNAL_SERVER_ERROR' } });
+        }
+        return err;
+    }
+});
+
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     summary: GraphQL endpoint for products, categories and statistics
+ *     description: |
+ *       Queries mirror GET /api/products (filters, sort, page or cursor paging), /api/categories
+ *       and /api/statistics; mutations createProduct, updateProduct and deleteProduct need the
+ *       editor role and validate like the REST routes. Operations deeper than GRAPHQL_MAX_DEPTH (8)
+ *       or costlier than GRAPHQL_MAX_COMPLEXITY (2000, roughly the number of fields returned) are
+ *       rejected. Queries can also be sent with GET; mutations count against the write rate limit.
+ *     tags: [GraphQL]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: '{ products(category: "shoes", first: 5) { nodes { id name unit_price } totalCount } }'
+ *               variables:
+ *                 type: object
+ *               operationName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Result with data and any errors; each error has extensions.code (BAD_USER_INPUT, NOT_FOUND, CONFLICT, …)
+ *       400:
+ *         description: |
+ *           Malformed request. Queries failing validation (including the depth and complexity limits) also get 400
+ *           with Accept: application/graphql-response+json, and 200 with only errors for application/json clients.
+ */
+app.all('/graphql', authenticate, limiter, (req, res, next) => {
+    if (req.method === 'POST' && isMutationRequest(req.body)) {
+        return strictLimiter(req, res, next);
+    }
+    next();
+}, graphqlHandler);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Sign in to the admin UI
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 'Session token to send as "Authorization: Bearer <token>", with its expiry and the user''s role'
+ *       401:
+ *         description: Wrong username or password
+ */
+app.post('/api/auth/login', strictLimiter, [
+    body('username').isString().trim().notEmpty().withMessage('Username is required'),
+    body('password').isString().notEmpty().withMessage('Password is required')
+], handleValidationErrors, async (req, res) => {
+    const { username, password } = req.body;
+
+    try {
+        const user = await userRepository.findByUsername(username);
+        const valid = await verifyPassword(password, user ? user.password_hash : UNKNOWN_USER_PASSWORD_HASH);
+        if (!user || !valid) {
+            logger.warn('Failed login', { username, ip: req.ip });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const token = generateToken();
+        await sessionRepository.removeExpired();
+        const expiresAt = await sessionRepository.create(hashToken(token), user.id, SESSION_TTL_HOURS);
+
+        logger.info('User logged in', { username: user.username });
+        res.json({ token, expiresAt, user: { username: user.username, role: user.role } });
+    } catch (err) {
+        logger.error('Error logging in:', err);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the current admin UI session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Session ended
+ */
+app.post('/api/auth/logout', requireRole('viewer'), async (req, res) => {
+    if (req.principal.type !== 'session') {
+        return res.status(400).json({ error: 'Only login sessions can be logged out; revoke API keys instead' });
+    }
+
+    try {
+        const token = req.get('Authorization').slice(7).trim();
+        await sessionRepository.remove(hashToken(token));
+        res.status(204).end();
+    } catch (err) {
+        logger.error('Error logging out:', err);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Who the current credentials belong to
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Credential type, name and role
+ *       401:
+ *         description: No valid credentials were sent
+ */
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    const { type, name, role } = req.principal;
+    res.json({ type, name, role });
+});
+
+// API keys as returned by the key management endpoints; the secret itself is never stored
+const formatApiKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    role: row.role,
+    // Requests per window, or null for RATE_LIMIT_MAX
+    rateLimit: row.rate_limit,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+});
+
+const apiKeyRateLimitRule = () => body('rateLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Rate limit must be a positive integer').toInt();
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: All keys, including revoked ones, without their secrets
+ */
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ keys: (await apiKeyRepository.list()).map(formatApiKey) });
+    } catch (err) {
+        logger.error('Error fetching API keys:', err);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Create an API key for a machine client
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, role]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *               rateLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per rate limit window for this key; defaults to RATE_LIMIT_MAX
+ *     responses:
+ *       201:
+ *         description: The new key; the key value is only shown in this response
+ */
+app.post('/api/keys', strictLimiter, requireRole('admin'), [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters'),
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    apiKeyRateLimitRule()
+], handleValidationErrors, async (req, res) => {
+    const { name, role, rateLimit: keyRateLimit = null } = req.body;
+    const key = generateToken(API_KEY_PREFIX);
+
+    try {
+        const id = await apiKeyRepository.create({
+            name,
+            keyHash: hashToken(key),
+            keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            role,
+            rateLimit: keyRateLimit,
+            createdBy: req.principal.name
+        });
+        const row = await apiKeyRepository.findById(id);
+
+        logger.info('API key created', { id: row.id, name, role, by: req.principal.name });
+        res.status(201).json({ ...formatApiKey(row), key });
+    } catch (err) {
+        logger.error('Error creating API key:', err);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   patch:
+ *     summary: Change an API key's rate limit
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 20
- *         description: Items per page
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rateLimit]
+ *             properties:
+ *               rateLimit:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests per rate limit window; null goes back to RATE_LIMIT_MAX
  *     responses:
  *       200:
- *         description: List of products
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 products:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Product'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
+ *         description: The updated key; the new limit applies from the key's next request
+ *       404:
+ *         description: No active key with this ID
  */
-app.get('/api/products', (req, res) => {
-    const { category, search, minPrice, maxPrice, sortBy = 'id', order = 'ASC', page = 1, limit = 20 } = req.query;
-    
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 20;
-    const offset = (pageNum - 1) * limitNum;
-    
-    let query = 'SELECT * FROM products WHERE 1=1';
-    let countQuery = 'SELECT COUNT(*) as total FROM products WHERE 1=1';
-    const params = [];
-    
-    if (category) {
-        query += ' AND category LIKE ?';
-        countQuery += ' AND category LIKE ?';
-        params.push(`%${category}%`);
-    }
-    
-    if (search) {
-        query += ' AND (name LIKE ? OR description LIKE ? OR code LIKE ?)';
-        countQuery += ' AND (name LIKE ? OR description LIKE ? OR code LIKE ?)';
-        const searchTerm = `%${search}%`;
-        params.push(searchTerm, searchTerm, searchTerm);
-    }
-    
-    if (minPrice) {
-        query += ' AND unit_price >= ?';
-        countQuery += ' AND unit_price >= ?';
-        params.push(parseFloat(minPrice));
-    }
-    
-    if (maxPrice) {
-        query += ' AND unit_price <= ?';
-        countQuery += ' AND unit_price <= ?';
-        params.push(parseFloat(maxPrice));
-    }
-    
-    // Validate sortBy to prevent SQL injection
-    const validSortColumns = ['id', 'name', 'category', 'quantity', 'unit_price', 'code'];
-    const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'id';
-    const sortOrder = order.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-    
-    query += ` ORDER BY ${sortColumn} ${sortOrder} LIMIT ? OFFSET ?`;
-    
-    // Get total count
-    db.get(countQuery, params, (err, countResult) => {
-        if (err) {
-            logger.error('Error counting products:', err);
-            return res.status(500).json({ error: 'Failed to fetch products' });
+app.patch('/api/keys/:id', strictLimiter, requireRole('admin'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid key ID'),
+    body('rateLimit').exists().withMessage('Rate limit is required (null for the default)'),
+    apiKeyRateLimitRule()
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (!(await apiKeyRepository.setRateLimit(req.params.id, req.body.rateLimit))) {
+            return res.status(404).json({ error: 'API key not found' });
         }
-        
-        const total = countResult.total;
-        const totalPages = Math.ceil(total / limitNum);
-        
-        // Get products
-        db.all(query, [...params, limitNum, offset], (err, rows) => {
-            if (err) {
-                logger.error('Error fetching products:', err);
-                return res.status(500).json({ error: 'Failed to fetch products' });
-            }
-            
-            res.json({
-                products: rows,
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total: total,
-                    totalPages: totalPages
-                }
-            });
-        });
-    });
+        const row = await apiKeyRepository.findById(req.params.id);
+
+        logger.info('API key rate limit changed', { id: row.id, rateLimit: row.rate_limit, by: req.principal.name });
+        res.json(formatApiKey(row));
+    } catch (err) {
+        logger.error('Error updating API key:', err);
+        res.status(500).json({ error: 'Failed to update API key' });
+    }
 });
 
 /**
  * @swagger
- * /api/products/{id}:
- *   get:
- *     summary: Get a product by ID
- *     tags: [Products]
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: Product ID
+ *           type: integer
  *     responses:
  *       200:
- *         description: Product details
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Product'
+ *         description: Key revoked
  *       404:
- *         description: Product not found
+ *         description: No active key with this ID
  */
-app.get('/api/products/:id', validateId, handleValidationErrors, (req, res) => {
-    const { id } = req.params;
-    
-    db.get('SELECT * FROM products WHERE id = ?', [id], (err, row) => {
-        if (err) {
-            logger.error('Error fetching product:', err);
-            return res.status(500).json({ error: 'Failed to fetch product' });
-        }
-        
-        if (!row) {
-            return res.status(404).json({ error: 'Product not found' });
+app.delete('/api/keys/:id', strictLimiter, requireRole('admin'), [
+    param('id').isInt({ min: 1 }).withMessage('Invalid key ID')
+], handleValidationErrors, async (req, res) => {
+    try {
+        if (!(await apiKeyRepository.revoke(req.params.id))) {
+            return res.status(404).json({ error: 'API key not found' });
         }
-        
-        res.json(row);
-    });
-});
 
-// GET products by category
-app.get('/api/products/category/:category', (req, res) => {
-    const { category } = req.params;
-    
-    db.all('SELECT * FROM products WHERE category LIKE ? ORDER BY name', [`%${category}%`], (err, rows) => {
-        if (err) {
-            logger.error('Error fetching products by category:', err);
-            return res.status(500).json({ error: 'Failed to fetch products' });
-        }
-        res.json(rows);
-    });
+        logger.info('API key revoked', { id: req.params.id, by: req.principal.name });
+        res.json({ message: 'API key revoked' });
+    } catch (err) {
+        logger.error('Error revoking API key:', err);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
 });
 
-// GET all unique categories
-app.get('/api/categories', (req, res) => {
-    db.all('SELECT DISTINCT category FROM products ORDER BY category', [], (err, rows) => {
-        if (err) {
-            logger.error('Error fetching categories:', err);
-            return res.status(500).json({ error: 'Failed to fetch categories' });
-        }
-        res.json(rows.map(row => row.category));
-    });
+const webhookFieldRules = {
+    url: () => body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be an http or https URL'),
+    events: () => body('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array').bail()
+        .custom(events => events.every(event => WEBHOOK_EVENTS.includes(event)))
+        .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+    description: () => body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+    active: () => body('active').optional().isBoolean({ strict: true }).withMessage('Active must be true or false')
+};
+
+const validateWebhookId = [
+    param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID')
+];
+
+const getWebhookRow = (id) => webhookRepository.findById(id);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions without their signing secrets
+ */
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({ webhooks: (await webhookRepository.list()).map(formatWebhook), events: WEBHOOK_EVENTS });
+    } catch (err) {
+        logger.error('Error fetching webhooks:', err);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
 });
 
 /**
  * @swagger
- * /api/products:
+ * /api/webhooks:
  *   post:
- *     summary: Create a new product
- *     tags: [Products]
+ *     summary: Subscribe a URL to product events
+ *     description: |
+ *       Deliveries are POSTed as JSON with X-Webhook-Event, X-Webhook-Id, X-Webhook-Timestamp and
+ *       X-Webhook-Signature headers. The signature is "sha256=" followed by the hex HMAC-SHA256 of
+ *       "<timestamp>.<body>" keyed with the subscription secret, which is only returned here.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Product'
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [product.created, product.updated, product.deleted, product.restored, stock.low]
+ *               description:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Product created successfully
- *       400:
- *         description: Validation error
+ *         description: The subscription including its secret
  */
-app.post('/api/products', strictLimiter, validateProduct, handleValidationErrors, (req, res) => {
-    const { id, category, name, description, quantity, unit_price, code } = req.body;
-    
-    if (!id || !category || !name || !description || quantity === undefined || !unit_price || !code) {
-        return res.status(400).json({ error: 'Missing required fields' });
+app.post('/api/webhooks', strictLimiter, requireRole('admin'), Object.values(webhookFieldRules).map(rule => rule()), handleValidationErrors, async (req, res) => {
+    const { url, events, description = null, active = true } = req.body;
+    const secret = generateToken('whsec_');
+
+    try {
+        const id = await webhookRepository.create({
+            url,
+            events: JSON.stringify([...new Set(events)]),
+            secret,
+            description,
+            active: active ? 1 : 0,
+            createdBy: req.principal.name
+        });
+
+        logger.info('Webhook created', { id, url, events });
+        res.status(201).json({ ...formatWebhook(await getWebhookRow(id)), secret });
+    } catch (err) {
+        logger.error('Error creating webhook:', err);
+        res.status(500).json({ error: 'Failed to create webhook' });
     }
-    
-    db.run(
-        'INSERT INTO products (id, category, name, description, quantity, unit_price, code) VALUES (?, ?, ?, ?, ?, ?, ?)',
-        [id, category, name, description, quantity, parseFloat(unit_price), code],
-        function(err) {
-            if (err) {
-                logger.error('Error creating product:', err);
-                return res.status(500).json({ error: 'Failed to create product' });
-            }
-            logger.info('Product created', { id });
-            res.status(201).json({ id, message: 'Product created successfully' });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *       404:
+ *         description: Webhook not found
+ */
+app.get('/api/webhooks/:id', requireRole('admin'), validateWebhookId, handleValidationErrors, async (req, res) => {
+    try {
+        const webhook = await getWebhookRow(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
-    );
+        res.json(formatWebhook(webhook));
+    } catch (err) {
+        logger.error('Error fetching webhook:', err);
+        res.status(500).json({ error: 'Failed to fetch webhook' });
+    }
 });
 
 /**
  * @swagger
- * /api/products/{id}:
- *   put:
- *     summary: Update a product
- *     tags: [Products]
+ * /api/webhooks/{id}:
+ *   patch:
+ *     summary: Change a webhook's URL, events, description or pause it
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Product'
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Product updated successfully
+ *         description: The updated subscription
  *       404:
- *         description: Product not found
+ *         description: Webhook not found
  */
-app.put('/api/products/:id', strictLimiter, validateId, validateProduct, handleValidationErrors, (req, res) => {
-    const { id } = req.params;
-    const { category, name, description, quantity, unit_price, code } = req.body;
-    
-    db.run(
-        'UPDATE products SET category = ?, name = ?, description = ?, quantity = ?, unit_price = ?, code = ? WHERE id = ?',
-        [category, name, description, quantity, parseFloat(unit_price), code, id],
-        function(err) {
-            if (err) {
-                logger.error('Error updating product:', err);
-                return res.status(500).json({ error: 'Failed to update product' });
-            }
-            
-            if (this.changes === 0) {
-                return res.status(404).json({ error: 'Product not found' });
-            }
-            
-            logger.info('Product updated', { id });
-            res.json({ id, message: 'Product updated successfully' });
+app.patch('/api/webhooks/:id', strictLimiter, requireRole('admin'), validateWebhookId, [
+    webhookFieldRules.url().optional(),
+    webhookFieldRules.events().optional(),
+    webhookFieldRules.description(),
+    webhookFieldRules.active()
+], handleValidationErrors, async (req, res) => {
+    const changes = {};
+    ['url', 'description'].forEach(field => {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (req.body.events !== undefined) changes.events = JSON.stringify([...new Set(req.body.events)]);
+    if (req.body.active !== undefined) changes.active = req.body.active ? 1 : 0;
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    try {
+        if (!(await webhookRepository.update(req.params.id, changes))) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
-    );
+
+        logger.info('Webhook updated', { id: req.params.id, fields });
+        res.json(formatWebhook(await getWebhookRow(req.params.id)));
+    } catch (err) {
+        logger.error('Error updating webhook:', err);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
 });
 
 /**
  * @swagger
- * /api/products/{id}:
+ * /api/webhooks/{id}:
  *   delete:
- *     summary: Delete a product
- *     tags: [Products]
+ *     summary: Delete a webhook subscription and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *     responses:
  *       200:
- *         description: Product deleted successfully
+ *         description: Webhook deleted
  *       404:
- *         description: Product not found
+ *         description: Webhook not found
  */
-app.delete('/api/products/:id', strictLimiter, validateId, handleValidationErrors, (req, res) => {
-    const { id } = req.params;
-    
-    db.run('DELETE FROM products WHERE id = ?', [id], function(err) {
-        if (err) {
-            logger.error('Error deleting product:', err);
-            return res.status(500).json({ error: 'Failed to delete product' });
-        }
-        
-        if (this.changes === 0) {
-            return res.status(404).json({ error: 'Product not found' });
+app.delete('/api/webhooks/:id', strictLimiter, requireRole('admin'), validateWebhookId, handleValidationErrors, async (req, res) => {
+    try {
+        const deleted = await withTransaction(() => webhookRepository.remove(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
-        
-        logger.info('Product deleted', { id });
-        res.json({ message: 'Product deleted successfully' });
-    });
+
+        logger.info('Webhook deleted', { id: req.params.id });
+        res.json({ message: 'Webhook deleted' });
+    } catch (err) {
+        logger.error('Error deleting webhook:', err);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
 });
 
-// Statistics endpoint
-app.get('/api/statistics', (req, res) => {
-    const queries = [
-        'SELECT COUNT(*) as total FROM products',
-        'SELECT SUM(quantity) as totalQuantity FROM products',
-        'SELECT AVG(unit_price) as avgPrice FROM products',
-        'SELECT MIN(unit_price) as minPrice FROM products',
-        'SELECT MAX(unit_price) as maxPrice FROM products',
-        'SELECT COUNT(DISTINCT category) as categoryCount FROM products'
-    ];
-
-    Promise.all(queries.map(query => {
-        return new Promise((resolve, reject) => {
-            db.get(query, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries with their payload, attempts and last response
+ *       404:
+ *         description: Webhook not found
+ */
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), validateWebhookId, handleValidationErrors, async (req, res) => {
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 50;
+    const offset = (pageNum - 1) * limitNum;
+
+    try {
+        if (!(await getWebhookRow(req.params.id))) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const { total, deliveries: rows } = await webhookRepository.listDeliveries(req.params.id, {
+            status: req.query.status,
+            limit: limitNum,
+            offset
         });
-    })).then(results => {
-        // Get category breakdown
-        db.all('SELECT category, COUNT(*) as count, SUM(quantity) as totalQuantity FROM products GROUP BY category', [], (err, categoryBreakdown) => {
-            if (err) {
-                logger.error('Error fetching category breakdown:', err);
-                return res.status(500).json({ error: 'Failed to fetch statistics' });
-            }
-
-            res.json({
-                totalProducts: results[0].total,
-                totalQuantity: results[1].totalQuantity || 0,
-                averagePrice: parseFloat(results[2].avgPrice || 0).toFixed(2),
-                minPrice: parseFloat(results[3].minPrice || 0).toFixed(2),
-                maxPrice: parseFloat(results[4].maxPrice || 0).toFixed(2),
-                categoryCount: results[5].categoryCount,
-                categoryBreakdown: categoryBreakdown,
-                timestamp: new Date().toISOString()
-            });
+
+        res.json({
+            deliveries: rows.map(formatDelivery),
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                total,
+                totalPages: Math.ceil(total / limitNum)
+            }
         });
-    }).catch(err => {
-        logger.error('Error fetching statistics:', err);
-        res.status(500).json({ error: 'Failed to fetch statistics' });
-    });
+    } catch (err) {
+        logger.error('Error fetching webhook deliveries:', err);
+        res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+    }
 });
 
-// Export products to CSV
-app.get('/api/products/export/csv', (req, res) => {
-    db.all('SELECT * FROM products ORDER BY id', [], (err, rows) => {
-        if (err) {
-            logger.error('Error exporting products:', err);
-            return res.status(500).json({ error: 'Failed to export products' });
-        }
-
-        // Convert to CSV
-        const headers = ['ID', 'Category', 'Name', 'Description', 'Quantity', 'Unit Price', 'Code'];
-        const csvRows = [headers.join(',')];
-
-        rows.forEach(row => {
-            const values = [
-                row.id,
-                `"${row.category}"`,
-                `"${row.name}"`,
-                `"${(row.description || '').replace(/"/g, '""')}"`,
-                row.quantity,
-                row.unit_price,
-                row.code
-            ];
-            csvRows.push(values.join(','));
-        });
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a webhook.test event to a webhook right away
+ *     description: The test delivery is sent right away, without waiting for the rest of the queue; a failed test is retried like any other event.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The delivery after the first attempt
+ *       404:
+ *         description: Webhook not found
+ */
+app.post('/api/webhooks/:id/test', strictLimiter, requireRole('admin'), validateWebhookId, handleValidationErrors, async (req, res) => {
+    try {
+        const webhook = await getWebhookRow(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
 
-        const csv = csvRows.join('\n');
-        
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=products.csv');
-        res.send(csv);
-    });
+        // Due in a minute, well after the attempt made here has timed out, so the queue leaves it alone meanwhile
+        const delivery = await withTransaction(() => webhookRepository.queueDelayed(
+            webhook.id,
+            TEST_EVENT,
+            webhookPayload(TEST_EVENT, { webhookId: webhook.id, sentBy: req.principal.name }),
+            60
+        ));
+        await attemptDelivery(delivery);
+
+        res.json(formatDelivery(await webhookRepository.findDelivery(delivery.id)));
+    } catch (err) {
+        logger.error('Error sending test webhook:', err);
+        res.status(500).json({ error: 'Failed to send test webhook' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/cache/stats:
+ *   get:
+ *     summary: Catalog version and response cache statistics
+ *     description: Conditional GETs answered with 304 are counted whether or not RESPONSE_CACHE is set.
+ *     tags: [Cache]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKey: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           { enabled, version, lastModified, notModified } plus, with a cache, its store, entries,
+ *           maxEntries, hits, misses and evictions
+ *       403:
+ *         description: Requires the admin role
+ */
+app.get('/api/cache/stats', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({
+            enabled: Boolean(responseCache),
+            version: catalogState.version,
+            lastModified: catalogState.modifiedAt.toISOString(),
+            notModified: notModifiedCount,
+            ...(responseCache ? await responseCache.stats() : {})
+        });
+    } catch (err) {
+        logger.error('Error reading cache statistics:', err);
+        res.status(500).json({ error: 'Failed to read cache statistics' });
+    }
 });
 
 // Health check endpoint
@@ -492,22 +4697,76 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Start server
-app.listen(PORT, () => {
-    logger.info(`Server running on http://localhost:${PORT}`);
-    logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
-});
+/**
+ * Make sure the database schema is current, then start listening.
+ * Pending migrations are applied when DB_AUTO_MIGRATE=true; otherwise the server refuses to start.
+ */
+async function start() {
+    await database.connected;
+    const migrator = createMigrator(dbHelpers);
+    const pending = await migrator.pending();
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    db.close((err) => {
-        if (err) {
-            logger.error('Error closing database:', err);
-        } else {
-            logger.info('Database connection closed');
+    if (pending.length > 0) {
+        const versions = pending.map(m => `${m.version}_${m.name}`).join(', ');
+        if (!DB_AUTO_MIGRATE) {
+            throw new Error(`Database schema is behind (pending: ${versions}). Run "npm run migrate" or set DB_AUTO_MIGRATE=true`);
         }
-        process.exit(0);
+        await migrator.up();
+        logger.info('Applied database migrations', { migrations: versions });
+    }
+
+    // Bootstrap the first admin account from the environment, e.g. for a fresh Docker container
+    if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+        const existing = await userRepository.findByUsername(process.env.ADMIN_USERNAME);
+        if (!existing) {
+            await userRepository.create({
+                username: process.env.ADMIN_USERNAME,
+                passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+                role: 'admin'
+            });
+            logger.info('Created admin user', { username: process.env.ADMIN_USERNAME });
+        }
+    }
+
+    app.listen(PORT, () => {
+        logger.info(`Server running on http://localhost:${PORT}`);
+        logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
+    });
+
+    // Keep idle event streams open through proxies
+    setInterval(() => {
+        eventClients.forEach(client => {
+            if (!client.paused) writeEvent(client, ': heartbeat\n\n');
+        });
+    }, EVENT_HEARTBEAT_MS).unref();
+
+    // Retry failed webhook deliveries once they are due
+    setInterval(processWebhookQueue, WEBHOOK_POLL_INTERVAL_MS).unref();
+
+    // Purge trashed products past the retention period once a day
+    setInterval(() => {
+        purgeTrash(TRASH_RETENTION_DAYS, { actor: 'system' }).catch(err => logger.error('Error purging trash:', err));
+    }, TRASH_PURGE_INTERVAL_MS).unref();
+
+    // Writes refresh today's statistics snapshot; this also covers exchange rate changes and quiet days
+    refreshStatisticsSnapshot();
+    setInterval(refreshStatisticsSnapshot, STATISTICS_SNAPSHOT_INTERVAL_MS).unref();
+}
+
+// Start server (skipped when the app is required by the test suite)
+if (require.main === module) {
+    start().catch(err => {
+        logger.error('Server failed to start:', { error: err.message });
+        process.exit(1);
     });
+}
+
+// Graceful shutdown
+process.on('SIGINT', () => {
+    database.close().then(
+        () => logger.info('Database connection closed'),
+        err => logger.error('Error closing database:', err)
+    ).then(() => process.exit(0));
 });
 
 module.exports = app;
@@ -1,65 +1,19 @@
 const request = require('supertest');
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-
-// Create a test database
-const TEST_DB_PATH = path.join(__dirname, '..', 'database', 'test-products.db');
-const DB_DIR = path.dirname(TEST_DB_PATH);
-
-// Ensure test database directory exists
-if (!fs.existsSync(DB_DIR)) {
-    fs.mkdirSync(DB_DIR, { recursive: true });
-}
-
-// Remove test database if it exists
-if (fs.existsSync(TEST_DB_PATH)) {
-    fs.unlinkSync(TEST_DB_PATH);
-}
-
-// Initialize test database
-const db = new sqlite3.Database(TEST_DB_PATH);
-db.serialize(() => {
-    db.run(`
-        CREATE TABLE products (
-            id TEXT PRIMARY KEY,
-            category TEXT NOT NULL,
-            name TEXT NOT NULL,
-            description TEXT,
-            quantity INTEGER NOT NULL,
-            unit_price REAL NOT NULL,
-            code TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-    
-    // Insert test data
-    db.run(`
-        INSERT INTO products (id, category, name, description, quantity, unit_price, code)
-        VALUES ('000-01', 'clothing', 'Test Product', 'Test Description', 100, 50.00, '000-01')
-    `);
-});
-
-db.close();
-
-// Set test database path
-process.env.DB_PATH = TEST_DB_PATH;
+const { testBackends, removeTestDb, loadServer, apiKeys } = require('./helpers');
 
-// Import server after setting env
-const app = require('../server');
+describe.each(Object.keys(testBackends))('API Endpoints on %s', (backend) => {
+    let app;
+    let location;
 
-describe('API Endpoints', () => {
-    beforeAll(() => {
-        // Wait for database to be ready
-        return new Promise(resolve => setTimeout(resolve, 100));
+    beforeAll(async () => {
+        let env;
+        ({ location, env } = await testBackends[backend]('test-products'));
+        app = loadServer(env);
     });
 
     afterAll(() => {
         // Clean up test database
-        if (fs.existsSync(TEST_DB_PATH)) {
-            fs.unlinkSync(TEST_DB_PATH);
-        }
+        removeTestDb(location);
     });
 
     describe('GET /api/health', () => {
@@ -75,7 +29,7 @@ describe('API Endpoints', () => {
         test('should return all products', async () => {
             const response = await request(app).get('/api/products');
             expect(response.status).toBe(200);
-            expect(Array.isArray(response.body)).toBe(true);
+            expect(Array.isArray(response.body.products)).toBe(true);
         });
 
         test('should filter by category', async () => {
@@ -89,7 +43,7 @@ describe('API Endpoints', () => {
         test('should search products', async () => {
             const response = await request(app).get('/api/products?search=Test');
             expect(response.status).toBe(200);
-            expect(Array.isArray(response.body)).toBe(true);
+            expect(response.body.products.map(p => p.id)).toContain('000-01');
         });
     });
 
@@ -120,6 +74,7 @@ describe('API Endpoints', () => {
 
             const response = await request(app)
                 .post('/api/products')
+                .set('X-API-Key', apiKeys.editor)
                 .send(newProduct);
 
             expect(response.status).toBe(201);
@@ -134,6 +89,7 @@ describe('API Endpoints', () => {
 
             const response = await request(app)
                 .post('/api/products')
+                .set('X-API-Key', apiKeys.editor)
                 .send(invalidProduct);
 
             expect(response.status).toBe(400);
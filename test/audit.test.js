@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { diffSnapshots } = require('../lib/audit');
+
+describe('Audit snapshots', () => {
+    test('should list only changed fields', () => {
+        expect(diffSnapshots({ id: '000-01', name: 'a', quantity: 1 }, { id: '000-01', name: 'b', quantity: 1 }))
+            .toEqual({ name: { from: 'a', to: 'b' } });
+        expect(diffSnapshots(null, { id: '000-01' })).toEqual({ id: { from: null, to: '000-01' } });
+    });
+});
+
+describe('Product history and audit log', () => {
+    let app;
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-audit.db', []);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should record create, update and delete with before/after values', async () => {
+        await request(app).post('/api/products').set('X-API-Key', apiKeys.editor).send(sampleProduct);
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.admin).send({ quantity: 80, name: 'Renamed' });
+        await request(app).delete('/api/products/000-01').set('X-API-Key', apiKeys.editor);
+
+        const response = await request(app).get('/api/products/000-01/history').set('X-API-Key', apiKeys.admin);
+        expect(response.status).toBe(200);
+        expect(response.body.entries.map(e => e.action)).toEqual(['delete', 'update', 'create']);
+
+        const [deleted, updated, created] = response.body.entries;
+        expect(created).toMatchObject({ actor: 'key:test-editor', before: null, after: { name: 'Test Product', quantity: 100 } });
+        expect(created.ip).toBeTruthy();
+        expect(updated.actor).toBe('key:test-admin');
+        expect(updated.changes).toEqual({
+            name: { from: 'Test Product', to: 'Renamed' },
+            quantity: { from: 100, to: 80 }
+        });
+        expect(Object.keys(deleted.changes)).toEqual(['deleted_at']);
+
+        // Who changed what is for signed-in callers, client addresses for admins
+        const anonymous = await request(app).get('/api/products/000-01/history');
+        expect(anonymous.body.entries[0]).not.toHaveProperty('actor');
+        expect(anonymous.body.entries[0]).not.toHaveProperty('ip');
+        const viewer = await request(app).get('/api/products/000-01/history').set('X-API-Key', apiKeys.viewer);
+        expect(viewer.body.entries[0].actor).toBe('key:test-editor');
+        expect(viewer.body.entries[0]).not.toHaveProperty('ip');
+    });
+
+    test('should record restores, purges and imports', async () => {
+        await request(app).post('/api/products/000-01/restore').set('X-API-Key', apiKeys.editor);
+        await request(app).delete('/api/products/000-01').set('X-API-Key', apiKeys.editor);
+        await request(app).delete('/api/products/trash/000-01').set('X-API-Key', apiKeys.admin);
+        await request(app).post('/api/products/import').set('X-API-Key', apiKeys.editor).send([{ ...sampleProduct, id: '000-02', code: '000-02' }]);
+
+        const history = await request(app).get('/api/products/000-01/history');
+        expect(history.body.entries.map(e => e.action).slice(0, 3)).toEqual(['purge', 'delete', 'restore']);
+        expect(history.body.entries[0].after).toBeNull();
+
+        const imported = await request(app).get('/api/products/000-02/history');
+        expect(imported.body.entries.map(e => e.action)).toEqual(['create']);
+    });
+
+    test('should not record anything for dry runs or failed updates', async () => {
+        await request(app).post('/api/products/import?dryRun=true').set('X-API-Key', apiKeys.editor).send([{ ...sampleProduct, id: '000-03', code: '000-03' }]);
+        await request(app).patch('/api/products/000-02').set('X-API-Key', apiKeys.editor).set('If-Match', '"stale"').send({ name: 'x' });
+
+        expect((await request(app).get('/api/products/000-03/history')).status).toBe(404);
+        const history = await request(app).get('/api/products/000-02/history');
+        expect(history.body.entries).toHaveLength(1);
+    });
+
+    test('should filter the global audit log', async () => {
+        const all = await request(app).get('/api/audit').set('X-API-Key', apiKeys.admin);
+        expect(all.status).toBe(200);
+        expect(all.body.pagination.total).toBe(7);
+
+        const byActor = await request(app).get('/api/audit?actor=key:test-admin').set('X-API-Key', apiKeys.admin);
+        expect(byActor.body.entries.map(e => e.action)).toEqual(['purge', 'update']);
+
+        const byAction = await request(app).get('/api/audit?action=update&productId=000-01').set('X-API-Key', apiKeys.admin);
+        expect(byAction.body.entries).toHaveLength(1);
+
+        const today = new Date().toISOString().slice(0, 10);
+        const byDate = await request(app).get(`/api/audit?from=${today}&to=${today}`).set('X-API-Key', apiKeys.admin);
+        expect(byDate.body.pagination.total).toBe(7);
+
+        const future = await request(app).get('/api/audit?from=2999-01-01').set('X-API-Key', apiKeys.admin);
+        expect(future.body.entries).toEqual([]);
+
+        expect((await request(app).get('/api/audit?action=explode').set('X-API-Key', apiKeys.admin)).status).toBe(400);
+    });
+});
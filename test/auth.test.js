@@ -0,0 +1,139 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3').verbose();
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { createDbHelpers } = require('../lib/db');
+const { hashPassword, verifyPassword, hasRole } = require('../lib/auth');
+
+describe('Auth helpers', () => {
+    test('should verify only the original password', async () => {
+        const hash = await hashPassword('correct horse');
+        expect(hash).toMatch(/^scrypt\$/);
+        expect(await verifyPassword('correct horse', hash)).toBe(true);
+        expect(await verifyPassword('wrong horse', hash)).toBe(false);
+        expect(await verifyPassword('correct horse', 'garbage')).toBe(false);
+    });
+
+    test('should rank roles', () => {
+        expect(hasRole('admin', 'editor')).toBe(true);
+        expect(hasRole('editor', 'editor')).toBe(true);
+        expect(hasRole('viewer', 'editor')).toBe(false);
+        expect(hasRole('root', 'viewer')).toBe(false);
+    });
+});
+
+describe('Authentication and roles', () => {
+    let app;
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-auth.db');
+
+        const db = new sqlite3.Database(dbPath);
+        await createDbHelpers(db).run(
+            "INSERT INTO users (username, password_hash, role) VALUES ('dana', ?, 'editor')",
+            [await hashPassword('s3cret-pass')]
+        );
+        await new Promise(resolve => db.close(resolve));
+
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should keep reads public and require credentials for writes and exports', async () => {
+        expect((await request(app).get('/api/products/000-01')).status).toBe(200);
+
+        const created = await request(app).post('/api/products').send({ ...sampleProduct, id: '000-02', code: '000-02' });
+        expect(created.status).toBe(401);
+        expect(created.headers['www-authenticate']).toBe('Bearer');
+
+        expect((await request(app).delete('/api/products/000-01')).status).toBe(401);
+        expect((await request(app).get('/api/products/export/csv')).status).toBe(401);
+        expect((await request(app).get('/api/products/export/csv').set('X-API-Key', apiKeys.viewer)).status).toBe(200);
+    });
+
+    test('should enforce roles', async () => {
+        const asViewer = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.viewer).send({ quantity: 1 });
+        expect(asViewer.status).toBe(403);
+
+        const asEditor = await request(app).patch('/api/products/000-01')
+            .set('Authorization', `Bearer ${apiKeys.editor}`)
+            .send({ quantity: 1 });
+        expect(asEditor.status).toBe(200);
+
+        expect((await request(app).get('/api/audit').set('X-API-Key', apiKeys.editor)).status).toBe(403);
+        expect((await request(app).get('/api/audit').set('X-API-Key', apiKeys.admin)).status).toBe(200);
+    });
+
+    test('should reject unknown credentials even on public routes', async () => {
+        expect((await request(app).get('/api/products').set('X-API-Key', 'lpk_nope')).status).toBe(401);
+        expect((await request(app).get('/api/products').set('Authorization', 'Bearer nope')).status).toBe(401);
+    });
+
+    test('should check a password hash even for unknown usernames', async () => {
+        const scrypt = jest.spyOn(crypto, 'scrypt');
+        try {
+            const unknown = await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'wrong' });
+            expect(unknown.status).toBe(401);
+            expect(unknown.body.error).toBe('Invalid username or password');
+            expect(scrypt).toHaveBeenCalledTimes(1);
+        } finally {
+            scrypt.mockRestore();
+        }
+    });
+
+    test('should log in, act as the user and log out', async () => {
+        const failed = await request(app).post('/api/auth/login').send({ username: 'dana', password: 'wrong' });
+        expect(failed.status).toBe(401);
+
+        const login = await request(app).post('/api/auth/login').send({ username: 'dana', password: 's3cret-pass' });
+        expect(login.status).toBe(200);
+        expect(login.body.user).toEqual({ username: 'dana', role: 'editor' });
+        expect(login.body.expiresAt).toBeTruthy();
+        const auth = `Bearer ${login.body.token}`;
+
+        const me = await request(app).get('/api/auth/me').set('Authorization', auth);
+        expect(me.body).toEqual({ type: 'session', name: 'dana', role: 'editor' });
+
+        await request(app).patch('/api/products/000-01').set('Authorization', auth).send({ name: 'By Dana' });
+        const history = await request(app).get('/api/products/000-01/history').set('Authorization', auth);
+        expect(history.body.entries[0].actor).toBe('dana');
+
+        expect((await request(app).post('/api/auth/logout').set('Authorization', auth)).status).toBe(204);
+        expect((await request(app).get('/api/auth/me').set('Authorization', auth)).status).toBe(401);
+    });
+
+    test('should let admins create, list and revoke API keys', async () => {
+        expect((await request(app).get('/api/keys').set('X-API-Key', apiKeys.editor)).status).toBe(403);
+
+        const invalid = await request(app).post('/api/keys').set('X-API-Key', apiKeys.admin).send({ name: 'feed', role: 'root' });
+        expect(invalid.status).toBe(400);
+
+        const created = await request(app).post('/api/keys').set('X-API-Key', apiKeys.admin).send({ name: 'feed', role: 'viewer' });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ name: 'feed', role: 'viewer', createdBy: 'key:test-admin', revokedAt: null });
+        expect(created.body.key.startsWith(created.body.prefix)).toBe(true);
+
+        const { key, id } = created.body;
+        expect((await request(app).get('/api/products/export/xml').set('X-API-Key', key)).status).toBe(200);
+        expect((await request(app).delete('/api/products/000-01').set('X-API-Key', key)).status).toBe(403);
+
+        const list = await request(app).get('/api/keys').set('X-API-Key', apiKeys.admin);
+        const listed = list.body.keys.find(k => k.id === id);
+        expect(listed.lastUsedAt).toBeTruthy();
+        expect(listed).not.toHaveProperty('key');
+
+        expect((await request(app).delete(`/api/keys/${id}`).set('X-API-Key', apiKeys.admin)).status).toBe(200);
+        expect((await request(app).delete(`/api/keys/${id}`).set('X-API-Key', apiKeys.admin)).status).toBe(404);
+        expect((await request(app).get('/api/products/export/xml').set('X-API-Key', key)).status).toBe(401);
+    });
+
+    test('should not allow cross-origin requests unless configured', async () => {
+        const response = await request(app).get('/api/products').set('Origin', 'https://evil.example');
+        expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    });
+});
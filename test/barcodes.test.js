@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { gtinCheckDigit, isValidGtin, gtinFormat, renderBarcodeSvg } = require('../lib/barcodes');
+
+describe('GTIN helpers', () => {
+    test('should compute GS1 check digits', () => {
+        expect(gtinCheckDigit('400638133393')).toBe(1);
+        expect(gtinCheckDigit('03600029145')).toBe(2);
+        expect(gtinCheckDigit('9638507')).toBe(4);
+    });
+
+    test('should accept only valid GTINs of known lengths', () => {
+        expect(isValidGtin('4006381333931')).toBe(true);
+        expect(isValidGtin('036000291452')).toBe(true);
+        expect(isValidGtin('96385074')).toBe(true);
+        expect(isValidGtin('10012345678902')).toBe(true);
+        expect(isValidGtin('4006381333932')).toBe(false);
+        expect(isValidGtin('12345')).toBe(false);
+        expect(isValidGtin('40063813339a1')).toBe(false);
+        expect(gtinFormat('036000291452')).toBe('UPC-A');
+    });
+
+    test('should render GTINs and fall back to Code 128 of the code', () => {
+        expect(renderBarcodeSvg({ gtin: '4006381333931', code: 'X' })).toMatch(/^<svg /);
+        expect(renderBarcodeSvg({ gtin: null, code: 'ABC-123' })).toMatch(/^<svg /);
+    });
+});
+
+describe('Barcode lookup', () => {
+    let app;
+    let dbPath;
+
+    const products = [
+        { ...sampleProduct, id: '000-01', code: 'SKU-1' },
+        { ...sampleProduct, id: '000-02', code: 'SHARED' },
+        { ...sampleProduct, id: '000-03', code: 'SHARED' }
+    ];
+
+    const asEditor = (req) => req.set('X-API-Key', apiKeys.editor);
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-barcodes.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should validate and store GTINs', async () => {
+        const invalid = await asEditor(request(app).patch('/api/products/000-01')).send({ gtin: '036000291453' });
+        expect(invalid.status).toBe(400);
+
+        const saved = await asEditor(request(app).patch('/api/products/000-01')).send({ gtin: '0 36000 29145 2' });
+        expect(saved.status).toBe(200);
+        expect((await request(app).get('/api/products/000-01')).body.gtin).toBe('036000291452');
+
+        const created = await asEditor(request(app).post('/api/products'))
+            .send({ ...sampleProduct, id: '000-04', code: '000-04', gtin: '4006381333931' });
+        expect(created.status).toBe(201);
+    });
+
+    test('should reject a GTIN another product already has, in any length', async () => {
+        const duplicate = await asEditor(request(app).patch('/api/products/000-02')).send({ gtin: '0036000291452' });
+        expect(duplicate.status).toBe(400);
+        expect(duplicate.body.errors[0].msg).toBe('Another product already has this GTIN');
+
+        // Saving a product with its own GTIN is fine
+        const same = await asEditor(request(app).put('/api/products/000-01')).send({ ...sampleProduct, code: 'SKU-1', gtin: '036000291452' });
+        expect(same.status).toBe(200);
+    });
+
+    test('should look products up by id, GTIN or code', async () => {
+        const byId = await request(app).get('/api/lookup/000-04');
+        expect(byId.body).toMatchObject({ matchedBy: 'id', gtinFormat: 'EAN-13', product: { id: '000-04' } });
+
+        const byGtin = await request(app).get('/api/lookup/0036000291452');
+        expect(byGtin.body).toMatchObject({ matchedBy: 'gtin', gtinFormat: 'UPC-A', product: { id: '000-01', low_stock: false } });
+
+        const byCode = await request(app).get('/api/lookup/sku-1');
+        expect(byCode.body).toMatchObject({ matchedBy: 'code', product: { id: '000-01' } });
+
+        const shared = await request(app).get('/api/lookup/SHARED');
+        expect(shared.status).toBe(409);
+        expect(shared.body.matches).toEqual(['000-02', '000-03']);
+
+        expect((await request(app).get('/api/lookup/4006381333932')).status).toBe(404);
+    });
+
+    test('should render barcode SVGs', async () => {
+        const svg = await request(app).get('/api/products/000-04/barcode.svg');
+        expect(svg.status).toBe(200);
+        expect(svg.headers['content-type']).toContain('image/svg+xml');
+        expect(svg.body.toString()).toMatch(/^<svg /);
+
+        const code128 = await request(app).get('/api/products/000-02/barcode.svg?text=false&height=10');
+        expect(code128.status).toBe(200);
+
+        expect((await request(app).get('/api/products/000-02/barcode.svg?height=500')).status).toBe(400);
+        expect((await request(app).get('/api/products/999-99/barcode.svg')).status).toBe(404);
+    });
+
+    test('should clear GTINs and import them from CSV', async () => {
+        await asEditor(request(app).patch('/api/products/000-04')).send({ gtin: null });
+        expect((await request(app).get('/api/products/000-04')).body.gtin).toBeNull();
+
+        const csv = 'ID,Category,Name,Description,Quantity,Unit Price,Code,GTIN\n000-05,clothing,A,B,1,2,C,96385074\n000-06,clothing,A,B,1,2,D,96385074\n';
+        const imported = await asEditor(request(app).post('/api/products/import')).set('Content-Type', 'text/csv').send(csv);
+        expect(imported.body).toMatchObject({ inserted: 1, failed: 1 });
+        expect(imported.body.errors[0].errors[0].msg).toBe('Duplicate GTIN in import data');
+
+        const exported = await request(app).get('/api/products/export/csv').set('X-API-Key', apiKeys.viewer);
+        expect(exported.text.split('\n')[0]).toBe('ID,Category,Name,Description,Quantity,Unit Price,Currency,Code,GTIN');
+        expect(exported.text).toContain(',"C","96385074"');
+    });
+});
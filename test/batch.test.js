@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+
+describe('Batch operations', () => {
+    let app;
+    let dbPath;
+
+    const products = [
+        { ...sampleProduct, id: '000-01', code: '000-01' },
+        { ...sampleProduct, id: '000-02', code: '000-02' }
+    ];
+    const newProduct = (id) => ({ category: 'clothing', name: `Product ${id}`, description: 'Batch', quantity: 5, unit_price: 12, code: id });
+
+    const batch = (body, key = apiKeys.editor) => request(app).post('/api/products/batch').set('X-API-Key', key).send(body);
+    const getProduct = (id) => request(app).get(`/api/products/${id}`);
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-batch.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should run mixed operations in one transaction', async () => {
+        const response = await batch({
+            operations: [
+                { action: 'create', id: '100-01', data: newProduct('100-01') },
+                { action: 'update', id: '100-01', data: { quantity: 8 } },
+                { action: 'update', id: '000-01', data: { name: 'Renamed' } },
+                { action: 'delete', id: '000-02' }
+            ]
+        });
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ atomic: true, committed: true, succeeded: 4, failed: 0 });
+        expect(response.body.results.map(r => [r.action, r.id, r.status])).toEqual([
+            ['create', '100-01', 201], ['update', '100-01', 200], ['update', '000-01', 200], ['delete', '000-02', 200]
+        ]);
+        expect((await getProduct('000-01')).headers.etag.startsWith(response.body.results[2].etag.slice(0, -1) + '.')).toBe(true);
+
+        expect((await getProduct('100-01')).body.quantity).toBe(8);
+        expect((await getProduct('000-02')).status).toBe(404);
+
+        const history = await request(app).get('/api/products/100-01/history');
+        expect(history.body.entries.map(e => e.action)).toEqual(['update', 'create']);
+    });
+
+    test('should roll back the whole batch when one operation fails', async () => {
+        const response = await batch({
+            operations: [
+                { action: 'create', id: '100-02', data: newProduct('100-02') },
+                { action: 'update', id: '000-01', data: { quantity: -1 } },
+                { action: 'delete', id: '100-01' }
+            ]
+        });
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({ committed: false, failedIndex: 1, succeeded: 0, failed: 1 });
+        expect(response.body.results).toHaveLength(2);
+        expect(response.body.results[0]).toMatchObject({ status: 201, rolledBack: true });
+        expect(response.body.results[1].errors[0].path).toBe('quantity');
+
+        expect((await getProduct('100-02')).status).toBe(404);
+        expect((await getProduct('100-01')).status).toBe(200);
+    });
+
+    test('should use the failing status for preconditions and conflicts', async () => {
+        const stale = await batch({ operations: [{ action: 'update', id: '000-01', data: { quantity: 1 }, ifMatch: '"stale"' }] });
+        expect(stale.status).toBe(412);
+
+        const duplicate = await batch({ operations: [{ action: 'create', id: '000-01', data: newProduct('000-01') }] });
+        expect(duplicate.status).toBe(409);
+
+        const missing = await batch({ operations: [{ action: 'delete', id: '999-99' }] });
+        expect(missing.status).toBe(404);
+    });
+
+    test('should report per-operation results in best-effort mode', async () => {
+        const response = await batch({
+            atomic: false,
+            operations: [
+                { action: 'create', id: '100-03', data: newProduct('100-03') },
+                { action: 'create', id: '100-04', data: { ...newProduct('100-04'), currency: 'XYZ' } },
+                { action: 'explode', id: '000-01' },
+                { action: 'update', id: '000-01', data: {} },
+                { action: 'delete', id: '100-01' }
+            ]
+        });
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ atomic: false, committed: true, succeeded: 2, failed: 3 });
+        expect(response.body.results.map(r => r.status)).toEqual([201, 400, 400, 400, 200]);
+
+        expect((await getProduct('100-03')).status).toBe(200);
+        expect((await getProduct('100-04')).status).toBe(404);
+        expect((await getProduct('100-01')).status).toBe(404);
+    });
+
+    test('should reject malformed batches', async () => {
+        expect((await batch({ operations: [] })).status).toBe(400);
+        expect((await batch({ operations: [42] })).status).toBe(400);
+        expect((await batch({ operations: [{ action: 'delete', id: '000-01' }], atomic: 'yes' })).status).toBe(400);
+        expect((await batch({ operations: [{ action: 'delete', id: '000-01' }] }, apiKeys.viewer)).status).toBe(403);
+    });
+
+    test('should count a batch as one request for the write rate limit', async () => {
+        // The limiter allows 20 writes per window; a 30-operation batch still goes through
+        const operations = Array.from({ length: 30 }, (_, i) => ({ action: 'create', id: `200-${String(i).padStart(2, '0')}`, data: newProduct(`200-${i}`) }));
+        const response = await batch({ operations });
+        expect(response.status).toBe(200);
+        expect(response.body.succeeded).toBe(30);
+    });
+});
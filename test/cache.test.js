@@ -0,0 +1,172 @@
+const http = require('http');
+const request = require('supertest');
+const { createTestDb, removeTestDb, loadServer, apiKeys, sampleProduct } = require('./helpers');
+const { createMemoryCache } = require('../lib/cache');
+
+// Poll until check resolves with a truthy value, for work that runs after a response such as the statistics snapshot
+const waitFor = async (check) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for the condition');
+};
+
+describe('Memory cache', () => {
+    test('should drop the least recently used entry and count hits and misses', async () => {
+        const cache = createMemoryCache({ maxEntries: 2 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        expect(await cache.get('a')).toBe(1);
+        await cache.set('c', 3);
+
+        expect(await cache.get('b')).toBeUndefined();
+        expect(await cache.get('a')).toBe(1);
+        expect(await cache.get('c')).toBe(3);
+        expect(await cache.stats()).toEqual({ store: 'memory', entries: 2, maxEntries: 2, hits: 3, misses: 1, evictions: 1 });
+
+        await cache.clear();
+        expect(await cache.get('a')).toBeUndefined();
+    });
+});
+
+describe('Conditional GET and response cache', () => {
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-cache.db');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should answer 304 for a current ETag or date until the catalog changes', async () => {
+        const app = loadServer({ DB_PATH: dbPath });
+
+        const first = await request(app).get('/api/products');
+        expect(first.status).toBe(200);
+        expect(first.headers['cache-control']).toBe('no-cache');
+        expect(first.headers['x-cache']).toBeUndefined();
+        const { etag, 'last-modified': lastModified } = first.headers;
+
+        const unchanged = await request(app).get('/api/products').set('If-None-Match', etag);
+        expect(unchanged.status).toBe(304);
+        const notModifiedSince = await request(app).get('/api/products').set('If-Modified-Since', lastModified);
+        expect(notModifiedSince.status).toBe(304);
+
+        // Invalidated when the change commits, before the write's response
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ quantity: 5 });
+
+        const changed = await request(app).get('/api/products').set('If-None-Match', etag);
+        expect(changed.status).toBe(200);
+        expect(changed.body.products[0].quantity).toBe(5);
+        expect(changed.headers.etag).not.toBe(etag);
+        expect((await request(app).get('/api/products').set('If-Modified-Since', lastModified)).status).toBe(200);
+    });
+
+    test('should invalidate for writes whose client disconnected before the response', async () => {
+        const app = loadServer({ DB_PATH: dbPath });
+        const server = app.listen(0);
+        try {
+            const { etag } = (await request(server).get('/api/products')).headers;
+
+            // Send a PATCH and hang up without waiting for the answer
+            const body = JSON.stringify({ quantity: 9 });
+            const patch = http.request(`http://127.0.0.1:${server.address().port}/api/products/000-01`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'X-API-Key': apiKeys.editor }
+            });
+            patch.on('error', () => {});
+            patch.end(body, () => patch.destroy());
+
+            await waitFor(async () => (await request(server).get('/api/products/000-01/stock')).body.onHand === 9);
+            const changed = await request(server).get('/api/products').set('If-None-Match', etag);
+            expect(changed.status).toBe(200);
+            expect(changed.body.products[0].quantity).toBe(9);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    test('should tag single products by row and catalog version and not tag errors', async () => {
+        const app = loadServer({ DB_PATH: dbPath });
+        await request(app).put('/api/exchange-rates').set('X-API-Key', apiKeys.editor).send({ rates: { USD: 2 } });
+
+        const product = await request(app).get('/api/products/000-01?currency=USD');
+        expect(product.headers.etag).toMatch(/^"[\w-]{27}\.[\w-]+"$/);
+        expect((await request(app).get('/api/products/000-01?currency=USD').set('If-None-Match', product.headers.etag)).status).toBe(304);
+
+        // A new exchange rate changes the body but not the row
+        await request(app).put('/api/exchange-rates').set('X-API-Key', apiKeys.editor).send({ rates: { USD: 3 } });
+        const converted = await request(app).get('/api/products/000-01?currency=USD').set('If-None-Match', product.headers.etag);
+        expect(converted.status).toBe(200);
+        expect(converted.body.unit_price).toBe(product.body.original_unit_price * 3);
+
+        // The tag from GET still works as If-Match
+        const stale = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor)
+            .set('If-Match', '"AAAAAAAAAAAAAAAAAAAAAAAAAAA.x"').send({ description: 'Stale' });
+        expect(stale.status).toBe(412);
+        const patched = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor)
+            .set('If-Match', product.headers.etag).send({ description: 'Current' });
+        expect(patched.status).toBe(200);
+
+        const missing = await request(app).get('/api/products/999-99');
+        expect(missing.status).toBe(404);
+        expect(missing.headers['last-modified']).toBeUndefined();
+        const missingCategory = await request(app).get('/api/categories/nothing');
+        expect(missingCategory.status).toBe(404);
+        expect(missingCategory.headers['last-modified']).toBeUndefined();
+    });
+
+    test('should move the history ETag with today\'s snapshot and the catalog only with writes', async () => {
+        const app = loadServer({ DB_PATH: dbPath });
+        const catalogVersion = async () => (await request(app).get('/api/cache/stats').set('X-API-Key', apiKeys.admin)).body.version;
+
+        const todaysQuantity = (response) => response.body.snapshots.map(snapshot => snapshot.totalQuantity).pop();
+        const history = await request(app).get('/api/statistics/history');
+        expect((await request(app).get('/api/statistics/history').set('If-None-Match', history.headers.etag)).status).toBe(304);
+
+        const version = await catalogVersion();
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ quantity: 7 });
+
+        const refreshed = await waitFor(async () => {
+            const response = await request(app).get('/api/statistics/history').set('If-None-Match', history.headers.etag);
+            return response.status === 200 && todaysQuantity(response) === 7 && response;
+        });
+        expect((await request(app).get('/api/statistics/history').set('If-None-Match', refreshed.headers.etag)).status).toBe(304);
+
+        // Recording the snapshot does not invalidate the rest of the catalog
+        expect(await catalogVersion()).toBe(version + 1);
+    });
+
+    test('should serve cached responses until a write invalidates them', async () => {
+        const app = loadServer({ DB_PATH: dbPath, RESPONSE_CACHE: 'memory' });
+
+        const miss = await request(app).get('/api/statistics');
+        expect(miss.headers['x-cache']).toBe('MISS');
+        const hit = await request(app).get('/api/statistics');
+        expect(hit.headers['x-cache']).toBe('HIT');
+        expect(hit.body).toEqual(miss.body);
+        expect(hit.headers.etag).toBe(miss.headers.etag);
+        expect((await request(app).get('/api/statistics').set('If-None-Match', hit.headers.etag)).status).toBe(304);
+
+        // Errors are not cached
+        await request(app).get('/api/categories/nothing');
+        expect((await request(app).get('/api/categories/nothing')).headers['x-cache']).toBe('MISS');
+
+        const created = await request(app).post('/api/products').set('X-API-Key', apiKeys.editor).send({ ...sampleProduct, id: '000-02', code: '000-02' });
+        expect(created.status).toBe(201);
+
+        const refreshed = await request(app).get('/api/statistics');
+        expect(refreshed.headers['x-cache']).toBe('MISS');
+        expect(refreshed.body.totalProducts).toBe(miss.body.totalProducts + 1);
+
+        const stats = await request(app).get('/api/cache/stats').set('X-API-Key', apiKeys.admin);
+        expect(stats.status).toBe(200);
+        expect(stats.body).toMatchObject({ enabled: true, store: 'memory', maxEntries: 500, entries: 1, hits: 2, notModified: 1 });
+        expect(stats.body.version).toBeGreaterThan(0);
+        expect((await request(app).get('/api/cache/stats').set('X-API-Key', apiKeys.editor)).status).toBe(403);
+    });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { slugify } = require('../lib/categories');
+
+describe('Category slugs', () => {
+    test('should derive URL-friendly slugs from names', () => {
+        expect(slugify('Casual wear')).toBe('casual-wear');
+        expect(slugify('  Shoes & Boots ')).toBe('shoes-boots');
+        expect(slugify('Café Crème')).toBe('cafe-creme');
+        expect(slugify('!!!')).toBe('category');
+    });
+});
+
+describe('Categories', () => {
+    let app;
+    let dbPath;
+
+    const products = [
+        { ...sampleProduct, id: '000-01', code: '000-01', category: 'clothing' },
+        { ...sampleProduct, id: '000-02', code: '000-02', category: 'Clothing ' },
+        { ...sampleProduct, id: '000-03', code: '000-03', category: 'sportsclothing' },
+        { ...sampleProduct, id: '000-04', code: '000-04', category: 'shoes' }
+    ];
+
+    const asEditor = (req) => req.set('X-API-Key', apiKeys.editor);
+    const idsIn = async (query) => (await request(app).get(`/api/products?${query}`)).body.products.map(p => p.id);
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-categories.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should list categories created from existing products', async () => {
+        const response = await request(app).get('/api/categories');
+        expect(response.status).toBe(200);
+        expect(response.body.map(c => [c.slug, c.name, c.productCount])).toEqual([
+            ['clothing', 'Clothing', 2],
+            ['shoes', 'shoes', 1],
+            ['sportsclothing', 'sportsclothing', 1]
+        ]);
+    });
+
+    test('should filter by exact category instead of substring', async () => {
+        expect(await idsIn('category=clothing')).toEqual(['000-01', '000-02']);
+        expect(await idsIn('category=Clothing')).toEqual(['000-01', '000-02']);
+        expect(await idsIn('category=cloth')).toEqual([]);
+
+        const byPath = await request(app).get('/api/products/category/clothing');
+        expect(byPath.body.map(p => p.id)).toEqual(['000-01', '000-02']);
+    });
+
+    test('should create subcategories and filter including them', async () => {
+        const created = await asEditor(request(app).post('/api/categories'))
+            .send({ name: 'Running shoes', parent: 'shoes', description: 'For runners' });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ slug: 'running-shoes', parent: 'shoes', depth: 1, path: ['shoes', 'Running shoes'] });
+
+        await asEditor(request(app).post('/api/products'))
+            .send({ ...sampleProduct, id: '000-05', code: '000-05', category: 'running SHOES' });
+        expect((await request(app).get('/api/products/000-05')).body.category).toBe('Running shoes');
+
+        expect(await idsIn('category=shoes')).toEqual(['000-04']);
+        expect(await idsIn('category=shoes&includeSubcategories=true')).toEqual(['000-04', '000-05']);
+
+        const shoes = await request(app).get('/api/categories/shoes');
+        expect(shoes.body.subcategories.map(c => c.slug)).toEqual(['running-shoes']);
+
+        const list = await request(app).get('/api/categories');
+        expect(list.body.map(c => c.slug)).toEqual(['clothing', 'shoes', 'running-shoes', 'sportsclothing']);
+    });
+
+    test('should reject duplicates, unknown parents and cycles', async () => {
+        expect((await asEditor(request(app).post('/api/categories')).send({ name: 'SHOES' })).status).toBe(409);
+        expect((await asEditor(request(app).post('/api/categories')).send({ name: 'Boots', parent: 'nope' })).status).toBe(400);
+        expect((await asEditor(request(app).post('/api/categories')).send({ name: 'Boots', slug: 'Not A Slug' })).status).toBe(400);
+        expect((await asEditor(request(app).patch('/api/categories/shoes')).send({ parent: 'running-shoes' })).status).toBe(400);
+        expect((await asEditor(request(app).patch('/api/categories/shoes')).send({ name: 'clothing' })).status).toBe(409);
+        expect((await asEditor(request(app).patch('/api/categories/missing')).send({ name: 'x' })).status).toBe(404);
+    });
+
+    test('should cascade renames to products and their history', async () => {
+        await asEditor(request(app).put('/api/reorder-defaults/clothing')).send({ reorder_point: 7 });
+
+        const renamed = await asEditor(request(app).patch('/api/categories/clothing')).send({ name: 'Apparel', slug: 'apparel' });
+        expect(renamed.status).toBe(200);
+        expect(renamed.body).toMatchObject({ slug: 'apparel', name: 'Apparel', productsUpdated: 2 });
+
+        expect((await request(app).get('/api/products/000-02')).body.category).toBe('Apparel');
+        expect(await idsIn('category=apparel')).toEqual(['000-01', '000-02']);
+
+        const history = await request(app).get('/api/products/000-01/history');
+        expect(history.body.entries[0].changes).toEqual({ category: { from: 'Clothing', to: 'Apparel' } });
+
+        const defaults = await request(app).get('/api/reorder-defaults');
+        expect(defaults.body.categories.map(d => d.category)).toEqual(['Apparel']);
+    });
+
+    test('should merge categories and move their products', async () => {
+        const merged = await asEditor(request(app).post('/api/categories/sportsclothing/merge')).send({ into: 'apparel' });
+        expect(merged.status).toBe(200);
+        expect(merged.body).toMatchObject({ slug: 'apparel', productCount: 3, productsMoved: 1 });
+
+        expect((await request(app).get('/api/categories/sportsclothing')).status).toBe(404);
+        expect(await idsIn('category=apparel')).toEqual(['000-01', '000-02', '000-03']);
+
+        expect((await asEditor(request(app).post('/api/categories/shoes/merge')).send({ into: 'running-shoes' })).status).toBe(400);
+    });
+
+    test('should only delete empty categories', async () => {
+        expect((await asEditor(request(app).delete('/api/categories/shoes'))).status).toBe(409);
+
+        await asEditor(request(app).post('/api/categories')).send({ name: 'Empty' });
+        expect((await asEditor(request(app).delete('/api/categories/empty'))).status).toBe(200);
+        expect((await asEditor(request(app).delete('/api/categories/empty'))).status).toBe(404);
+    });
+
+    test('should prefer a slug over another category\'s name', async () => {
+        await asEditor(request(app).post('/api/categories')).send({ name: 'Men', slug: 'footwear' });
+        const footwear = await asEditor(request(app).post('/api/categories')).send({ name: 'Footwear' });
+        expect(footwear.body.slug).toBe('footwear-2');
+        await asEditor(request(app).post('/api/products')).send({ ...sampleProduct, id: '000-06', code: '000-06', category: 'Footwear' });
+
+        expect((await request(app).get('/api/categories/footwear')).body.name).toBe('Men');
+        expect((await request(app).get('/api/categories/Footwear')).body.name).toBe('Footwear');
+        expect(await idsIn('category=footwear')).toEqual([]);
+        expect(await idsIn('category=Footwear')).toEqual(['000-06']);
+
+        expect((await asEditor(request(app).delete('/api/categories/footwear'))).status).toBe(200);
+        expect((await request(app).get('/api/categories/footwear-2')).body.productCount).toBe(1);
+    });
+
+    test('should require the editor role for changes', async () => {
+        const response = await request(app).post('/api/categories').set('X-API-Key', apiKeys.viewer).send({ name: 'Hats' });
+        expect(response.status).toBe(403);
+    });
+});
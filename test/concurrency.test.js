@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+
+describe('Partial updates and optimistic concurrency', () => {
+    let app;
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-concurrency.db', [
+            sampleProduct,
+            { ...sampleProduct, id: '000-02', code: '000-02' }
+        ]);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should return an ETag that changes when the product changes', async () => {
+        const before = await request(app).get('/api/products/000-01');
+        expect(before.headers.etag).toMatch(/^"[\w-]+\.[\w-]+"$/);
+
+        const patched = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ quantity: 75 });
+        expect(patched.status).toBe(200);
+        expect(patched.headers.etag).not.toBe(before.headers.etag);
+
+        const after = await request(app).get('/api/products/000-01');
+        // The GET tag is the row's tag plus the catalog version
+        expect(after.headers.etag.startsWith(patched.headers.etag.slice(0, -1) + '.')).toBe(true);
+        expect(after.body).toMatchObject({ quantity: 75, name: 'Test Product', unit_price: 50 });
+    });
+
+    test('should validate only the fields sent with PATCH', async () => {
+        const invalid = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ unit_price: -1 });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.errors[0].path).toBe('unit_price');
+
+        const empty = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({});
+        expect(empty.status).toBe(400);
+
+        const renamedId = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ id: '000-09', name: 'x' });
+        expect(renamedId.status).toBe(400);
+    });
+
+    test('should bump updated_at on writes', async () => {
+        const db = require('sqlite3').verbose();
+        const conn = new db.Database(dbPath);
+        await new Promise(resolve => conn.run("UPDATE products SET updated_at = '2000-01-01 00:00:00' WHERE id = '000-01'", resolve));
+        conn.close();
+
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ name: 'Renamed' });
+        const response = await request(app).get('/api/products/000-01');
+        expect(response.body.updated_at).not.toBe('2000-01-01 00:00:00');
+    });
+
+    test('should reject PUT, PATCH and DELETE with a stale If-Match', async () => {
+        const { headers } = await request(app).get('/api/products/000-02');
+        const stale = headers.etag;
+
+        const first = await request(app)
+            .put('/api/products/000-02')
+            .set('X-API-Key', apiKeys.editor)
+            .set('If-Match', stale)
+            .send({ ...sampleProduct, id: '000-02', code: '000-02', name: 'First editor' });
+        expect(first.status).toBe(200);
+
+        const second = await request(app)
+            .patch('/api/products/000-02')
+            .set('X-API-Key', apiKeys.editor)
+            .set('If-Match', stale)
+            .send({ name: 'Second editor' });
+        expect(second.status).toBe(412);
+        expect(second.headers.etag).toBe(first.headers.etag);
+
+        const deleted = await request(app).delete('/api/products/000-02').set('X-API-Key', apiKeys.editor).set('If-Match', stale);
+        expect(deleted.status).toBe(412);
+
+        const current = await request(app).get('/api/products/000-02');
+        expect(current.body.name).toBe('First editor');
+    });
+
+    test('should delete when If-Match is current', async () => {
+        const { headers } = await request(app).get('/api/products/000-02');
+        const response = await request(app).delete('/api/products/000-02').set('X-API-Key', apiKeys.editor).set('If-Match', headers.etag);
+        expect(response.status).toBe(200);
+    });
+});
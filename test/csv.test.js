@@ -0,0 +1,20 @@
+const { parseCsv, parseProductsCsv } = require('../lib/csv');
+
+describe('CSV parsing', () => {
+    test('should handle quoted commas, escaped quotes and line breaks', () => {
+        const records = parseCsv('a,"b, c","say ""hi"""\r\n1,"two\nlines",3\n');
+        expect(records).toEqual([
+            ['a', 'b, c', 'say "hi"'],
+            ['1', 'two\nlines', '3']
+        ]);
+    });
+
+    test('should map export headers to product fields', () => {
+        const products = parseProductsCsv('ID,Unit Price,Extra\n000-01,30,ignored\n\n');
+        expect(products).toEqual([{ id: '000-01', unit_price: '30' }]);
+    });
+
+    test('should reject an unterminated quote', () => {
+        expect(() => parseCsv('a,"b')).toThrow('Unterminated');
+    });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { convertPrice, minorUnits } = require('../lib/currency');
+const { parsePriceCurrency, formatPrice } = require('../lib/xml');
+
+const rates = new Map([['EUR', 1], ['USD', 1.1], ['JPY', 160]]);
+
+describe('Currency helpers', () => {
+    test('should convert through the base currency and round to minor units', () => {
+        expect(convertPrice(30, 'EUR', 'USD', rates)).toBe(33);
+        expect(convertPrice(11, 'USD', 'EUR', rates)).toBe(10);
+        expect(convertPrice(12.34, 'EUR', 'JPY', rates)).toBe(1974);
+        expect(convertPrice(12.34, 'EUR', 'EUR', rates)).toBe(12.34);
+        expect(minorUnits('JPY')).toBe(0);
+    });
+
+    test('should read and write feed prices with their currency', () => {
+        expect(parsePriceCurrency('€30.00')).toBe('EUR');
+        expect(parsePriceCurrency('£12.50')).toBe('GBP');
+        expect(parsePriceCurrency('CHF 30.00')).toBe('CHF');
+        expect(parsePriceCurrency('45.00')).toBe('EUR');
+        expect(formatPrice(30, 'EUR')).toBe('€30.00');
+        expect(formatPrice(1500, 'JPY')).toBe('JPY 1500');
+    });
+});
+
+describe('Multi-currency pricing', () => {
+    let app;
+    let dbPath;
+
+    const products = [
+        { ...sampleProduct, id: '000-01', code: '000-01', unit_price: 30 },
+        { ...sampleProduct, id: '000-02', code: '000-02', unit_price: 10 }
+    ];
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-currency.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should store and list exchange rates', async () => {
+        const saved = await request(app).put('/api/exchange-rates').set('X-API-Key', apiKeys.editor)
+            .send({ rates: { USD: 1.1, JPY: 160 } });
+        expect(saved.status).toBe(200);
+
+        const list = await request(app).get('/api/exchange-rates');
+        expect(list.body.base).toBe('EUR');
+        expect(list.body.rates.map(r => [r.currency, r.rate])).toEqual([['EUR', 1], ['JPY', 160], ['USD', 1.1]]);
+        expect(list.body.rates.find(r => r.currency === 'USD').updatedBy).toBe('key:test-editor');
+    });
+
+    test('should validate rate updates', async () => {
+        const put = (body, key = apiKeys.editor) => request(app).put('/api/exchange-rates').set('X-API-Key', key).send(body);
+        expect((await put({ rates: { XYZ: 1 } })).status).toBe(400);
+        expect((await put({ rates: { USD: 0 } })).status).toBe(400);
+        expect((await put({ rates: { EUR: 2 } })).status).toBe(400);
+        expect((await put({ rates: {} })).status).toBe(400);
+        expect((await put({ rates: { USD: 1.2 } }, apiKeys.viewer)).status).toBe(403);
+    });
+
+    test('should price products in their own currency', async () => {
+        const created = await request(app).post('/api/products').set('X-API-Key', apiKeys.editor)
+            .send({ ...sampleProduct, id: '000-03', code: '000-03', unit_price: 22, currency: 'usd' });
+        expect(created.status).toBe(201);
+
+        const product = await request(app).get('/api/products/000-03');
+        expect(product.body).toMatchObject({ unit_price: 22, currency: 'USD' });
+
+        const unknown = await request(app).post('/api/products').set('X-API-Key', apiKeys.editor)
+            .send({ ...sampleProduct, id: '000-04', code: '000-04', currency: 'CHF' });
+        expect(unknown.status).toBe(400);
+
+        // PUT without a currency keeps the stored one
+        await request(app).put('/api/products/000-03').set('X-API-Key', apiKeys.editor).send({ ...sampleProduct, id: '000-03', code: '000-03', unit_price: 22 });
+        expect((await request(app).get('/api/products/000-03')).body.currency).toBe('USD');
+    });
+
+    test('should convert prices on read with ?currency=', async () => {
+        const product = await request(app).get('/api/products/000-01?currency=usd');
+        expect(product.body).toMatchObject({ unit_price: 33, currency: 'USD', original_unit_price: 30, original_currency: 'EUR' });
+
+        const list = await request(app).get('/api/products?currency=EUR&sortBy=unit_price');
+        expect(list.body.products.map(p => [p.id, p.unit_price])).toEqual([['000-02', 10], ['000-03', 20], ['000-01', 30]]);
+
+        const jpy = await request(app).get('/api/products?currency=JPY&minPrice=3000&maxPrice=3200');
+        expect(jpy.body.products.map(p => [p.id, p.unit_price])).toEqual([['000-03', 3200]]);
+
+        expect((await request(app).get('/api/products?currency=CHF')).status).toBe(400);
+        expect((await request(app).get('/api/products?currency=nope')).status).toBe(400);
+    });
+
+    test('should sort and page by price across currencies', async () => {
+        const first = await request(app).get('/api/products?pagination=cursor&sortBy=unit_price&limit=2');
+        expect(first.body.products.map(p => p.id)).toEqual(['000-02', '000-03']);
+
+        const second = await request(app).get(`/api/products?cursor=${first.body.pagination.nextCursor}&limit=2`);
+        expect(second.body.products.map(p => p.id)).toEqual(['000-01']);
+    });
+
+    test('should convert statistics and exports', async () => {
+        const base = await request(app).get('/api/statistics');
+        expect(base.body).toMatchObject({ currency: 'EUR', averagePrice: '20.00', minPrice: '10.00', maxPrice: '30.00' });
+
+        const usd = await request(app).get('/api/statistics?currency=USD');
+        expect(usd.body).toMatchObject({ currency: 'USD', averagePrice: '22.00', minPrice: '11.00', maxPrice: '33.00' });
+
+        const csv = await request(app).get('/api/products/export/csv?currency=USD').set('X-API-Key', apiKeys.viewer);
+        expect(csv.text.split('\n')[0]).toBe('ID,Category,Name,Description,Quantity,Unit Price,Currency,Code,GTIN');
+        expect(csv.text).toContain('"000-01","clothing","Test Product","Test Description",100,33,"USD","000-01"');
+
+        const xml = await request(app).get('/api/products/export/xml').set('X-API-Key', apiKeys.viewer);
+        expect(xml.text).toContain('<unit_price>€30.00</unit_price>');
+        expect(xml.text).toContain('<unit_price>$22.00</unit_price>');
+    });
+
+    test('should not remove rates that products still use', async () => {
+        expect((await request(app).delete('/api/exchange-rates/usd').set('X-API-Key', apiKeys.editor)).status).toBe(409);
+        expect((await request(app).delete('/api/exchange-rates/EUR').set('X-API-Key', apiKeys.editor)).status).toBe(400);
+        expect((await request(app).delete('/api/exchange-rates/JPY').set('X-API-Key', apiKeys.editor)).status).toBe(200);
+        expect((await request(app).delete('/api/exchange-rates/JPY').set('X-API-Key', apiKeys.editor)).status).toBe(404);
+    });
+});
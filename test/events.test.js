@@ -0,0 +1,173 @@
+const http = require('http');
+const sqlite3 = require('sqlite3').verbose();
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { RESET_EVENT, formatEvent, parseLastEventId } = require('../lib/events');
+
+describe('Event formatting', () => {
+    test('should write the id, event name and JSON data', () => {
+        expect(formatEvent({ id: 7, event: 'product.created', data: { a: 1 } })).toBe('id: 7\nevent: product.created\ndata: {"a":1}\n\n');
+        expect(formatEvent({ event: 'statistics-changed', data: {} })).toBe('event: statistics-changed\ndata: {}\n\n');
+    });
+
+    test('should only accept numeric Last-Event-IDs', () => {
+        expect(parseLastEventId('12')).toBe(12);
+        expect(parseLastEventId(' 3 ')).toBe(3);
+        expect(parseLastEventId('abc')).toBeNull();
+        expect(parseLastEventId('-1')).toBeNull();
+        expect(parseLastEventId(undefined)).toBeNull();
+    });
+});
+
+describe('Live event stream', () => {
+    let app;
+    let dbPath;
+    let server;
+    let baseUrl;
+    const streams = [];
+
+    // Open GET /api/events and collect parsed events as they arrive
+    const openStream = (headers = {}) => new Promise((resolve, reject) => {
+        const stream = { events: [], buffer: '' };
+        stream.req = http.get(`${baseUrl}/api/events`, { headers }, (res) => {
+            stream.res = res;
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                stream.buffer += chunk;
+                let end;
+                while ((end = stream.buffer.indexOf('\n\n')) !== -1) {
+                    const frame = stream.buffer.slice(0, end);
+                    stream.buffer = stream.buffer.slice(end + 2);
+                    const event = {};
+                    frame.split('\n').forEach(line => {
+                        const [field, ...rest] = line.split(': ');
+                        if (field === 'id') event.id = rest.join(': ');
+                        if (field === 'event') event.event = rest.join(': ');
+                        if (field === 'data') event.data = JSON.parse(rest.join(': '));
+                    });
+                    if (event.event) stream.events.push(event);
+                }
+            });
+            resolve(stream);
+        });
+        stream.req.on('error', reject);
+        streams.push(stream);
+    });
+
+    const closeStream = (stream) => stream.req.destroy();
+
+    const waitFor = async (stream, count) => {
+        for (let i = 0; i < 100 && stream.events.length < count; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return stream.events;
+    };
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-events.db');
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+        server = app.listen(0);
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        streams.forEach(closeStream);
+        await new Promise(resolve => server.close(resolve));
+        removeTestDb(dbPath);
+    });
+
+    test('should stream product changes followed by updated statistics', async () => {
+        const stream = await openStream();
+        expect(stream.res.statusCode).toBe(200);
+        expect(stream.res.headers['content-type']).toBe('text/event-stream');
+
+        await request(app).post('/api/products').set('X-API-Key', apiKeys.editor)
+            .send({ ...sampleProduct, id: '000-02', code: '000-02', quantity: 5 });
+
+        const [created, statistics] = await waitFor(stream, 2);
+        expect(created.event).toBe('product.created');
+        expect(Number(created.id)).toBeGreaterThan(0);
+        expect(created.data).toMatchObject({ action: 'create', productId: '000-02', product: { id: '000-02', quantity: 5, low_stock: true } });
+        expect(statistics).toMatchObject({ event: 'statistics-changed', data: { totalProducts: 2, totalQuantity: 105 } });
+        expect(statistics.id).toBeUndefined();
+
+        await request(app).patch('/api/products/000-02').set('X-API-Key', apiKeys.editor).send({ name: 'Renamed' });
+        await request(app).delete('/api/products/000-01').set('X-API-Key', apiKeys.editor);
+
+        const events = await waitFor(stream, 6);
+        expect(events.map(e => e.event)).toEqual([
+            'product.created', 'statistics-changed',
+            'product.updated', 'statistics-changed',
+            'product.deleted', 'statistics-changed'
+        ]);
+        expect(events[2].data.changes).toEqual({ name: { from: 'Test Product', to: 'Renamed' } });
+        expect(events[5].data.totalProducts).toBe(1);
+        closeStream(stream);
+    });
+
+    test('should replay missed events after Last-Event-ID', async () => {
+        const first = await openStream();
+        await request(app).post('/api/products/000-01/restore').set('X-API-Key', apiKeys.editor);
+        const [restored] = await waitFor(first, 1);
+        expect(restored.event).toBe('product.restored');
+        closeStream(first);
+
+        // Changes made while disconnected
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ quantity: 60 });
+        await request(app).post('/api/products/000-02/stock').set('X-API-Key', apiKeys.editor).send({ type: 'receipt', quantity: 10 });
+
+        const resumed = await openStream({ 'Last-Event-ID': restored.id });
+        const events = await waitFor(resumed, 3);
+        expect(events.filter(e => e.event !== 'statistics-changed').map(e => [e.event, e.data.productId])).toEqual([
+            ['product.updated', '000-01'],
+            ['product.updated', '000-02']
+        ]);
+        expect(Number(events[1].id)).toBeGreaterThan(Number(events[0].id));
+        expect(events[events.length - 1].event).toBe('statistics-changed');
+        closeStream(resumed);
+    });
+
+    test('should accept the resume position as a query parameter', async () => {
+        const stream = await openStream();
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ name: 'Again' });
+        const [updated] = await waitFor(stream, 1);
+        closeStream(stream);
+
+        const replayed = await new Promise(resolve => {
+            const req = http.get(`${baseUrl}/api/events?lastEventId=${Number(updated.id) - 1}`, res => {
+                res.setEncoding('utf8');
+                let body = '';
+                res.on('data', chunk => {
+                    body += chunk;
+                    if (body.includes('statistics-changed')) {
+                        req.destroy();
+                        resolve(body);
+                    }
+                });
+            });
+        });
+        expect(replayed).toContain(`id: ${updated.id}\nevent: product.updated`);
+    });
+
+    test('should send a reset instead of replaying more than 1000 entries', async () => {
+        const conn = new sqlite3.Database(dbPath);
+        await new Promise((resolve, reject) => conn.run(`
+            WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1100)
+            INSERT INTO audit_log (product_id, action, before_data, after_data) SELECT '000-01', 'update', '{}', '{}' FROM n
+        `, err => (err ? reject(err) : resolve())));
+        await new Promise(resolve => conn.close(resolve));
+
+        const stream = await openStream({ 'Last-Event-ID': '0' });
+        const [reset] = await waitFor(stream, 1);
+        expect(reset.event).toBe(RESET_EVENT);
+        expect(Number(reset.id)).toBe(reset.data.latestId);
+
+        // It then carries on with new changes only
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ name: 'After reset' });
+        const events = await waitFor(stream, 3);
+        expect(events.map(e => e.event)).toEqual([RESET_EVENT, 'product.updated', 'statistics-changed']);
+        expect(Number(events[1].id)).toBe(reset.data.latestId + 1);
+        closeStream(stream);
+    });
+});
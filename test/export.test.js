@@ -0,0 +1,124 @@
+const request = require('supertest');
+const sqlite3 = require('sqlite3').verbose();
+const ExcelJS = require('exceljs');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { csvField, parseExportColumns, DEFAULT_EXPORT_COLUMNS } = require('../lib/export');
+const { parseProductsCsv } = require('../lib/csv');
+
+describe('Export helpers', () => {
+    test('should quote text and double embedded quotes', () => {
+        expect(csvField('000-01')).toBe('"000-01"');
+        expect(csvField('12" "Deluxe", boxed\nx')).toBe('"12"" ""Deluxe"", boxed\nx"');
+        expect(csvField(12.5)).toBe('12.5');
+        expect(csvField(null)).toBe('');
+    });
+
+    test('should parse column selections', () => {
+        expect(parseExportColumns(undefined)).toEqual(DEFAULT_EXPORT_COLUMNS);
+        expect(parseExportColumns('name, ID,name')).toEqual(['name', 'id']);
+        expect(() => parseExportColumns('id,secret')).toThrow('Unknown column secret');
+    });
+});
+
+describe('Product exports', () => {
+    let app;
+    let dbPath;
+
+    const products = [
+        { ...sampleProduct, id: '000-01', code: '000-01', name: 'Plain shirt', unit_price: 20 },
+        { ...sampleProduct, id: '000-02', code: '000-02', name: '12" "Deluxe", boxed', description: 'Line one\nline two', unit_price: 35 },
+        { ...sampleProduct, id: '000-03', code: '000-03', category: 'shoes', name: 'Running shoe', unit_price: 80 }
+    ];
+
+    const exportAs = (path) => request(app).get(`/api/products/export/${path}`).set('X-API-Key', apiKeys.viewer);
+    // supertest only buffers text by default
+    const binary = (req) => req.buffer(true).parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-export.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should escape CSV so it imports back unchanged', async () => {
+        const response = await exportAs('csv');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+        expect(response.text).toContain('"000-02","clothing","12"" ""Deluxe"", boxed","Line one\nline two",100,35,"EUR","000-02",\n');
+
+        const parsed = parseProductsCsv(response.text);
+        expect(parsed.map(p => [p.id, p.name, p.description])).toEqual(products.map(p => [p.id, p.name, p.description]));
+    });
+
+    test('should apply the product list filters and sort', async () => {
+        const shoes = await exportAs('ndjson?category=shoes');
+        expect(shoes.text.trim().split('\n').map(line => JSON.parse(line).id)).toEqual(['000-03']);
+
+        const priced = await exportAs('json?minPrice=30&sortBy=unit_price&order=DESC');
+        expect(priced.body.map(p => p.id)).toEqual(['000-03', '000-02']);
+
+        const searched = await exportAs('json?search=deluxe');
+        expect(searched.body.map(p => p.id)).toEqual(['000-02']);
+
+        expect((await exportAs('json?search=shirt&sortBy=relevance')).status).toBe(400);
+    });
+
+    test('should write only the chosen columns, in order', async () => {
+        const csv = await exportAs('csv?columns=name,id&maxPrice=25');
+        expect(csv.text).toBe('Name,ID\n"Plain shirt","000-01"\n');
+
+        const json = await exportAs('json?columns=id,unit_price&maxPrice=1');
+        expect(json.body).toEqual([]);
+
+        const unknown = await exportAs('csv?columns=id,password');
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.error).toMatch(/Unknown column password/);
+    });
+
+    test('should write XLSX workbooks', async () => {
+        const response = await binary(exportAs('xlsx?columns=id,name,unit_price'));
+        expect(response.status).toBe(200);
+        expect(response.headers['content-disposition']).toBe('attachment; filename=products.xlsx');
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(response.body);
+        const sheet = workbook.getWorksheet('Products');
+        expect(sheet.getRow(1).values.slice(1)).toEqual(['ID', 'Name', 'Unit Price']);
+        expect(sheet.getRow(3).values.slice(1)).toEqual(['000-02', '12" "Deluxe", boxed', 35]);
+        expect(sheet.rowCount).toBe(4);
+    });
+
+    test('should stream catalogs larger than one batch without losing or repeating rows', async () => {
+        // 1,200 products with only three distinct prices, so batches end inside runs of equal sort values
+        const conn = new sqlite3.Database(dbPath);
+        await new Promise((resolve, reject) => conn.run(`
+            WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1200)
+            INSERT INTO products (id, category, name, description, quantity, unit_price, code)
+            SELECT printf('bulk-%04d', i), 'clothing', 'Bulk item', '', 1, i % 3, printf('B%04d', i) FROM n
+        `, err => (err ? reject(err) : resolve())));
+        await new Promise(resolve => conn.close(resolve));
+
+        const response = await exportAs('ndjson?maxPrice=2&sortBy=unit_price&columns=id,unit_price');
+        const rows = response.text.trim().split('\n').map(line => JSON.parse(line));
+
+        expect(rows).toHaveLength(1200);
+        expect(new Set(rows.map(row => row.id)).size).toBe(1200);
+        const sorted = [...rows].sort((a, b) => a.unit_price - b.unit_price || a.id.localeCompare(b.id));
+        expect(rows).toEqual(sorted);
+    });
+
+    test('should filter the XML export too', async () => {
+        const response = await request(app).get('/api/products/export/xml?category=shoes').set('X-API-Key', apiKeys.viewer);
+        expect(response.text).toContain('Running shoe');
+        expect(response.text).not.toContain('Plain shirt');
+    });
+});
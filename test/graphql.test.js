@@ -0,0 +1,183 @@
+const request = require('supertest');
+const { buildSchema, parse, validate } = require('graphql');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { depthLimit, complexityLimit, isMutationRequest } = require('../lib/graphql');
+
+describe('GraphQL limits', () => {
+    const schema = buildSchema(`
+        type Item { name: String, children(first: Int = 10): [Item!]!, tags: [String!]! }
+        type Query { items(first: Int = 20): [Item!]! }
+    `);
+    const errorsFor = (query, rules) => validate(schema, parse(query), rules).map(err => err.message);
+
+    test('should reject queries nested too deeply, including through fragments', () => {
+        expect(errorsFor('{ items { children { name } } }', [depthLimit(3)])).toEqual([]);
+        expect(errorsFor('{ items { children { children { name } } } }', [depthLimit(3)])).toEqual(['Query depth 4 exceeds the limit of 3']);
+        expect(errorsFor('{ items { ...deep } } fragment deep on Item { children { children { name } } }', [depthLimit(3)]))
+            .toEqual(['Query depth 4 exceeds the limit of 3']);
+        // Introspection does not count
+        expect(errorsFor('{ __schema { types { fields { type { ofType { name } } } } } }', [depthLimit(3)])).toEqual([]);
+    });
+
+    test('should estimate cost from page sizes', () => {
+        // items (1) + 5 × (name (1) + tags (1 + 0))
+        expect(errorsFor('{ items(first: 5) { name tags } }', [complexityLimit(11)])).toEqual([]);
+        expect(errorsFor('{ items(first: 6) { name tags } }', [complexityLimit(11)])).toEqual(['Query complexity 13 exceeds the limit of 11']);
+        // Defaults apply when first is left out; variables count as the largest page
+        expect(errorsFor('{ items { children { name } } }', [complexityLimit(1000)])).toEqual([]);
+        expect(errorsFor('query($n: Int) { items(first: $n) { name } }', [complexityLimit(50, { maxPageSize: 100 })]))
+            .toEqual(['Query complexity 101 exceeds the limit of 50']);
+    });
+
+    test('should count page sizes out of range as the nearest allowed size', () => {
+        // A negative page cannot cancel out the cost of its siblings
+        expect(errorsFor('{ items(first: 6) { name tags } x: items(first: -100000) { name } }', [complexityLimit(11)]))
+            .toEqual(['Query complexity 15 exceeds the limit of 11']);
+        expect(errorsFor('{ items(first: 100000) { name } }', [complexityLimit(50, { maxPageSize: 100 })]))
+            .toEqual(['Query complexity 101 exceeds the limit of 50']);
+    });
+
+    test('should recognise mutation requests', () => {
+        expect(isMutationRequest({ query: 'mutation { deleteProduct(id: "000-01") }' })).toBe(true);
+        expect(isMutationRequest({ query: 'query A { products { totalCount } } mutation B { x }', operationName: 'B' })).toBe(true);
+        expect(isMutationRequest({ query: '{ products { totalCount } }' })).toBe(false);
+        expect(isMutationRequest({ query: '{ broken' })).toBe(false);
+    });
+});
+
+describe('GraphQL endpoint', () => {
+    let app;
+    let dbPath;
+
+    const products = [
+        { ...sampleProduct, id: '000-01', code: '000-01', name: 'Linen shirt', unit_price: 30 },
+        { ...sampleProduct, id: '000-02', code: '000-02', name: 'Wool sweater', unit_price: 60 },
+        { ...sampleProduct, id: '000-03', code: '000-03', category: 'shoes', name: 'Trail shoe', unit_price: 90 }
+    ];
+
+    const graphql = (query, variables, key) => {
+        const req = request(app).post('/graphql').send({ query, variables });
+        return key ? req.set('X-API-Key', key) : req;
+    };
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-graphql.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should fetch products, categories and statistics in one request', async () => {
+        const response = await graphql(`{
+            products(category: "clothing", sortBy: UNIT_PRICE, order: DESC) { nodes { id unit_price } totalCount }
+            categories { slug productCount }
+            statistics { totalProducts totalValue }
+        }`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.errors).toBeUndefined();
+        expect(response.body.data).toEqual({
+            products: { nodes: [{ id: '000-02', unit_price: 60 }, { id: '000-01', unit_price: 30 }], totalCount: 2 },
+            categories: [{ slug: 'clothing', productCount: 2 }, { slug: 'shoes', productCount: 1 }],
+            statistics: { totalProducts: 3, totalValue: '18000.00' }
+        });
+    });
+
+    test('should mirror the REST filters and paging', async () => {
+        const searched = await graphql('{ products(search: "sweater") { nodes { id snippet } } }');
+        expect(searched.body.data.products.nodes.map(p => p.id)).toEqual(['000-02']);
+
+        const priced = await graphql('{ products(minPrice: 50, maxPrice: 95) { nodes { id } } }');
+        expect(priced.body.data.products.nodes.map(p => p.id)).toEqual(['000-02', '000-03']);
+
+        const first = await graphql('{ products(first: 2, sortBy: NAME) { nodes { id } pageInfo { hasNextPage endCursor } } }');
+        expect(first.body.data.products.nodes.map(p => p.id)).toEqual(['000-01', '000-03']);
+        const next = await graphql('query($after: String) { products(first: 2, after: $after) { nodes { id } pageInfo { hasNextPage page } } }',
+            { after: first.body.data.products.pageInfo.endCursor });
+        expect(next.body.data.products).toEqual({ nodes: [{ id: '000-02' }], pageInfo: { hasNextPage: false, page: null } });
+
+        const paged = await graphql('{ products(first: 2, page: 2) { nodes { id } } }');
+        expect(paged.body.data.products.nodes.map(p => p.id)).toEqual(['000-03']);
+
+        const tooMany = await graphql('{ products(first: 500) { totalCount } }');
+        expect(tooMany.body.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    });
+
+    test('should resolve nested category products and single products', async () => {
+        const response = await graphql(`{
+            category(slug: "Shoes") { name products { nodes { name } } subcategories { slug } }
+            product(id: "000-01") { name etag images { id } }
+            missing: product(id: "999-99") { name }
+        }`);
+
+        expect(response.body.data.category).toEqual({ name: 'shoes', products: { nodes: [{ name: 'Trail shoe' }] }, subcategories: [] });
+        expect(response.body.data.product).toMatchObject({ name: 'Linen shirt', images: [] });
+        expect(response.body.data.product.etag).toMatch(/^"/);
+        expect(response.body.data.missing).toBeNull();
+    });
+
+    test('should require the editor role for mutations', async () => {
+        const mutation = 'mutation { deleteProduct(id: "000-01") }';
+
+        const anonymous = await graphql(mutation);
+        expect(anonymous.body.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+        const viewer = await graphql(mutation, undefined, apiKeys.viewer);
+        expect(viewer.body.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+
+    test('should create, update and delete products with the REST validation', async () => {
+        const create = `mutation($input: ProductInput!) { createProduct(input: $input) { id name etag } }`;
+        const created = await graphql(create, { input: { ...sampleProduct, id: '000-04', code: '000-04', name: '  Canvas tote ' } }, apiKeys.editor);
+        expect(created.body.data.createProduct).toMatchObject({ id: '000-04', name: 'Canvas tote' });
+
+        const duplicate = await graphql(create, { input: { ...sampleProduct, id: '000-04', code: '000-04' } }, apiKeys.editor);
+        expect(duplicate.body.errors[0].extensions).toMatchObject({ code: 'CONFLICT', status: 409 });
+
+        const invalid = await graphql(create, { input: { ...sampleProduct, id: 'bad', quantity: -1 } }, apiKeys.editor);
+        expect(invalid.body.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+        expect(invalid.body.errors[0].extensions.errors.map(e => e.path).sort()).toEqual(['id', 'quantity']);
+
+        const update = 'mutation($ifMatch: String) { updateProduct(id: "000-04", input: { quantity: 7, gtin: null }, ifMatch: $ifMatch) { quantity } }';
+        const stale = await graphql(update, { ifMatch: '"stale"' }, apiKeys.editor);
+        expect(stale.body.errors[0].extensions.code).toBe('PRECONDITION_FAILED');
+        const updated = await graphql(update, { ifMatch: created.body.data.createProduct.etag }, apiKeys.editor);
+        expect(updated.body.data.updateProduct).toEqual({ quantity: 7 });
+
+        const deleted = await graphql('mutation { deleteProduct(id: "000-04") }', undefined, apiKeys.editor);
+        expect(deleted.body.data.deleteProduct).toBe('000-04');
+        const gone = await graphql('mutation { deleteProduct(id: "000-04") }', undefined, apiKeys.editor);
+        expect(gone.body.errors[0].extensions.code).toBe('NOT_FOUND');
+
+        const history = await request(app).get('/api/products/000-04/history').set('X-API-Key', apiKeys.viewer);
+        expect(history.body.entries.map(entry => [entry.action, entry.actor])).toEqual([
+            ['delete', 'key:test-editor'], ['update', 'key:test-editor'], ['create', 'key:test-editor']
+        ]);
+    });
+
+    test('should reject expensive queries before running them', async () => {
+        const deep = await graphql('{ categories { subcategories { subcategories { subcategories { subcategories { subcategories { subcategories { subcategories { slug } } } } } } } } }');
+        expect(deep.body.data).toBeUndefined();
+        expect(deep.body.errors[0].message).toBe('Query depth 9 exceeds the limit of 8');
+
+        // Clients that accept the GraphQL response type get a 400 for queries that fail validation
+        const costly = await graphql('{ categories { products(first: 100) { nodes { id name description quantity unit_price code } } } }')
+            .set('Accept', 'application/graphql-response+json');
+        expect(costly.status).toBe(400);
+        expect(costly.body.errors[0].message).toBe('Query complexity 6021 exceeds the limit of 2000');
+    });
+
+    test('should size up fragments that spread each other without expanding them', async () => {
+        // Each fragment spreads the next one twice: 2^30 copies of the last one when written out
+        const levels = 30;
+        const fragments = Array.from({ length: levels }, (_, i) => `fragment F${i} on Query { ...F${i + 1} ...F${i + 1} }`);
+        const query = `{ ...F0 } ${fragments.join(' ')} fragment F${levels} on Query { statistics { totalProducts } }`;
+
+        const response = await graphql(query);
+        expect(response.body.data).toBeUndefined();
+        expect(response.body.errors.map(error => error.message)).toContain(`Query complexity ${2 ** (levels + 1)} exceeds the limit of 2000`);
+    });
+});
@@ -0,0 +1,166 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const { newDb } = require('pg-mem');
+const { createMigrator } = require('../lib/migrator');
+const { ROLES, API_KEY_PREFIX, hashToken } = require('../lib/auth');
+const { createDbHelpers, createPgHelpers } = require('../lib/db');
+const { createRepositories } = require('../lib/repositories');
+
+const DB_DIR = path.join(__dirname, '..', 'database');
+
+const sampleProduct = {
+    id: '000-01',
+    category: 'clothing',
+    name: 'Test Product',
+    description: 'Test Description',
+    quantity: 100,
+    unit_price: 50.00,
+    code: '000-01'
+};
+
+// One API key per role, present in every test database
+const apiKeys = Object.fromEntries(ROLES.map(role => [role, `${API_KEY_PREFIX}test-${role}`]));
+
+// pg-mem databases made by createPgTestDb, by the DATABASE_URL the server is given
+const pgMemDatabases = new Map();
+
+/**
+ * Migrate a test database and seed it through the repositories: one API key per role,
+ * then the given products with their opening stock and categories.
+ */
+async function seedTestDb(helpers, products) {
+    const { apiKeys: keys, products: productRepository, stock, categories } = createRepositories(helpers);
+    await createMigrator(helpers).up();
+    for (const role of ROLES) {
+        await keys.create({ name: `test-${role}`, keyHash: hashToken(apiKeys[role]), keyPrefix: apiKeys[role].slice(0, 10), role });
+    }
+    for (const p of products) {
+        await productRepository.insert({
+            id: p.id,
+            category: p.category,
+            name: p.name,
+            description: p.description,
+            quantity: p.quantity,
+            unit_price: p.unit_price,
+            code: p.code
+        });
+    }
+    await stock.addOpeningBalances();
+    await categories.sync();
+}
+
+/**
+ * Create a fresh, fully migrated SQLite database for one test file and seed it with the given products.
+ * Resolves with the database path, which the test file passes to the server via DB_PATH.
+ */
+function createTestDb(fileName, products = [sampleProduct]) {
+    const dbPath = path.join(DB_DIR, fileName);
+
+    if (!fs.existsSync(DB_DIR)) {
+        fs.mkdirSync(DB_DIR, { recursive: true });
+    }
+    if (fs.existsSync(dbPath)) {
+        fs.unlinkSync(dbPath);
+    }
+
+    const db = new sqlite3.Database(dbPath);
+    const close = () => new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+
+    return seedTestDb(createDbHelpers(db), products)
+        .then(close, err => close().then(() => { throw err; }))
+        .then(() => dbPath);
+}
+
+/**
+ * An empty in-memory PostgreSQL database, with the functions the repositories use that
+ * pg-mem does not have.
+ */
+function newPgMemDb() {
+    const mem = newDb({ noAstCoverageCheck: true });
+    mem.public.registerFunction({
+        name: 'lpad',
+        args: ['text', 'integer', 'text'],
+        returns: 'text',
+        implementation: (text, length, fill) => text.padStart(length, fill).slice(0, length)
+    });
+    mem.public.registerFunction({
+        name: 'round',
+        args: ['numeric', 'integer'],
+        returns: 'numeric',
+        implementation: (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+    });
+    return mem;
+}
+
+/**
+ * The PostgreSQL counterpart of createTestDb on pg-mem. Resolves with the DATABASE_URL to
+ * pass to loadServer along with DB_CLIENT=postgres.
+ */
+async function createPgTestDb(name, products = [sampleProduct]) {
+    const mem = newPgMemDb();
+    const { Client } = mem.adapters.createPg();
+    const client = new Client();
+    await client.connect();
+    await seedTestDb(createPgHelpers(client), products);
+    await client.end();
+
+    const url = `postgres://pg-mem/${name}`;
+    pgMemDatabases.set(url, mem);
+    return url;
+}
+
+/**
+ * The backends the server runs on, for suites that run against each of them. Each creates a
+ * seeded test database and resolves with its location, for removeTestDb, and the settings
+ * that select it, for loadServer.
+ */
+const testBackends = {
+    async sqlite(name, products) {
+        const dbPath = await createTestDb(`${name}.db`, products);
+        return { location: dbPath, env: { DB_PATH: dbPath } };
+    },
+
+    async postgres(name, products) {
+        const url = await createPgTestDb(name, products);
+        return { location: url, env: { DB_CLIENT: 'postgres', DATABASE_URL: url } };
+    }
+};
+
+/**
+ * Load a separate server instance with the given environment, for settings read at startup.
+ * The variables are removed again afterwards.
+ */
+function loadServer(env) {
+    let app;
+    if (pgMemDatabases.has(env.DATABASE_URL)) {
+        // The server's pg client connects to the pg-mem database its connection string names
+        jest.doMock('pg', () => ({
+            types: jest.requireActual('pg').types,
+            Client: function Client({ connectionString }) {
+                const { Client: PgMemClient } = pgMemDatabases.get(connectionString).adapters.createPg();
+                return new PgMemClient();
+            }
+        }));
+    }
+    Object.assign(process.env, env);
+    try {
+        jest.isolateModules(() => {
+            app = require('../server');
+        });
+    } finally {
+        Object.keys(env).forEach(name => delete process.env[name]);
+    }
+    return app;
+}
+
+function removeTestDb(dbPath) {
+    if (pgMemDatabases.delete(dbPath)) {
+        return;
+    }
+    if (fs.existsSync(dbPath)) {
+        fs.unlinkSync(dbPath);
+    }
+}
+
+module.exports = { createTestDb, createPgTestDb, newPgMemDb, testBackends, removeTestDb, loadServer, sampleProduct, apiKeys };
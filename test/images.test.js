@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { processImage } = require('../lib/images');
+
+const makeImage = (format, width = 800, height = 600) => sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 60, b: 30 } }
+})[format]().toBuffer();
+
+describe('Image processing', () => {
+    test('should detect the real format and render a WebP thumbnail', async () => {
+        const image = await processImage(await makeImage('png'));
+        expect(image).toMatchObject({ contentType: 'image/png', extension: 'png', width: 800, height: 600 });
+
+        const thumbnail = await sharp(image.thumbnail).metadata();
+        expect(thumbnail).toMatchObject({ format: 'webp', width: 320, height: 240 });
+    });
+
+    test('should reject files that are not supported images', async () => {
+        await expect(processImage(Buffer.from('not an image'))).rejects.toThrow('not a readable image');
+        await expect(processImage(await makeImage('gif'))).rejects.toThrow('Unsupported image format gif');
+    });
+});
+
+describe('Product images', () => {
+    let app;
+    let dbPath;
+    let uploadsDir;
+    let jpeg;
+    let png;
+
+    const asEditor = (req) => req.set('X-API-Key', apiKeys.editor);
+    const upload = (productId, files) => {
+        const req = asEditor(request(app).post(`/api/products/${productId}/images`));
+        files.forEach(([buffer, filename, contentType]) => req.attach('images', buffer, { filename, contentType }));
+        return req;
+    };
+    const storedFiles = () => fs.readdirSync(path.join(uploadsDir, 'products')).sort();
+
+    beforeAll(async () => {
+        uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lookup-uploads-'));
+        process.env.UPLOADS_DIR = uploadsDir;
+        process.env.IMAGE_MAX_BYTES = String(200 * 1024);
+        dbPath = await createTestDb('test-images.db', [
+            sampleProduct,
+            { ...sampleProduct, id: '000-02', code: '000-02' }
+        ]);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+        jpeg = await makeImage('jpeg');
+        png = await makeImage('png', 200, 400);
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+        fs.rmSync(uploadsDir, { recursive: true, force: true });
+        delete process.env.UPLOADS_DIR;
+        delete process.env.IMAGE_MAX_BYTES;
+    });
+
+    let images;
+
+    test('should store uploads with thumbnails and make the first one primary', async () => {
+        const response = await upload('000-01', [[jpeg, 'front.jpg', 'image/jpeg'], [png, 'side.png', 'image/png']]);
+        expect(response.status).toBe(201);
+        images = response.body;
+        expect(images).toHaveLength(2);
+        expect(images[0]).toMatchObject({ productId: '000-01', originalName: 'front.jpg', contentType: 'image/jpeg', width: 800, height: 600, position: 1, primary: true });
+        expect(images[1]).toMatchObject({ originalName: 'side.png', position: 2, primary: false });
+        expect(storedFiles()).toHaveLength(4);
+
+        const file = await request(app).get(images[0].url);
+        expect(file.status).toBe(200);
+        expect(file.headers['content-type']).toBe('image/jpeg');
+        const thumbnail = await request(app).get(images[1].thumbnailUrl);
+        expect(thumbnail.headers['content-type']).toBe('image/webp');
+        expect((await sharp(thumbnail.body).metadata()).height).toBe(320);
+    });
+
+    test('should include the primary image in product responses', async () => {
+        const product = await request(app).get('/api/products/000-01');
+        expect(product.body.image).toMatchObject({ id: images[0].id, thumbnailUrl: images[0].thumbnailUrl });
+        // Who uploaded it is not for anonymous callers
+        expect(product.body.image).not.toHaveProperty('createdBy');
+        expect((await request(app).get('/api/products/000-01/images')).body[0]).not.toHaveProperty('createdBy');
+
+        const list = await request(app).get('/api/products');
+        expect(list.body.products.map(p => p.image && p.image.id)).toEqual([images[0].id, null]);
+    });
+
+    test('should reorder images and change the primary image', async () => {
+        const moved = await asEditor(request(app).patch(`/api/products/000-01/images/${images[1].id}`)).send({ position: 1 });
+        expect(moved.status).toBe(200);
+        expect(moved.body.map(i => [i.id, i.position])).toEqual([[images[1].id, 1], [images[0].id, 2]]);
+
+        const primary = await asEditor(request(app).patch(`/api/products/000-01/images/${images[1].id}`)).send({ primary: true });
+        expect(primary.body.map(i => i.primary)).toEqual([true, false]);
+
+        const listed = await request(app).get('/api/products/000-01/images');
+        expect(listed.body.map(i => i.id)).toEqual([images[1].id, images[0].id]);
+
+        expect((await asEditor(request(app).patch(`/api/products/000-01/images/${images[1].id}`)).send({})).status).toBe(400);
+        expect((await asEditor(request(app).patch(`/api/products/000-02/images/${images[1].id}`)).send({ position: 1 })).status).toBe(404);
+    });
+
+    test('should reject invalid uploads without storing anything', async () => {
+        const before = storedFiles();
+        const wrongType = await upload('000-01', [[Buffer.from('GIF89a'), 'anim.gif', 'image/gif']]);
+        expect(wrongType.status).toBe(415);
+
+        const disguised = await upload('000-01', [[jpeg, 'ok.jpg', 'image/jpeg'], [Buffer.from('plain text'), 'fake.png', 'image/png']]);
+        expect(disguised.status).toBe(400);
+        expect(disguised.body.error).toContain('fake.png');
+
+        const large = await upload('000-01', [[await sharp({ create: { width: 600, height: 600, channels: 3, background: '#888' } }).png({ compressionLevel: 0 }).toBuffer(), 'big.png', 'image/png']]);
+        expect(large.status).toBe(413);
+
+        expect((await upload('000-01', [])).status).toBe(400);
+        expect((await upload('999-99', [[jpeg, 'a.jpg', 'image/jpeg']])).status).toBe(404);
+        expect(storedFiles()).toEqual(before);
+    });
+
+    test('should delete images and promote the next one', async () => {
+        const deleted = await asEditor(request(app).delete(`/api/products/000-01/images/${images[1].id}`));
+        expect(deleted.status).toBe(200);
+
+        const listed = await request(app).get('/api/products/000-01/images');
+        expect(listed.body).toEqual([expect.objectContaining({ id: images[0].id, position: 1, primary: true })]);
+        expect(storedFiles()).toHaveLength(2);
+        expect((await request(app).get(images[1].url)).status).toBe(404);
+    });
+
+    test('should remove the files when the product is purged', async () => {
+        await asEditor(request(app).delete('/api/products/000-01'));
+        expect((await request(app).get('/api/products/000-01/images')).status).toBe(404);
+
+        const purged = await request(app).delete('/api/products/trash/000-01').set('X-API-Key', apiKeys.admin);
+        expect(purged.status).toBe(200);
+        expect(storedFiles()).toEqual([]);
+    });
+
+    test('should require the editor role to upload', async () => {
+        const response = await request(app).post('/api/products/000-02/images').set('X-API-Key', apiKeys.viewer)
+            .attach('images', jpeg, { filename: 'a.jpg', contentType: 'image/jpeg' });
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, apiKeys } = require('./helpers');
+
+let app;
+let dbPath;
+
+describe('Product import', () => {
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-import.db');
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should report row errors without writing in dry-run mode', async () => {
+        const csv = [
+            'ID,Category,Name,Description,Quantity,Unit Price,Code',
+            '100-01,"Bags","Tote, large","Holds ""everything""",10,12.5,100-01',
+            'bad-id,"Bags","Broken","",-1,1,100-02'
+        ].join('\n');
+
+        const response = await request(app)
+            .post('/api/products/import?dryRun=true')
+            .set('X-API-Key', apiKeys.editor)
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ dryRun: true, total: 2, inserted: 1, failed: 1 });
+        expect(response.body.errors[0].row).toBe(2);
+        expect(response.body.errors[0].errors.map(e => e.path)).toEqual(expect.arrayContaining(['id', 'quantity']));
+
+        const lookup = await request(app).get('/api/products/100-01');
+        expect(lookup.status).toBe(404);
+    });
+
+    test('should import a JSON array and report conflicts in insert mode', async () => {
+        const response = await request(app)
+            .post('/api/products/import')
+            .set('X-API-Key', apiKeys.editor)
+            .send([
+                { id: '000-01', category: 'clothing', name: 'Clash', quantity: 1, unit_price: 1, code: '000-01' },
+                { id: '100-03', category: 'Bags', name: 'Backpack', description: 'Roomy', quantity: 5, unit_price: 40, code: '100-03' }
+            ]);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ inserted: 1, failed: 1 });
+        expect(response.body.errors[0]).toMatchObject({ row: 1, id: '000-01' });
+
+        const lookup = await request(app).get('/api/products/100-03');
+        expect(lookup.body).toMatchObject({ name: 'Backpack', quantity: 5, unit_price: 40 });
+    });
+
+    test('should round-trip the CSV export in update and skip modes', async () => {
+        const exported = await request(app).get('/api/products/export/csv').set('X-API-Key', apiKeys.viewer);
+
+        const updated = await request(app)
+            .post('/api/products/import?mode=update')
+            .set('X-API-Key', apiKeys.editor)
+            .set('Content-Type', 'text/csv')
+            .send(exported.text);
+        expect(updated.body).toMatchObject({ updated: 2, inserted: 0, failed: 0 });
+
+        const skipped = await request(app)
+            .post('/api/products/import?mode=skip')
+            .set('X-API-Key', apiKeys.editor)
+            .set('Content-Type', 'text/csv')
+            .send(exported.text);
+        expect(skipped.body).toMatchObject({ skipped: 2, inserted: 0, failed: 0 });
+    });
+
+    test('should reject an unknown mode', async () => {
+        const response = await request(app)
+            .post('/api/products/import?mode=replace')
+            .set('X-API-Key', apiKeys.editor)
+            .send([{ id: '100-04' }]);
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const { Writable } = require('stream');
+const winston = require('winston');
+const { createTestDb, removeTestDb, apiKeys, sampleProduct } = require('./helpers');
+const { requestIdFrom, redactHeaders } = require('../lib/request-log');
+
+describe('Request log helpers', () => {
+    test('should reuse only well-formed request IDs', () => {
+        expect(requestIdFrom('abc-123.def:4_5')).toBe('abc-123.def:4_5');
+        expect(requestIdFrom('two words')).toMatch(/^[0-9a-f-]{36}$/);
+        expect(requestIdFrom('x'.repeat(129))).toMatch(/^[0-9a-f-]{36}$/);
+        expect(requestIdFrom(undefined)).not.toBe(requestIdFrom(undefined));
+    });
+
+    test('should redact credential headers', () => {
+        expect(redactHeaders({ authorization: 'Bearer secret', 'x-api-key': 'lp_secret', Cookie: 'session=1', accept: '*/*' }))
+            .toEqual({ authorization: '[REDACTED]', 'x-api-key': '[REDACTED]', Cookie: '[REDACTED]', accept: '*/*' });
+    });
+});
+
+describe('Request logging', () => {
+    let dbPath;
+    let app;
+    let logger;
+    let transport;
+    const lines = [];
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-logging.db');
+        process.env.DB_PATH = dbPath;
+        logger = require('../config/logger');
+        app = require('../server');
+
+        transport = new winston.transports.Stream({
+            stream: new Writable({
+                objectMode: true,
+                write(info, encoding, callback) {
+                    lines.push(info);
+                    callback();
+                }
+            })
+        });
+        logger.add(transport);
+    });
+
+    beforeEach(() => {
+        lines.length = 0;
+    });
+
+    afterAll(() => {
+        logger.remove(transport);
+        removeTestDb(dbPath);
+    });
+
+    // The entry is written when the response closes, which can be just after the client has it
+    const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+    test('should log one entry per request with status, duration and size', async () => {
+        const response = await request(app).get('/api/products/000-01').set('X-API-Key', apiKeys.viewer);
+        await settle();
+
+        const requestId = response.headers['x-request-id'];
+        expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+        const entries = lines.filter(line => line.message === 'Request completed');
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({
+            level: 'info',
+            requestId,
+            method: 'GET',
+            url: '/api/products/000-01',
+            status: 200,
+            bytes: Number(response.headers['content-length']),
+            aborted: false,
+            principal: 'key:test-viewer'
+        });
+        expect(entries[0].durationMs).toBeGreaterThan(0);
+        expect(entries[0].headers['x-api-key']).toBe('[REDACTED]');
+    });
+
+    test('should honor X-Request-Id and tag handler log lines with it', async () => {
+        const response = await request(app)
+            .post('/api/products')
+            .set('X-API-Key', apiKeys.editor)
+            .set('X-Request-Id', 'client-42')
+            .send({ ...sampleProduct, id: '000-02', code: '000-02' });
+        await settle();
+
+        expect(response.status).toBe(201);
+        expect(response.headers['x-request-id']).toBe('client-42');
+        expect(lines.find(line => line.message === 'Product created')).toMatchObject({ id: '000-02', requestId: 'client-42' });
+        expect(lines.find(line => line.message === 'Request completed')).toMatchObject({ requestId: 'client-42', status: 201 });
+    });
+});
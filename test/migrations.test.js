@@ -0,0 +1,116 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { createMigrator } = require('../lib/migrator');
+const { createDbHelpers } = require('../lib/db');
+const { removeTestDb } = require('./helpers');
+
+const DB_DIR = path.join(__dirname, '..', 'database');
+
+// Open a brand-new database file, returning the connection, its helpers and the migrator
+function openDb(fileName) {
+    const dbPath = path.join(DB_DIR, fileName);
+    removeTestDb(dbPath);
+    const db = new sqlite3.Database(dbPath);
+    return { db, dbPath, helpers: createDbHelpers(db), migrator: createMigrator(db) };
+}
+
+const closeDb = (db) => new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+
+const tableNames = async ({ all }) => (await all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+
+describe('Schema migrations', () => {
+    const opened = [];
+
+    const open = (fileName) => {
+        const handle = openDb(fileName);
+        opened.push(handle);
+        return handle;
+    };
+
+    afterAll(async () => {
+        for (const { db, dbPath } of opened) {
+            await closeDb(db);
+            removeTestDb(dbPath);
+        }
+    });
+
+    test('applies every migration to an empty database and records it', async () => {
+        const { helpers, migrator } = open('test-migrations-fresh.db');
+
+        expect((await migrator.pending()).length).toBeGreaterThan(0);
+
+        const applied = await migrator.up();
+        const status = await migrator.status();
+
+        expect(applied.map(m => m.version)).toEqual(status.map(m => m.version));
+        expect(status.every(m => m.appliedAt)).toBe(true);
+        expect(await migrator.pending()).toEqual([]);
+        expect(await tableNames(helpers)).toEqual(expect.arrayContaining(['products', 'products_fts', 'audit_log', 'schema_migrations']));
+
+        // Running again is a no-op
+        expect(await migrator.up()).toEqual([]);
+    });
+
+    test('stops at the requested version', async () => {
+        const { helpers, migrator } = open('test-migrations-to.db');
+
+        const applied = await migrator.up({ to: '001' });
+
+        expect(applied.map(m => m.version)).toEqual(['001']);
+        expect(await tableNames(helpers)).not.toContain('audit_log');
+    });
+
+    test('reverts migrations newest first and re-applies them', async () => {
+        const { helpers, migrator } = open('test-migrations-down.db');
+        await migrator.up();
+
+        const latest = (await migrator.status()).pop();
+        expect(await migrator.down()).toEqual([{ version: latest.version, name: latest.name }]);
+        expect((await migrator.pending()).map(m => m.version)).toEqual([latest.version]);
+
+        // Step back to just before the audit log
+        await migrator.down({ steps: Number(latest.version) - 4 });
+        expect(await tableNames(helpers)).not.toContain('audit_log');
+        expect((await migrator.pending())[0].version).toBe('004');
+
+        await migrator.up();
+        expect(await tableNames(helpers)).toContain('audit_log');
+        expect(await migrator.pending()).toEqual([]);
+    });
+
+    test('brings a database created before migrations up to date without losing data', async () => {
+        const { helpers, migrator } = open('test-migrations-legacy.db');
+
+        // Schema as created by the original init script: no deleted_at, search index or audit log
+        await helpers.run(`
+            CREATE TABLE products (
+                id TEXT PRIMARY KEY,
+                category TEXT NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                quantity INTEGER NOT NULL,
+                unit_price REAL NOT NULL,
+                code TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await helpers.run('CREATE INDEX idx_category ON products(category)');
+        await helpers.run(`INSERT INTO products (id, category, name, description, quantity, unit_price, code)
+            VALUES ('001-01', 'Footwear', 'Trail Runner', 'Lightweight shoe', 12, 89.5, '001-01'),
+                   ('001-02', 'Footwear', 'Road Runner', 'Cushioned shoe', 4, 99, '001-02'),
+                   ('001-03', 'footwear', 'Sandal', 'Open shoe', 2, 25, '001-03')`);
+
+        await migrator.up();
+
+        const product = await helpers.get('SELECT * FROM products WHERE id = ?', ['001-01']);
+        expect(product).toMatchObject({ name: 'Trail Runner', quantity: 12, deleted_at: null });
+
+        const matches = await helpers.all("SELECT rowid FROM products_fts WHERE products_fts MATCH 'trail'");
+        expect(matches).toHaveLength(1);
+
+        // Case variants of a category fold into the most common spelling
+        expect(await helpers.all('SELECT slug, name FROM categories')).toEqual([{ slug: 'footwear', name: 'Footwear' }]);
+        expect(await helpers.all('SELECT DISTINCT category FROM products')).toEqual([{ category: 'Footwear' }]);
+    });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, apiKeys } = require('./helpers');
+
+const products = [10, 20, 20, 30, 20, 40, 50].map((price, index) => ({
+    id: `000-0${index + 1}`,
+    category: 'clothing',
+    name: `Product ${index + 1}`,
+    description: 'Paging test product',
+    quantity: 1,
+    unit_price: price,
+    code: `000-0${index + 1}`
+}));
+
+describe('GET /api/products cursor pagination', () => {
+    let app;
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-pagination.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    const walk = async (firstUrl) => {
+        const ids = [];
+        let url = firstUrl;
+        while (url) {
+            const response = await request(app).get(url);
+            expect(response.status).toBe(200);
+            ids.push(...response.body.products.map(p => p.id));
+            const { nextCursor } = response.body.pagination;
+            url = nextCursor ? `/api/products?limit=3&cursor=${nextCursor}` : null;
+        }
+        return ids;
+    };
+
+    test('should walk the catalog in sort order without a total', async () => {
+        const first = await request(app).get('/api/products?pagination=cursor&limit=3&sortBy=unit_price&order=DESC');
+        expect(first.body.pagination).toMatchObject({ mode: 'cursor', limit: 3, hasMore: true });
+        expect(first.body.pagination).not.toHaveProperty('total');
+
+        const ids = await walk('/api/products?pagination=cursor&limit=3&sortBy=unit_price&order=DESC');
+        expect(ids).toEqual(['000-07', '000-06', '000-04', '000-05', '000-03', '000-02', '000-01']);
+    });
+
+    test('should not skip or repeat rows inserted between pages', async () => {
+        const first = await request(app).get('/api/products?pagination=cursor&limit=3');
+        expect(first.body.products.map(p => p.id)).toEqual(['000-01', '000-02', '000-03']);
+
+        await request(app).post('/api/products').set('X-API-Key', apiKeys.editor).send({ ...products[0], id: '000-00', code: '000-00' });
+
+        const rest = await walk(`/api/products?limit=3&cursor=${first.body.pagination.nextCursor}`);
+        expect(rest).toEqual(['000-04', '000-05', '000-06', '000-07']);
+    });
+
+    test('should include the total on request', async () => {
+        const response = await request(app).get('/api/products?pagination=cursor&includeTotal=true');
+        expect(response.body.pagination.total).toBe(8);
+    });
+
+    test('should let page mode skip the count', async () => {
+        const response = await request(app).get('/api/products?page=2&limit=5&includeTotal=false');
+        expect(response.body.pagination).toEqual({ page: 2, limit: 5, hasMore: false });
+        expect(response.body.products).toHaveLength(3);
+    });
+
+    test('should reject malformed or mismatched cursors', async () => {
+        const invalid = await request(app).get('/api/products?cursor=not-a-cursor');
+        expect(invalid.status).toBe(400);
+
+        const first = await request(app).get('/api/products?pagination=cursor&limit=2&sortBy=name');
+        const mismatched = await request(app).get(`/api/products?cursor=${first.body.pagination.nextCursor}&sortBy=unit_price`);
+        expect(mismatched.status).toBe(400);
+    });
+
+    test('should refuse relevance sorting in cursor mode', async () => {
+        const response = await request(app).get('/api/products?pagination=cursor&search=paging&sortBy=relevance');
+        expect(response.status).toBe(400);
+    });
+});
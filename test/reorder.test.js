@@ -0,0 +1,88 @@
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { reorderLevels } = require('../lib/reorder');
+
+const products = [
+    { ...sampleProduct, id: '000-01', code: '000-01', quantity: 100 },
+    { ...sampleProduct, id: '000-02', code: '000-02', category: 'Bags', quantity: 10 },
+    { ...sampleProduct, id: '000-03', code: '000-03', category: 'Bags', quantity: 45 }
+];
+
+describe('Reorder levels', () => {
+    test('should prefer the product, then the category, then the fallback', () => {
+        expect(reorderLevels({ quantity: 5, reorder_point: 5, reorder_quantity: 10 }, { reorder_point: 1, reorder_quantity: 2 }, 50))
+            .toEqual({ effective_reorder_point: 5, effective_reorder_quantity: 10, low_stock: true });
+        expect(reorderLevels({ quantity: 5, reorder_point: null, reorder_quantity: null }, { reorder_point: 1, reorder_quantity: 2 }, 50))
+            .toEqual({ effective_reorder_point: 1, effective_reorder_quantity: 2, low_stock: false });
+        expect(reorderLevels({ quantity: 5, reorder_point: null, reorder_quantity: null }, undefined, 50))
+            .toEqual({ effective_reorder_point: 50, effective_reorder_quantity: null, low_stock: true });
+    });
+});
+
+describe('Reorder thresholds and low-stock alerts', () => {
+    let app;
+    let dbPath;
+
+    const lowStockIds = async (query = '') => (await request(app).get(`/api/alerts/low-stock${query}`)).body.products.map(p => p.id);
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-reorder.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should fall back to the global threshold', async () => {
+        const alerts = await request(app).get('/api/alerts/low-stock');
+        expect(alerts.status).toBe(200);
+        expect(alerts.body.defaultReorderPoint).toBe(50);
+        expect(alerts.body.products.map(p => [p.id, p.shortfall])).toEqual([['000-02', 40], ['000-03', 5]]);
+
+        const product = await request(app).get('/api/products/000-01');
+        expect(product.body).toMatchObject({ reorder_point: null, effective_reorder_point: 50, low_stock: false });
+    });
+
+    test('should apply category defaults case-insensitively', async () => {
+        const saved = await request(app)
+            .put('/api/reorder-defaults/bags')
+            .set('X-API-Key', apiKeys.editor)
+            .send({ reorder_point: 20, reorder_quantity: 60 });
+        expect(saved.status).toBe(200);
+
+        expect(await lowStockIds()).toEqual(['000-02']);
+        const list = await request(app).get('/api/products?sortBy=id');
+        expect(list.body.products.map(p => p.low_stock)).toEqual([false, true, false]);
+        expect(list.body.products[1].effective_reorder_quantity).toBe(60);
+
+        const defaults = await request(app).get('/api/reorder-defaults');
+        expect(defaults.body.categories).toEqual([expect.objectContaining({ category: 'bags', reorder_point: 20 })]);
+    });
+
+    test('should let a product override and then clear its reorder point', async () => {
+        const patched = await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ reorder_point: 100, reorder_quantity: 25 });
+        expect(patched.status).toBe(200);
+        expect(await lowStockIds()).toEqual(['000-02', '000-01']);
+        expect(await lowStockIds('?category=clothing')).toEqual(['000-01']);
+
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ reorder_point: null });
+        const product = await request(app).get('/api/products/000-01');
+        expect(product.body).toMatchObject({ reorder_point: null, reorder_quantity: 25, effective_reorder_point: 50, low_stock: false });
+
+        const history = await request(app).get('/api/products/000-01/history');
+        expect(history.body.entries[0].changes).toEqual({ reorder_point: { from: 100, to: null } });
+    });
+
+    test('should validate reorder settings and require the editor role', async () => {
+        expect((await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ reorder_point: -1 })).status).toBe(400);
+        expect((await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ name: null })).status).toBe(400);
+        expect((await request(app).put('/api/reorder-defaults/bags').set('X-API-Key', apiKeys.editor).send({})).status).toBe(400);
+        expect((await request(app).put('/api/reorder-defaults/bags').set('X-API-Key', apiKeys.viewer).send({ reorder_point: 1 })).status).toBe(403);
+
+        expect((await request(app).delete('/api/reorder-defaults/Bags').set('X-API-Key', apiKeys.editor)).status).toBe(200);
+        expect((await request(app).delete('/api/reorder-defaults/Bags').set('X-API-Key', apiKeys.editor)).status).toBe(404);
+        expect(await lowStockIds()).toEqual(['000-02', '000-03']);
+    });
+});
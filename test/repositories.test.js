@@ -0,0 +1,183 @@
+const sqlite3 = require('sqlite3').verbose();
+const { createTestDb, newPgMemDb, removeTestDb, sampleProduct } = require('./helpers');
+const { createDbHelpers, createPgHelpers, connectPostgres, numberPlaceholders } = require('../lib/db');
+const { createMigrator } = require('../lib/migrator');
+const { createRepositories } = require('../lib/repositories');
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Each backend resolves with migrated helpers and a close function
+const backends = {
+    async sqlite() {
+        const dbPath = await createTestDb('test-repositories.db', []);
+        const db = new sqlite3.Database(dbPath);
+        return {
+            helpers: createDbHelpers(db),
+            close: () => new Promise(resolve => db.close(() => resolve(removeTestDb(dbPath))))
+        };
+    },
+
+    // In-process pg-mem, or a real server when TEST_DATABASE_URL points to an empty database
+    async postgres() {
+        let connection;
+        if (process.env.TEST_DATABASE_URL) {
+            connection = connectPostgres(process.env.TEST_DATABASE_URL);
+            await connection.connected;
+        } else {
+            const { Client } = newPgMemDb().adapters.createPg();
+            const client = new Client();
+            await client.connect();
+            connection = { helpers: createPgHelpers(client), close: () => client.end() };
+        }
+        const migrator = createMigrator(connection.helpers);
+        await migrator.up();
+        return {
+            helpers: connection.helpers,
+            close: async () => {
+                await migrator.down({ steps: (await migrator.status()).length });
+                await connection.close();
+            }
+        };
+    }
+};
+
+describe('PostgreSQL helpers', () => {
+    test('should number placeholders outside quotes', () => {
+        expect(numberPlaceholders(`SELECT '?', "a?" FROM t WHERE a = ? AND b IN (?, ?) AND c = 'it''s ?'`))
+            .toBe(`SELECT '?', "a?" FROM t WHERE a = $1 AND b IN ($2, $3) AND c = 'it''s ?'`);
+    });
+});
+
+describe.each(Object.keys(backends))('Repositories on %s', (backend) => {
+    let connection;
+    let products;
+    let statistics;
+
+    const product = (id, fields = {}) => ({ ...sampleProduct, id, code: id, currency: 'EUR', ...fields });
+
+    beforeAll(async () => {
+        connection = await backends[backend]();
+        ({ products, statistics } = createRepositories(connection.helpers));
+    });
+
+    beforeEach(async () => {
+        const { run } = connection.helpers;
+        await run('DELETE FROM products');
+        await run('DELETE FROM categories WHERE parent_id IS NOT NULL');
+        await run('DELETE FROM categories');
+        await run('DELETE FROM statistics_snapshots');
+        await run("DELETE FROM exchange_rates WHERE currency <> 'EUR'");
+    });
+
+    afterAll(async () => {
+        await connection.close();
+    });
+
+    test('should insert, find and update products', async () => {
+        await products.insert(product('000-01', { gtin: null }));
+
+        const stored = await products.findById('000-01');
+        expect(stored).toMatchObject({ id: '000-01', name: 'Test Product', quantity: 100, unit_price: 50, currency: 'EUR', deleted_at: null });
+        expect(stored.created_at).toMatch(TIMESTAMP);
+        expect(await products.findById('000-01', { deleted: false })).toEqual(stored);
+        expect(await products.findById('000-01', { deleted: true })).toBeUndefined();
+        expect(await products.findById('999-99')).toBeUndefined();
+
+        expect(await products.update('000-01', { name: 'Renamed', quantity: 7, reorder_point: 3 })).toBe(1);
+        expect(await products.findById('000-01')).toMatchObject({ name: 'Renamed', quantity: 7, reorder_point: 3, code: '000-01' });
+        expect(await products.update('999-99', { name: 'Nobody' })).toBe(0);
+    });
+
+    test('should move products to the trash and back', async () => {
+        await products.insert(product('000-01'));
+        await products.insert(product('000-02'));
+
+        expect(await products.moveToTrash('000-01')).toBe(1);
+        expect(await products.moveToTrash('000-01')).toBe(0);
+        const trashed = await products.findById('000-01', { deleted: true });
+        expect(trashed.deleted_at).toMatch(TIMESTAMP);
+
+        const { total, products: page } = await products.listTrash({ limit: 10, offset: 0 });
+        expect(total).toBe(1);
+        expect(page.map(row => row.id)).toEqual(['000-01']);
+        expect((await products.listTrashedBefore(new Date(Date.now() + 60 * 1000))).map(row => row.id)).toEqual(['000-01']);
+        expect(await products.listTrashedBefore(new Date(Date.now() - 60 * 60 * 1000))).toEqual([]);
+
+        expect(await products.restore('000-01')).toBe(1);
+        expect(await products.findById('000-01', { deleted: false })).toBeDefined();
+
+        expect(await products.remove('000-02')).toBe(1);
+        expect(await products.findById('000-02')).toBeUndefined();
+    });
+
+    test('should find products by category, optionally with subcategories', async () => {
+        const { run, get } = connection.helpers;
+        await run('INSERT INTO categories (slug, name) VALUES (?, ?)', ['clothing', 'Clothing']);
+        const { id: parentId } = await get('SELECT id FROM categories WHERE slug = ?', ['clothing']);
+        await run('INSERT INTO categories (slug, name, parent_id) VALUES (?, ?, ?)', ['shirts', 'Shirts', parentId]);
+        await run('INSERT INTO categories (slug, name) VALUES (?, ?)', ['shoes', 'Shoes']);
+
+        await products.insert(product('000-01', { category: 'Clothing', name: 'Coat' }));
+        await products.insert(product('000-02', { category: 'Shirts', name: 'Blouse' }));
+        await products.insert(product('000-03', { category: 'Shoes', name: 'Boot' }));
+        await products.insert(product('000-04', { category: 'Shirts', name: 'Polo' }));
+        await products.moveToTrash('000-04');
+
+        expect((await products.findByCategory('clothing')).map(row => row.id)).toEqual(['000-01']);
+        expect((await products.findByCategory('CLOTHING', { includeSubcategories: true })).map(row => row.id)).toEqual(['000-02', '000-01']);
+        expect(await products.findByCategory('hats')).toEqual([]);
+    });
+
+    test('should compute statistics in the base currency over live products', async () => {
+        await connection.helpers.run('INSERT INTO exchange_rates (currency, rate) VALUES (?, ?)', ['USD', 2]);
+        await products.insert(product('000-01', { category: 'clothing', quantity: 2, unit_price: 10 }));
+        await products.insert(product('000-02', { category: 'clothing', quantity: 1, unit_price: 40, currency: 'USD' }));
+        await products.insert(product('000-03', { category: 'shoes', quantity: 3, unit_price: 30 }));
+        await products.insert(product('000-04', { category: 'shoes', quantity: 1000, unit_price: 1000 }));
+        await products.moveToTrash('000-04');
+
+        const stats = await statistics.read();
+        expect(stats).toEqual({
+            totalProducts: 3,
+            totalQuantity: 6,
+            totalValue: 130,
+            averagePrice: 20,
+            minPrice: 10,
+            maxPrice: 30,
+            categoryCount: 2,
+            categories: [
+                { category: 'clothing', count: 2, totalQuantity: 3, totalValue: 40 },
+                { category: 'shoes', count: 1, totalQuantity: 3, totalValue: 90 }
+            ]
+        });
+
+        await products.moveToTrash('000-01');
+        await products.moveToTrash('000-02');
+        await products.moveToTrash('000-03');
+        expect(await statistics.read()).toEqual({
+            totalProducts: 0, totalQuantity: 0, totalValue: 0, averagePrice: null, minPrice: null, maxPrice: null, categoryCount: 0, categories: []
+        });
+    });
+
+    test('should keep the last snapshot of each day', async () => {
+        await products.insert(product('000-01', { quantity: 2, unit_price: 10 }));
+        await statistics.saveSnapshot('2024-05-01', await statistics.read());
+        await products.update('000-01', { quantity: 5 });
+        await statistics.saveSnapshot('2024-05-01', await statistics.read());
+        await statistics.saveSnapshot('2024-05-03', await statistics.read());
+
+        const snapshots = await statistics.listSnapshots('2024-05-01', '2024-05-02');
+        expect(snapshots).toEqual([{
+            date: '2024-05-01',
+            totalProducts: 1,
+            totalQuantity: 5,
+            totalValue: 50,
+            averagePrice: 10,
+            minPrice: 10,
+            maxPrice: 10,
+            categoryCount: 1,
+            categories: [{ category: 'clothing', count: 1, totalQuantity: 5, totalValue: 50 }]
+        }]);
+        expect((await statistics.listSnapshots('2024-01-01', '2024-12-31')).map(snapshot => snapshot.date)).toEqual(['2024-05-01', '2024-05-03']);
+    });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const { testBackends, removeTestDb, loadServer, apiKeys } = require('./helpers');
+const { toFtsQuery } = require('../lib/search');
+
+const products = [
+    { id: '000-01', category: 'footwear', name: 'Leather boots', description: 'Sturdy boots for winter walks', quantity: 10, unit_price: 120, code: 'BT-100' },
+    { id: '000-02', category: 'footwear', name: 'Running shoes', description: 'Light shoes with leather trim', quantity: 20, unit_price: 80, code: 'SH-200' },
+    { id: '000-03', category: 'clothing', name: 'Winter jacket', description: 'Warm jacket, pairs well with boots', quantity: 5, unit_price: 150, code: 'JK-300' }
+];
+
+describe('Search query translation', () => {
+    test('should quote terms and keep phrases, prefixes and operators', () => {
+        expect(toFtsQuery('leather boots')).toBe('"leather" "boots"');
+        expect(toFtsQuery('"winter walks" OR sho*')).toBe('"winter walks" OR "sho"*');
+        expect(toFtsQuery('boots NOT (leather OR suede)')).toBe('"boots" NOT ( "leather" OR "suede" )');
+    });
+
+    test('should drop dangling operators and unbalanced parentheses', () => {
+        expect(toFtsQuery('OR boots AND')).toBe('"boots"');
+        expect(toFtsQuery('boots) (shoes')).toBe('"boots" ( "shoes" )');
+        expect(toFtsQuery('()')).toBe('');
+    });
+});
+
+describe.each(Object.keys(testBackends))('GET /api/products full-text search on %s', (backend) => {
+    let app;
+    let location;
+
+    beforeAll(async () => {
+        let env;
+        ({ location, env } = await testBackends[backend]('test-search', products));
+        app = loadServer(env);
+    });
+
+    afterAll(() => {
+        removeTestDb(location);
+    });
+
+    test('should rank name matches above description matches', async () => {
+        const response = await request(app).get('/api/products?search=boots');
+        expect(response.status).toBe(200);
+        expect(response.body.products.map(p => p.id)).toEqual(['000-01', '000-03']);
+        expect(response.body.pagination.total).toBe(2);
+    });
+
+    test('should require every word and return highlighted snippets', async () => {
+        const response = await request(app).get('/api/products?search=leather%20shoes');
+        expect(response.body.products.map(p => p.id)).toEqual(['000-02']);
+        expect(response.body.products[0].snippet).toContain('<mark>leather</mark>');
+    });
+
+    test('should support phrase, prefix and boolean queries', async () => {
+        const phrase = await request(app).get('/api/products?search=' + encodeURIComponent('"winter walks"'));
+        expect(phrase.body.products.map(p => p.id)).toEqual(['000-01']);
+
+        const prefix = await request(app).get('/api/products?search=jack*');
+        expect(prefix.body.products.map(p => p.id)).toEqual(['000-03']);
+
+        const boolean = await request(app).get('/api/products?search=' + encodeURIComponent('boots NOT leather'));
+        expect(boolean.body.products.map(p => p.id)).toEqual(['000-03']);
+    });
+
+    test('should match codes containing punctuation', async () => {
+        const response = await request(app).get('/api/products?search=SH-200');
+        expect(response.status).toBe(200);
+        expect(response.body.products.map(p => p.id)).toEqual(['000-02']);
+    });
+
+    test('should honour an explicit sort order', async () => {
+        const response = await request(app).get('/api/products?search=boots&sortBy=unit_price&order=DESC');
+        expect(response.body.products.map(p => p.id)).toEqual(['000-03', '000-01']);
+    });
+
+    test('should keep the index in sync with updates and deletes', async () => {
+        await request(app)
+            .put('/api/products/000-02')
+            .set('X-API-Key', apiKeys.editor)
+            .send({ ...products[1], name: 'Trail sneakers' });
+        const renamed = await request(app).get('/api/products?search=sneakers');
+        expect(renamed.body.products.map(p => p.id)).toEqual(['000-02']);
+
+        await request(app).delete('/api/products/000-02').set('X-API-Key', apiKeys.editor);
+        const deleted = await request(app).get('/api/products?search=sneakers');
+        expect(deleted.body.products).toEqual([]);
+    });
+});
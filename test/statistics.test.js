@@ -0,0 +1,111 @@
+const request = require('supertest');
+const sqlite3 = require('sqlite3').verbose();
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+
+const products = [
+    { ...sampleProduct, id: '000-01', code: '000-01', quantity: 10, unit_price: 5 },
+    { ...sampleProduct, id: '000-02', code: '000-02', quantity: 4, unit_price: 2.5 },
+    { ...sampleProduct, id: '000-03', code: '000-03', category: 'shoes', quantity: 2, unit_price: 40 }
+];
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('Statistics and snapshots', () => {
+    let app;
+    let dbPath;
+
+    const asEditor = (req) => req.set('X-API-Key', apiKeys.editor);
+
+    // Poll the history until today's snapshot satisfies the check
+    const waitForToday = async (check) => {
+        for (let i = 0; i < 100; i++) {
+            const history = await request(app).get('/api/statistics/history');
+            const today = history.body.snapshots.find(snapshot => snapshot.date === daysAgo(0));
+            if (today && check(today)) {
+                return today;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error('Timed out waiting for the statistics snapshot');
+    };
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-statistics.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+
+        // Older snapshots, as the daily job would have left them
+        const conn = new sqlite3.Database(dbPath);
+        const insert = (date, totalProducts, totalValue) => new Promise((resolve, reject) => conn.run(
+            `INSERT INTO statistics_snapshots (date, total_products, total_quantity, total_value, average_price, min_price, max_price, category_count, categories)
+             VALUES (?, ?, 10, ?, 10, 5, 15, 1, ?)`,
+            [date, totalProducts, totalValue, JSON.stringify([{ category: 'clothing', count: totalProducts, totalQuantity: 10, totalValue }])],
+            err => (err ? reject(err) : resolve())
+        ));
+        await insert(daysAgo(40), 1, 50);
+        await insert(daysAgo(7), 2, 100);
+        await insert(daysAgo(1), 2, 120);
+        await new Promise(resolve => conn.close(resolve));
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should report inventory value overall and per category', async () => {
+        const response = await request(app).get('/api/statistics');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ totalProducts: 3, totalQuantity: 16, currency: 'EUR', totalValue: '140.00' });
+        expect(response.body.categoryBreakdown).toEqual([
+            { category: 'clothing', count: 2, totalQuantity: 14, totalValue: '60.00' },
+            { category: 'shoes', count: 1, totalQuantity: 2, totalValue: '80.00' }
+        ]);
+    });
+
+    test('should value products priced in other currencies in the requested currency', async () => {
+        await asEditor(request(app).put('/api/exchange-rates')).send({ rates: { USD: 2 } });
+        await asEditor(request(app).patch('/api/products/000-03')).send({ unit_price: 40, currency: 'USD' });
+
+        const base = await request(app).get('/api/statistics');
+        expect(base.body.totalValue).toBe('100.00');
+
+        const usd = await request(app).get('/api/statistics?currency=USD');
+        expect(usd.body).toMatchObject({ currency: 'USD', totalValue: '200.00' });
+        expect(usd.body.categoryBreakdown.find(c => c.category === 'shoes').totalValue).toBe('80.00');
+    });
+
+    test('should keep today\'s snapshot up to date after changes', async () => {
+        await asEditor(request(app).post('/api/products/000-01/stock')).send({ type: 'receipt', quantity: 10 });
+
+        const today = await waitForToday(snapshot => snapshot.totalQuantity === 26);
+        expect(today).toMatchObject({ totalProducts: 3, totalValue: '150.00', categoryCount: 2 });
+        expect(today.categoryBreakdown.map(c => c.category)).toEqual(['clothing', 'shoes']);
+    });
+
+    test('should return the snapshots between from and to, oldest first', async () => {
+        const recent = await request(app).get('/api/statistics/history');
+        expect(recent.body.from).toBe(daysAgo(30));
+        expect(recent.body.snapshots.map(s => s.date)).toEqual([daysAgo(7), daysAgo(1), daysAgo(0)]);
+
+        const range = await request(app).get(`/api/statistics/history?from=${daysAgo(60)}&to=${daysAgo(2)}`);
+        expect(range.body.snapshots.map(s => [s.date, s.totalProducts, s.totalValue])).toEqual([
+            [daysAgo(40), 1, '50.00'],
+            [daysAgo(7), 2, '100.00']
+        ]);
+    });
+
+    test('should convert historical figures with ?currency=', async () => {
+        const response = await request(app).get(`/api/statistics/history?from=${daysAgo(1)}&to=${daysAgo(1)}&currency=usd`);
+
+        expect(response.body.currency).toBe('USD');
+        expect(response.body.snapshots[0]).toMatchObject({ totalValue: '240.00', averagePrice: '20.00', minPrice: '10.00', maxPrice: '30.00' });
+        expect(response.body.snapshots[0].categoryBreakdown[0].totalValue).toBe('240.00');
+    });
+
+    test('should reject invalid ranges', async () => {
+        expect((await request(app).get('/api/statistics/history?from=yesterday')).status).toBe(400);
+        expect((await request(app).get(`/api/statistics/history?from=${daysAgo(1)}&to=${daysAgo(2)}`)).status).toBe(400);
+        expect((await request(app).get('/api/statistics/history?currency=CHF')).status).toBe(400);
+    });
+});
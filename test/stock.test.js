@@ -0,0 +1,136 @@
+const request = require('supertest');
+const sqlite3 = require('sqlite3').verbose();
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { stockDelta } = require('../lib/stock');
+
+describe('Stock deltas', () => {
+    test('should sign quantities by movement type', () => {
+        expect(stockDelta('receipt', 5)).toBe(5);
+        expect(stockDelta('return', 2)).toBe(2);
+        expect(stockDelta('sale', 3)).toBe(-3);
+        expect(stockDelta('adjustment', -4)).toBe(-4);
+    });
+});
+
+describe('Stock movement ledger', () => {
+    let app;
+    let dbPath;
+
+    const move = (id, movement) => request(app)
+        .post(`/api/products/${id}/stock`)
+        .set('X-API-Key', apiKeys.editor)
+        .send(movement);
+
+    // Sum of the ledger straight from the database, to compare with the stored quantity
+    const ledgerSum = (id) => new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath);
+        db.get('SELECT COALESCE(SUM(quantity), 0) AS total FROM stock_movements WHERE product_id = ?', [id], (err, row) => {
+            db.close();
+            return err ? reject(err) : resolve(row.total);
+        });
+    });
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-stock.db');
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should apply receipts, sales and returns to the on-hand quantity', async () => {
+        const receipt = await move('000-01', { type: 'receipt', quantity: 20, reference: 'PO-1001' });
+        expect(receipt.status).toBe(201);
+        expect(receipt.body.onHand).toBe(120);
+        expect(receipt.body.movement).toMatchObject({ type: 'receipt', quantity: 20, reference: 'PO-1001', actor: 'key:test-editor' });
+
+        expect((await move('000-01', { type: 'sale', quantity: 30, reference: 'SO-7' })).body.onHand).toBe(90);
+        expect((await move('000-01', { type: 'return', quantity: 1, reason: 'Wrong size' })).body.onHand).toBe(91);
+
+        const product = await request(app).get('/api/products/000-01');
+        expect(product.body.quantity).toBe(91);
+        expect(await ledgerSum('000-01')).toBe(91);
+    });
+
+    test('should reject movements that would take stock negative', async () => {
+        const response = await move('000-01', { type: 'sale', quantity: 1000 });
+        expect(response.status).toBe(409);
+        expect(response.body.onHand).toBe(91);
+
+        const adjustment = await move('000-01', { type: 'adjustment', quantity: -92, reason: 'Recount' });
+        expect(adjustment.status).toBe(409);
+        expect((await request(app).get('/api/products/000-01')).body.quantity).toBe(91);
+    });
+
+    test('should validate movements', async () => {
+        expect((await move('000-01', { type: 'theft', quantity: 1 })).status).toBe(400);
+        expect((await move('000-01', { type: 'sale', quantity: -1 })).status).toBe(400);
+        expect((await move('000-01', { type: 'receipt', quantity: 1.5 })).status).toBe(400);
+        expect((await move('000-01', { type: 'adjustment', quantity: 0, reason: 'Recount' })).status).toBe(400);
+        expect((await move('000-01', { type: 'adjustment', quantity: -1 })).status).toBe(400);
+        expect((await move('999-99', { type: 'receipt', quantity: 1 })).status).toBe(404);
+
+        const anonymous = await request(app).post('/api/products/000-01/stock').send({ type: 'receipt', quantity: 1 });
+        expect(anonymous.status).toBe(401);
+    });
+
+    test('should record quantity edits as adjustments and list the history newest first', async () => {
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ quantity: 95 });
+        await request(app).post('/api/products').set('X-API-Key', apiKeys.editor).send({ ...sampleProduct, id: '000-02', code: '000-02', quantity: 7 });
+
+        const history = await request(app).get('/api/products/000-01/stock');
+        expect(history.status).toBe(200);
+        expect(history.body.onHand).toBe(95);
+        expect(history.body.movements.map(m => [m.type, m.quantity])).toEqual([
+            ['adjustment', 4],
+            ['return', 1],
+            ['sale', -30],
+            ['receipt', 20],
+            ['adjustment', 100]
+        ]);
+        expect(history.body.movements[0].reason).toBe('Quantity edited');
+        expect(history.body.movements[4].reason).toBe('Opening balance');
+        expect(await ledgerSum('000-01')).toBe(95);
+
+        const created = await request(app).get('/api/products/000-02/stock?limit=1');
+        expect(created.body.movements).toEqual([expect.objectContaining({ quantity: 7, reason: 'Initial stock' })]);
+        expect(created.body.pagination.total).toBe(1);
+
+        expect((await request(app).get('/api/products/999-99/stock')).status).toBe(404);
+    });
+
+    test('should show who recorded movements to signed-in callers only', async () => {
+        const anonymous = await request(app).get('/api/products/000-01/stock');
+        expect(anonymous.body.movements.length).toBeGreaterThan(0);
+        anonymous.body.movements.forEach(movement => expect(movement).not.toHaveProperty('actor'));
+
+        const viewer = await request(app).get('/api/products/000-01/stock').set('X-API-Key', apiKeys.viewer);
+        expect(viewer.body.movements[0].actor).toBe('key:test-editor');
+    });
+
+    test('should take on-hand stock from the ledger rather than the stored quantity', async () => {
+        const db = new sqlite3.Database(dbPath);
+        await new Promise((resolve, reject) => db.run(
+            "INSERT INTO stock_movements (product_id, type, quantity, reason) VALUES ('000-02', 'receipt', 3, 'Entered elsewhere')",
+            err => (err ? reject(err) : resolve())
+        ));
+        await new Promise(resolve => db.close(resolve));
+
+        expect((await request(app).get('/api/products/000-02/stock')).body.onHand).toBe(10);
+        expect((await move('000-02', { type: 'sale', quantity: 10 })).body.onHand).toBe(0);
+        expect((await request(app).get('/api/products/000-02')).body.quantity).toBe(0);
+    });
+
+    test('should drop the ledger of purged products so a reused ID starts from zero', async () => {
+        await request(app).delete('/api/products/000-02').set('X-API-Key', apiKeys.editor);
+        await request(app).delete('/api/products/trash/000-02').set('X-API-Key', apiKeys.admin);
+        expect(await ledgerSum('000-02')).toBe(0);
+
+        await request(app).post('/api/products').set('X-API-Key', apiKeys.editor).send({ ...sampleProduct, id: '000-02', code: '000-02', quantity: 4 });
+        const stock = await request(app).get('/api/products/000-02/stock');
+        expect(stock.body.onHand).toBe(4);
+        expect(stock.body.movements).toEqual([expect.objectContaining({ quantity: 4, reason: 'Initial stock' })]);
+    });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const sqlite3 = require('sqlite3').verbose();
+const { createTestDb, removeTestDb, loadServer, sampleProduct, apiKeys } = require('./helpers');
+
+const products = ['000-01', '000-02', '000-03'].map(id => ({ ...sampleProduct, id, code: id, name: `Product ${id}` }));
+
+describe('Soft delete and trash', () => {
+    let app;
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-trash.db', products);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should hide deleted products from reads and list them in the trash', async () => {
+        const deleted = await request(app).delete('/api/products/000-01').set('X-API-Key', apiKeys.editor);
+        expect(deleted.status).toBe(200);
+
+        expect((await request(app).get('/api/products/000-01')).status).toBe(404);
+
+        const list = await request(app).get('/api/products?search=Product');
+        expect(list.body.products.map(p => p.id)).toEqual(['000-02', '000-03']);
+
+        const stats = await request(app).get('/api/statistics');
+        expect(stats.body.totalProducts).toBe(2);
+
+        const csv = await request(app).get('/api/products/export/csv').set('X-API-Key', apiKeys.viewer);
+        expect(csv.text).not.toContain('000-01');
+
+        const trash = await request(app).get('/api/products/trash').set('X-API-Key', apiKeys.editor);
+        expect(trash.status).toBe(200);
+        expect(trash.body.products.map(p => p.id)).toEqual(['000-01']);
+        expect(trash.body.products[0].deleted_at).toBeTruthy();
+        expect(trash.body.retentionDays).toBe(30);
+    });
+
+    test('should not update or re-delete a trashed product', async () => {
+        expect((await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ name: 'x' })).status).toBe(404);
+        expect((await request(app).delete('/api/products/000-01').set('X-API-Key', apiKeys.editor)).status).toBe(404);
+    });
+
+    test('should restore a trashed product', async () => {
+        const restored = await request(app).post('/api/products/000-01/restore').set('X-API-Key', apiKeys.editor);
+        expect(restored.status).toBe(200);
+        expect((await request(app).get('/api/products/000-01')).status).toBe(200);
+
+        const again = await request(app).post('/api/products/000-01/restore').set('X-API-Key', apiKeys.editor);
+        expect(again.status).toBe(404);
+    });
+
+    test('should purge only products past the retention period', async () => {
+        await request(app).delete('/api/products/000-02').set('X-API-Key', apiKeys.editor);
+        await request(app).delete('/api/products/000-03').set('X-API-Key', apiKeys.editor);
+
+        const conn = new sqlite3.Database(dbPath);
+        await new Promise(resolve => conn.run("UPDATE products SET deleted_at = datetime('now', '-45 days') WHERE id = '000-02'", resolve));
+        conn.close();
+
+        const purged = await request(app).delete('/api/products/trash').set('X-API-Key', apiKeys.admin);
+        expect(purged.body).toMatchObject({ purged: 1, olderThanDays: 30 });
+
+        const trash = await request(app).get('/api/products/trash').set('X-API-Key', apiKeys.editor);
+        expect(trash.body.products.map(p => p.id)).toEqual(['000-03']);
+    });
+
+    test('should purge a single product from the trash', async () => {
+        const purged = await request(app).delete('/api/products/trash/000-03').set('X-API-Key', apiKeys.admin);
+        expect(purged.status).toBe(200);
+
+        const trash = await request(app).get('/api/products/trash').set('X-API-Key', apiKeys.editor);
+        expect(trash.body.products).toEqual([]);
+        expect((await request(app).delete('/api/products/trash/000-01').set('X-API-Key', apiKeys.admin)).status).toBe(404);
+    });
+});
+
+describe('Trash retention setting', () => {
+    const loadWith = (value) => () => loadServer({ TRASH_RETENTION_DAYS: value });
+
+    test('should refuse to start with a retention that is not a whole number of days', () => {
+        expect(loadWith('thirty')).toThrow('TRASH_RETENTION_DAYS must be an integer of at least 0, got "thirty"');
+        expect(loadWith('-5')).toThrow('TRASH_RETENTION_DAYS must be an integer');
+        expect(loadWith('7.5')).toThrow('TRASH_RETENTION_DAYS must be an integer');
+    });
+});
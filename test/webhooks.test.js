@@ -0,0 +1,195 @@
+const http = require('http');
+const request = require('supertest');
+const { createTestDb, removeTestDb, sampleProduct, apiKeys } = require('./helpers');
+const { retryDelaySeconds, signPayload } = require('../lib/webhooks');
+
+describe('Webhook helpers', () => {
+    test('should back off exponentially up to six hours', () => {
+        expect([1, 2, 3, 4].map(retryDelaySeconds)).toEqual([30, 60, 120, 240]);
+        expect(retryDelaySeconds(20)).toBe(6 * 60 * 60);
+    });
+
+    test('should sign the timestamp together with the body', () => {
+        const signature = signPayload('secret', 1700000000, '{"a":1}');
+        expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+        expect(signPayload('secret', 1700000001, '{"a":1}')).not.toBe(signature);
+        expect(signPayload('other', 1700000000, '{"a":1}')).not.toBe(signature);
+    });
+});
+
+describe('Webhooks', () => {
+    let app;
+    let dbPath;
+    let receiver;
+    let receiverUrl;
+    let received = [];
+    let respondWith = 204;
+
+    const asAdmin = (req) => req.set('X-API-Key', apiKeys.admin);
+
+    // Wait until the receiver has seen the given events, in any order
+    const waitForEvents = async (events) => {
+        for (let i = 0; i < 100; i++) {
+            const seen = received.map(r => r.headers['x-webhook-event']);
+            if (events.every(event => seen.includes(event))) {
+                return received.filter(r => events.includes(r.headers['x-webhook-event']));
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Timed out waiting for ${events.join(', ')}`);
+    };
+
+    beforeAll(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body });
+                res.writeHead(respondWith);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+        dbPath = await createTestDb('test-webhooks.db');
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => receiver.close(resolve));
+        removeTestDb(dbPath);
+    });
+
+    beforeEach(() => {
+        received = [];
+        respondWith = 204;
+    });
+
+    let webhook;
+
+    test('should create subscriptions and only show the secret once', async () => {
+        const created = await asAdmin(request(app).post('/api/webhooks'))
+            .send({ url: `${receiverUrl}/products`, events: ['product.created', 'product.updated', 'product.deleted', 'stock.low'] });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ url: `${receiverUrl}/products`, active: true, createdBy: 'key:test-admin' });
+        expect(created.body.secret).toMatch(/^whsec_/);
+        webhook = created.body;
+
+        const fetched = await asAdmin(request(app).get(`/api/webhooks/${webhook.id}`));
+        expect(fetched.status).toBe(200);
+        expect(fetched.body).not.toHaveProperty('secret');
+
+        const list = await asAdmin(request(app).get('/api/webhooks'));
+        expect(list.body.webhooks.map(w => w.id)).toEqual([webhook.id]);
+    });
+
+    test('should deliver signed product.created and stock.low events', async () => {
+        await request(app).post('/api/products').set('X-API-Key', apiKeys.editor)
+            .send({ ...sampleProduct, id: '000-02', code: '000-02', quantity: 3 });
+
+        const deliveries = await waitForEvents(['product.created', 'stock.low']);
+        for (const delivery of deliveries) {
+            const { headers, body } = delivery;
+            expect(delivery.path).toBe('/products');
+            expect(headers['content-type']).toBe('application/json');
+            expect(headers['x-webhook-signature']).toBe(signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+        }
+
+        const [created, low] = ['product.created', 'stock.low'].map(event => JSON.parse(deliveries.find(d => d.headers['x-webhook-event'] === event).body));
+        expect(created.data.product).toMatchObject({ id: '000-02', quantity: 3 });
+        expect(low.data).toMatchObject({ product: { id: '000-02' }, reorderPoint: 50 });
+    });
+
+    test('should include the changes in product.updated and send product.deleted', async () => {
+        await request(app).patch('/api/products/000-01').set('X-API-Key', apiKeys.editor).send({ name: 'Renamed' });
+        const [updated] = await waitForEvents(['product.updated']);
+        expect(JSON.parse(updated.body).data.changes).toEqual({ name: { from: 'Test Product', to: 'Renamed' } });
+
+        await request(app).delete('/api/products/000-01').set('X-API-Key', apiKeys.editor);
+        const [deleted] = await waitForEvents(['product.deleted']);
+        expect(JSON.parse(deleted.body).data.product.id).toBe('000-01');
+        expect(received.map(r => r.headers['x-webhook-event'])).not.toContain('stock.low');
+    });
+
+    test('should keep failed deliveries pending for a retry', async () => {
+        respondWith = 500;
+        const sent = await asAdmin(request(app).post(`/api/webhooks/${webhook.id}/test`));
+        expect(sent.status).toBe(200);
+        expect(sent.body).toMatchObject({
+            event: 'webhook.test',
+            status: 'pending',
+            attempts: 1,
+            responseStatus: 500,
+            error: 'Subscriber responded with HTTP 500'
+        });
+        expect(sent.body.nextAttemptAt).toBeTruthy();
+
+        respondWith = 200;
+        const retried = await asAdmin(request(app).post(`/api/webhooks/${webhook.id}/test`));
+        expect(retried.body).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200, nextAttemptAt: null });
+    });
+
+    test('should list deliveries newest first and filter by status', async () => {
+        const log = await asAdmin(request(app).get(`/api/webhooks/${webhook.id}/deliveries`));
+        expect(log.status).toBe(200);
+        expect(log.body.deliveries[0].event).toBe('webhook.test');
+        expect(log.body.pagination.total).toBe(log.body.deliveries.length);
+
+        const pending = await asAdmin(request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=pending`));
+        expect(pending.body.deliveries.map(d => d.status)).toEqual(['pending']);
+    });
+
+    test('should stop sending to paused or deleted webhooks', async () => {
+        const paused = await asAdmin(request(app).patch(`/api/webhooks/${webhook.id}`)).send({ active: false });
+        expect(paused.body.active).toBe(false);
+
+        await request(app).post('/api/products/000-01/restore').set('X-API-Key', apiKeys.editor);
+        await request(app).patch('/api/products/000-02').set('X-API-Key', apiKeys.editor).send({ quantity: 4 });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(received).toEqual([]);
+
+        expect((await asAdmin(request(app).delete(`/api/webhooks/${webhook.id}`))).status).toBe(200);
+        expect((await asAdmin(request(app).get(`/api/webhooks/${webhook.id}/deliveries`))).status).toBe(404);
+    });
+
+    test('should validate subscriptions and require the admin role', async () => {
+        const create = (body) => asAdmin(request(app).post('/api/webhooks')).send(body);
+        expect((await create({ url: 'ftp://example.com', events: ['product.created'] })).status).toBe(400);
+        expect((await create({ url: receiverUrl, events: [] })).status).toBe(400);
+        expect((await create({ url: receiverUrl, events: ['product.exploded'] })).status).toBe(400);
+        expect((await asAdmin(request(app).patch('/api/webhooks/1')).send({})).status).toBe(400);
+
+        const asEditor = await request(app).get('/api/webhooks').set('X-API-Key', apiKeys.editor);
+        expect(asEditor.status).toBe(403);
+    });
+
+    test('should send a test event without waiting for slow subscribers', async () => {
+        const held = [];
+        const slow = http.createServer((req, res) => held.push(res));
+        await new Promise(resolve => slow.listen(0, '127.0.0.1', resolve));
+        const create = (url, events) => asAdmin(request(app).post('/api/webhooks')).send({ url, events }).then(res => res.body);
+        const slowHook = await create(`http://127.0.0.1:${slow.address().port}`, ['product.updated']);
+        const fastHook = await create(`${receiverUrl}/fast`, ['stock.low']);
+
+        // The slow subscriber holds on to its delivery
+        await request(app).patch('/api/products/000-02').set('X-API-Key', apiKeys.editor).send({ name: 'Held up' });
+        for (let i = 0; i < 100 && held.length === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        expect(held).toHaveLength(1);
+
+        const sent = await asAdmin(request(app).post(`/api/webhooks/${fastHook.id}/test`));
+        expect(sent.body).toMatchObject({ event: 'webhook.test', status: 'delivered' });
+        expect(held).toHaveLength(1);
+
+        held.forEach(res => res.end());
+        for (let i = 0; i < 100; i++) {
+            const log = await asAdmin(request(app).get(`/api/webhooks/${slowHook.id}/deliveries`));
+            if (log.body.deliveries[0].status === 'delivered') break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        await new Promise(resolve => slow.close(resolve));
+    });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const path = require('path');
+const fs = require('fs');
+const { createTestDb, removeTestDb, apiKeys } = require('./helpers');
+const { parseProductsXml, parsePrice, normalizeCategory } = require('../lib/xml');
+
+const CATALOG_PATH = path.join(__dirname, '..', 'public_html', 'thing.xml');
+
+describe('XML catalog parsing', () => {
+    test('should parse the original thing.xml catalog', () => {
+        const products = parseProductsXml(fs.readFileSync(CATALOG_PATH, 'utf8'));
+        expect(products).toHaveLength(10);
+        expect(products[0]).toMatchObject({ id: '000-01', category: 'clothing', quantity: 300, unit_price: 30, code: '000-01' });
+        expect(products[2].category).toBe('Accessories');
+        expect(products[7]).toMatchObject({ category: 'Casual wear', unit_price: 45 });
+    });
+
+    test('should parse feed price strings', () => {
+        expect(parsePrice('€30.00')).toBe(30);
+        expect(parsePrice(' € 1.299,50 ')).toBe(1299.5);
+        expect(parsePrice('1,299.50')).toBe(1299.5);
+        expect(parsePrice('free')).toBeNaN();
+    });
+
+    test('should trim padded categories', () => {
+        expect(normalizeCategory(' clothing ')).toBe('clothing');
+        expect(normalizeCategory('Casual   wear')).toBe('Casual wear');
+    });
+
+    test('should reject documents without a productList', () => {
+        expect(() => parseProductsXml('<catalog></catalog>')).toThrow('productList');
+        expect(() => parseProductsXml('<productList><product>')).toThrow('Invalid XML');
+    });
+});
+
+describe('XML import and export', () => {
+    let app;
+    let dbPath;
+
+    beforeAll(async () => {
+        dbPath = await createTestDb('test-xml.db', []);
+        process.env.DB_PATH = dbPath;
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        removeTestDb(dbPath);
+    });
+
+    test('should import thing.xml and export the same catalog', async () => {
+        const imported = await request(app)
+            .post('/api/products/import')
+            .set('X-API-Key', apiKeys.editor)
+            .set('Content-Type', 'application/xml')
+            .send(fs.readFileSync(CATALOG_PATH, 'utf8'));
+        expect(imported.status).toBe(200);
+        expect(imported.body).toMatchObject({ inserted: 10, failed: 0 });
+
+        const exported = await request(app).get('/api/products/export/xml').set('X-API-Key', apiKeys.viewer);
+        expect(exported.status).toBe(200);
+        expect(exported.headers['content-type']).toContain('application/xml');
+        expect(exported.text).toContain('<product id="000-01">');
+        expect(exported.text).toContain('<unit_price>€30.00</unit_price>');
+
+        const products = parseProductsXml(exported.text);
+        const original = parseProductsXml(fs.readFileSync(CATALOG_PATH, 'utf8'));
+        // Categories that differ only in case are stored under one canonical spelling
+        const foldCategory = (list) => list.map(p => ({ ...p, category: p.category.toLowerCase() }));
+        expect(foldCategory(products)).toEqual(foldCategory(original));
+        expect(new Set(products.filter(p => p.category.toLowerCase() === 'clothing').map(p => p.category)).size).toBe(1);
+    });
+});